@@ -0,0 +1,348 @@
+/**
+ * 分析模型提供方基类
+ * 基于 chat(messages, options) 实现情感分析、关键词提取、摘要和结构化分析，
+ * 具体提供方（Deepseek、OpenAI 兼容接口、Ollama 等）只需实现 chat 方法
+ */
+
+const logger = require('../../utils/logger');
+const config = require('../../utils/config');
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// 单次结构化分析返回的 JSON 结构
+const ANALYSIS_SCHEMA = {
+  sentiment: { type: 'string', enum: SENTIMENTS },
+  score: { type: 'number', min: -1, max: 1 },
+  reason: { type: 'string' },
+  keywords: { type: 'array', items: 'string' },
+  summary: { type: 'string' }
+};
+
+/**
+ * 按 schema 校验对象
+ * @param {Object} value - 待校验对象
+ * @param {Object} schema - 字段定义
+ * @returns {Array<string>} 错误信息，为空表示通过
+ */
+function validateSchema(value, schema) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['结果必须是 JSON 对象'];
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldValue = value[field];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      errors.push(`缺少字段 ${field}`);
+      continue;
+    }
+
+    if (rule.type === 'array') {
+      if (!Array.isArray(fieldValue)) {
+        errors.push(`${field} 必须是数组`);
+      } else if (rule.items && fieldValue.some(item => typeof item !== rule.items)) {
+        errors.push(`${field} 的元素必须是 ${rule.items}`);
+      }
+      continue;
+    }
+
+    if (typeof fieldValue !== rule.type || (rule.type === 'number' && !Number.isFinite(fieldValue))) {
+      errors.push(`${field} 必须是 ${rule.type}`);
+      continue;
+    }
+
+    if (rule.enum && !rule.enum.includes(fieldValue)) {
+      errors.push(`${field} 必须是 ${rule.enum.join('/')} 之一`);
+    }
+    if (rule.min !== undefined && fieldValue < rule.min) {
+      errors.push(`${field} 不能小于 ${rule.min}`);
+    }
+    if (rule.max !== undefined && fieldValue > rule.max) {
+      errors.push(`${field} 不能大于 ${rule.max}`);
+    }
+  }
+
+  return errors;
+}
+
+class BaseLLMProvider {
+  /**
+   * @param {Object} options - 提供方配置
+   * @param {string} [options.name] - 提供方名称
+   * @param {string} [options.model] - 模型名称
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.model = options.model;
+  }
+
+  /**
+   * 发送对话请求
+   * @param {Array<Object>} messages - 对话消息 { role, content }
+   * @param {Object} [options] - 请求选项
+   * @param {boolean} [options.json=false] - 是否要求返回 JSON 对象
+   * @returns {Promise<string>} - 模型回复内容
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.constructor.name} 未实现 chat 方法`);
+  }
+
+  /**
+   * 执行情感分析
+   * @param {string} text - 要分析的文本
+   * @returns {Promise<Object>} - 情感分析结果
+   */
+  async analyzeSentiment(text) {
+    const prompt = `请对以下文本进行情感分析，判断其情感倾向(positive、negative或neutral)，并给出分析理由：
+
+${text}
+
+请以JSON格式返回结果，包含sentiment(情感)和reason(理由)字段。`;
+    
+    try {
+      const content = await this.chat([{ role: 'user', content: prompt }], { json: true });
+      const result = JSON.parse(content);
+      return {
+        sentiment: result.sentiment || 'neutral',
+        reason: result.reason || '无法分析'
+      };
+    } catch (error) {
+      logger.error(`解析情感分析结果失败: ${error.message}`);
+      return {
+        sentiment: 'neutral',
+        reason: '解析结果失败，默认为中性'
+      };
+    }
+  }
+
+  /**
+   * 提取关键词
+   * @param {string} text - 要分析的文本
+   * @param {number} [maxKeywords=5] - 最大关键词数量
+   * @returns {Promise<Array<string>>} - 关键词列表
+   */
+  async extractKeywords(text, maxKeywords = 5) {
+    const prompt = `请从以下文本中提取最多${maxKeywords}个关键词，并按重要性排序。请以JSON格式返回结果，包含keywords数组字段：
+
+${text}`;
+    
+    try {
+      const content = await this.chat([{ role: 'user', content: prompt }], { json: true });
+      const result = JSON.parse(content);
+      return Array.isArray(result.keywords) ? result.keywords : [];
+    } catch (error) {
+      logger.error(`解析关键词提取结果失败: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * 生成文本摘要
+   * @param {string} text - 要摘要的文本
+   * @param {number} [maxLength=150] - 摘要最大长度
+   * @returns {Promise<string>} - 生成的摘要
+   */
+  async generateSummary(text, maxLength = 150) {
+    const prompt = `请为以下文本生成一个简洁的摘要，最多${maxLength}个字符：
+
+${text}`;
+    
+    try {
+      const content = await this.chat([{ role: 'user', content: prompt }]);
+      return content.trim();
+    } catch (error) {
+      logger.error(`生成摘要失败: ${error.message}`);
+      return text.substring(0, maxLength) + '...';
+    }
+  }
+
+  /**
+   * 单次调用完成结构化分析
+   * 要求模型返回包含情感、分数、理由、关键词和摘要的 JSON 对象，
+   * 结果不符合 schema 时把错误反馈给模型要求修正（最多 maxRepairAttempts 次）
+   * @param {string} text - 要分析的文本
+   * @param {Object} options - 分析选项（同 analyzeContent）
+   * @returns {Promise<Object>} - 分析结果
+   */
+  async analyzeStructured(text, options = {}) {
+    const {
+      includeSentiment = true,
+      includeKeywords = true,
+      includeSummary = true,
+      maxKeywords = 5,
+      maxSummaryLength = 150,
+      maxRepairAttempts = 1
+    } = options;
+
+    const schema = {};
+    const fieldDescriptions = [];
+
+    if (includeSentiment) {
+      schema.sentiment = ANALYSIS_SCHEMA.sentiment;
+      schema.score = ANALYSIS_SCHEMA.score;
+      schema.reason = ANALYSIS_SCHEMA.reason;
+      fieldDescriptions.push(
+        'sentiment: 情感倾向，只能是 positive、negative 或 neutral',
+        'score: 情感分数，-1（最负面）到 1（最正面）之间的数字',
+        'reason: 情感判断的简要理由'
+      );
+    }
+    if (includeKeywords) {
+      schema.keywords = ANALYSIS_SCHEMA.keywords;
+      fieldDescriptions.push(`keywords: 最多${maxKeywords}个关键词组成的字符串数组，按重要性排序`);
+    }
+    if (includeSummary) {
+      schema.summary = ANALYSIS_SCHEMA.summary;
+      fieldDescriptions.push(`summary: 不超过${maxSummaryLength}个字符的简洁摘要`);
+    }
+
+    const prompt = `请分析以下文本，并以JSON对象格式返回结果，包含以下字段：
+${fieldDescriptions.map(line => `- ${line}`).join('\n')}
+
+文本：
+${text}`;
+
+    const messages = [{ role: 'user', content: prompt }];
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      const content = await this.chat(messages, { json: true });
+
+      let parsed = null;
+      let errors;
+      try {
+        // 部分模型会用 markdown 代码块包裹 JSON
+        parsed = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+        errors = validateSchema(parsed, schema);
+      } catch (error) {
+        errors = [`JSON 解析失败: ${error.message}`];
+      }
+
+      if (errors.length === 0) {
+        const result = {};
+        if (includeSentiment) {
+          result.sentiment = parsed.sentiment;
+          result.sentimentScore = parsed.score;
+          result.sentimentReason = parsed.reason;
+        }
+        if (includeKeywords) {
+          result.keywords = parsed.keywords.slice(0, maxKeywords);
+        }
+        if (includeSummary) {
+          result.summary = parsed.summary.trim().substring(0, maxSummaryLength);
+        }
+        return result;
+      }
+
+      logger.warn(`结构化分析结果无效（第${attempt + 1}次）: ${errors.join('; ')}`);
+      messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: `上面的结果不符合要求：${errors.join('；')}。请只返回修正后的JSON对象。` }
+      );
+    }
+
+    throw new Error('结构化分析结果校验失败');
+  }
+
+  /**
+   * 执行完整内容分析
+   * 默认使用单次结构化调用（mode: 'combined'），
+   * mode 为 'separate' 时分别调用情感分析、关键词提取和摘要生成
+   * @param {string} text - 要分析的文本
+   * @param {Object} options - 分析选项
+   * @param {string} [options.mode] - 'combined' 或 'separate'，默认取配置 llm.analysisMode
+   * @returns {Promise<Object>} - 分析结果
+   */
+  async analyzeContent(text, options = {}) {
+    const mode = options.mode || config.get('llm.analysisMode', 'combined');
+
+    if (mode === 'separate') {
+      return this._analyzeSeparately(text, options);
+    }
+
+    try {
+      return await this.analyzeStructured(text, options);
+    } catch (error) {
+      logger.error(`结构化分析失败: ${error.message}`);
+      const {
+        includeSentiment = true,
+        includeKeywords = true,
+        includeSummary = true,
+        maxSummaryLength = 150
+      } = options;
+
+      const result = {};
+      if (includeSentiment) {
+        result.sentiment = 'neutral';
+        result.sentimentReason = '分析失败';
+      }
+      if (includeKeywords) {
+        result.keywords = [];
+      }
+      if (includeSummary) {
+        result.summary = text.substring(0, maxSummaryLength) + '...';
+      }
+      return result;
+    }
+  }
+
+  /**
+   * 分别调用三个接口完成内容分析
+   * @private
+   * @param {string} text - 要分析的文本
+   * @param {Object} options - 分析选项
+   * @returns {Promise<Object>} - 分析结果
+   */
+  async _analyzeSeparately(text, options = {}) {
+    const {
+      includeSentiment = true,
+      includeKeywords = true,
+      includeSummary = true,
+      maxKeywords = 5,
+      maxSummaryLength = 150
+    } = options;
+
+    const result = {};
+    const tasks = [];
+
+    if (includeSentiment) {
+      tasks.push(
+        this.analyzeSentiment(text).then(data => {
+          result.sentiment = data.sentiment;
+          result.sentimentReason = data.reason;
+        }).catch(error => {
+          logger.error(`情感分析失败: ${error.message}`);
+          result.sentiment = 'neutral';
+          result.sentimentReason = '分析失败';
+        })
+      );
+    }
+
+    if (includeKeywords) {
+      tasks.push(
+        this.extractKeywords(text, maxKeywords).then(keywords => {
+          result.keywords = keywords;
+        }).catch(error => {
+          logger.error(`关键词提取失败: ${error.message}`);
+          result.keywords = [];
+        })
+      );
+    }
+
+    if (includeSummary) {
+      tasks.push(
+        this.generateSummary(text, maxSummaryLength).then(summary => {
+          result.summary = summary;
+        }).catch(error => {
+          logger.error(`摘要生成失败: ${error.message}`);
+          result.summary = text.substring(0, maxSummaryLength) + '...';
+        })
+      );
+    }
+
+    await Promise.allSettled(tasks);
+    return result;
+  }
+}
+
+module.exports = BaseLLMProvider;
\ No newline at end of file
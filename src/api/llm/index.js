@@ -0,0 +1,63 @@
+/**
+ * 分析模型提供方注册表
+ * 根据全局配置（llm.provider / llm.model）或调用方指定的提供方和模型创建实例
+ */
+
+const DeepseekClient = require('../deepseek');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const OllamaProvider = require('./ollama-provider');
+const LlamaCppProvider = require('./llamacpp-provider');
+const config = require('../../utils/config');
+
+const PROVIDER_TYPES = {
+  deepseek: DeepseekClient,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  llamacpp: LlamaCppProvider
+};
+
+/**
+ * 检查提供方类型是否受支持
+ * @param {string} type - 提供方类型
+ * @returns {boolean}
+ */
+function isSupportedProvider(type) {
+  return Object.prototype.hasOwnProperty.call(PROVIDER_TYPES, type);
+}
+
+/**
+ * 创建分析模型提供方
+ * 未指定的配置项取自同名配置段（config.deepseek、config.openai、config.ollama、config.llamacpp），
+ * openai.headers 作为额外请求头传入（options.headers）
+ * @param {Object} [selection] - 选择
+ * @param {string} [selection.provider] - 提供方类型，默认 llm.provider
+ * @param {string} [selection.model] - 模型名称，默认 llm.model（仅全局提供方）或提供方配置中的模型
+ * @returns {BaseLLMProvider} 提供方实例
+ */
+function getProvider(selection = {}) {
+  const globalType = config.get('llm.provider', 'deepseek');
+  const type = selection.provider || globalType;
+  if (!isSupportedProvider(type)) {
+    throw new Error(`不支持的分析模型提供方: ${type}`);
+  }
+
+  // llm.model 只作用于全局提供方，切换到其他提供方时使用该提供方自己的模型配置
+  const options = { ...(config.get(type) || {}) };
+  const model = selection.model || (type === globalType ? config.get('llm.model') : null);
+  if (model) {
+    options.model = model;
+  }
+
+  // deepseek 的配置由 DeepseekClient 自行读取，这里只传入覆盖项
+  if (type === 'deepseek') {
+    return new DeepseekClient(model ? { model } : {});
+  }
+
+  return new PROVIDER_TYPES[type](options);
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  isSupportedProvider,
+  getProvider
+};
@@ -0,0 +1,25 @@
+/**
+ * llama.cpp 本地服务提供方
+ * llama-server 提供 OpenAI 兼容接口，默认不需要认证
+ */
+
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+
+class LlamaCppProvider extends OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - 提供方配置，同 OpenAICompatibleProvider
+   * @param {string} [options.baseUrl='http://localhost:8080/v1'] - llama-server 地址
+   * @param {string} [options.model='default'] - llama-server 只加载一个模型，名称仅用于记录
+   */
+  constructor(options = {}) {
+    super({
+      baseUrl: 'http://localhost:8080/v1',
+      model: 'default',
+      timeout: 120000,
+      ...options,
+      name: 'llamacpp'
+    });
+  }
+}
+
+module.exports = LlamaCppProvider;
@@ -0,0 +1,42 @@
+/**
+ * Ollama 本地模型提供方
+ * 使用 Ollama 原生 /api/chat 接口
+ */
+
+const axios = require('axios');
+const BaseLLMProvider = require('./base-provider');
+const logger = require('../../utils/logger');
+
+class OllamaProvider extends BaseLLMProvider {
+  /**
+   * @param {Object} options - 提供方配置
+   * @param {string} [options.baseUrl='http://localhost:11434'] - Ollama 服务地址
+   * @param {string} options.model - 模型名称
+   * @param {number} [options.timeout=120000] - 请求超时（毫秒），本地推理通常较慢
+   */
+  constructor(options = {}) {
+    super({ name: 'ollama', ...options });
+    if (!options.model) {
+      throw new Error('ollama 缺少 model 配置');
+    }
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    this.timeout = options.timeout || 120000;
+  }
+
+  async chat(messages, options = {}) {
+    const data = { model: this.model, messages, stream: false };
+    if (options.json) {
+      data.format = 'json';
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/chat`, data, { timeout: this.timeout });
+      return response.data.message.content;
+    } catch (error) {
+      logger.error(`ollama API调用失败: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,76 @@
+/**
+ * OpenAI 兼容接口提供方
+ * 适用于任何实现了 /chat/completions 的服务，可配置地址、模型和请求头
+ */
+
+const axios = require('axios');
+const BaseLLMProvider = require('./base-provider');
+const logger = require('../../utils/logger');
+
+class OpenAICompatibleProvider extends BaseLLMProvider {
+  /**
+   * @param {Object} options - 提供方配置
+   * @param {string} options.baseUrl - 接口地址（不含 /chat/completions）
+   * @param {string} options.model - 模型名称
+   * @param {string} [options.apiKey] - API Key，设置后以 Bearer 方式发送
+   * @param {Object} [options.headers] - 额外请求头
+   * @param {boolean} [options.jsonMode=true] - 是否支持 response_format: json_object
+   * @param {number} [options.timeout=30000] - 请求超时（毫秒）
+   */
+  constructor(options = {}) {
+    super({ name: 'openai', ...options });
+    if (!options.baseUrl) {
+      throw new Error(`${this.name} 缺少 baseUrl 配置`);
+    }
+    if (!options.model) {
+      throw new Error(`${this.name} 缺少 model 配置`);
+    }
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.headers = options.headers || {};
+    this.jsonMode = options.jsonMode !== false;
+    this.timeout = options.timeout || 30000;
+  }
+
+  /**
+   * 执行通用API调用
+   * @param {string} endpoint - API端点
+   * @param {Object} data - 请求数据
+   * @returns {Promise<Object>} - API响应
+   */
+  async _callAPI(endpoint, data) {
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios({
+        method: 'post',
+        url: `${this.baseUrl}/${endpoint}`,
+        headers,
+        data,
+        timeout: this.timeout
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`${this.name} API调用失败: ${error.message}`);
+      if (error.response) {
+        logger.error(`响应状态: ${error.response.status}, 响应数据: ${JSON.stringify(error.response.data)}`);
+      }
+      throw error;
+    }
+  }
+
+  async chat(messages, options = {}) {
+    const data = { model: this.model, messages };
+    if (options.json && this.jsonMode) {
+      data.response_format = { type: 'json_object' };
+    }
+
+    const response = await this._callAPI('chat/completions', data);
+    return response.choices[0].message.content;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,127 @@
+/**
+ * Twitter API 速率限制跟踪
+ * 按端点记录 x-rate-limit-limit / remaining / reset，额度用完时让请求排队等待窗口重置
+ */
+
+const logger = require('../utils/logger');
+
+class RateLimiter {
+  constructor() {
+    // endpoint -> { limit, remaining, reset（秒级时间戳）, waiting }
+    this.budgets = new Map();
+  }
+
+  /**
+   * 获取端点的额度记录，不存在时创建
+   * @private
+   * @param {string} endpoint - 端点
+   * @returns {Object} 额度记录
+   */
+  _getBudget(endpoint) {
+    if (!this.budgets.has(endpoint)) {
+      this.budgets.set(endpoint, { limit: null, remaining: null, reset: null, waiting: 0 });
+    }
+    return this.budgets.get(endpoint);
+  }
+
+  /**
+   * 根据响应中的速率限制信息更新额度
+   * @param {string} endpoint - 端点
+   * @param {Object} rateLimit - twitter-api-v2 返回的 { limit, remaining, reset }
+   */
+  update(endpoint, rateLimit) {
+    if (!rateLimit || typeof rateLimit.remaining !== 'number') {
+      return;
+    }
+    const budget = this._getBudget(endpoint);
+    budget.limit = rateLimit.limit;
+    budget.remaining = rateLimit.remaining;
+    budget.reset = rateLimit.reset;
+  }
+
+  /**
+   * 标记端点额度已耗尽（收到 429 时调用）
+   * @param {string} endpoint - 端点
+   * @param {number} [reset] - 重置时间（秒级时间戳），未知时按 15 分钟窗口估算
+   */
+  exhaust(endpoint, reset) {
+    const budget = this._getBudget(endpoint);
+    budget.remaining = 0;
+    budget.reset = reset || Math.ceil(Date.now() / 1000) + 15 * 60;
+  }
+
+  /**
+   * 计算距离额度重置还需等待的毫秒数
+   * @param {string} endpoint - 端点
+   * @returns {number} 毫秒数，额度可用时为 0
+   */
+  getWaitTime(endpoint) {
+    const budget = this._getBudget(endpoint);
+    if (budget.remaining === null || budget.remaining > 0 || !budget.reset) {
+      return 0;
+    }
+    // 多等 1 秒，避免与服务端时钟的误差
+    return Math.max(0, budget.reset * 1000 - Date.now() + 1000);
+  }
+
+  /**
+   * 占用一次请求额度，额度耗尽时等待窗口重置
+   * @param {string} endpoint - 端点
+   * @param {Object} [options] - 选项
+   * @param {number} [options.maxWait] - 最长等待毫秒数，超过时抛出错误而不是等待
+   */
+  async acquire(endpoint, options = {}) {
+    const budget = this._getBudget(endpoint);
+
+    let waitTime = this.getWaitTime(endpoint);
+    while (waitTime > 0) {
+      if (options.maxWait !== undefined && waitTime > options.maxWait) {
+        const error = new Error(`${endpoint} 速率限制额度已用完，${Math.ceil(waitTime / 1000)} 秒后重置`);
+        error.code = 429;
+        throw error;
+      }
+
+      logger.warn(`${endpoint} 速率限制额度已用完，等待 ${Math.ceil(waitTime / 1000)} 秒后重试`, {
+        waiting: budget.waiting + 1
+      });
+
+      budget.waiting++;
+      try {
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      } finally {
+        budget.waiting--;
+      }
+
+      // 窗口已重置，在下一次响应更新之前按满额度计算
+      if (budget.reset * 1000 <= Date.now()) {
+        budget.remaining = budget.limit;
+        budget.reset = null;
+      }
+      waitTime = this.getWaitTime(endpoint);
+    }
+
+    // 预先扣减，避免并发请求在响应返回之前超出额度
+    if (typeof budget.remaining === 'number' && budget.remaining > 0) {
+      budget.remaining--;
+    }
+  }
+
+  /**
+   * 获取所有端点的额度状态
+   * @returns {Object} endpoint -> { limit, remaining, reset, waiting }
+   */
+  getStatus() {
+    const status = {};
+    for (const [endpoint, budget] of this.budgets) {
+      status[endpoint] = {
+        limit: budget.limit,
+        remaining: budget.remaining,
+        reset: budget.reset ? new Date(budget.reset * 1000).toISOString() : null,
+        waiting: budget.waiting
+      };
+    }
+    return status;
+  }
+}
+
+module.exports = RateLimiter;
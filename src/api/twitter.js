@@ -4,11 +4,41 @@
  */
 
 const { TwitterApi } = require('twitter-api-v2');
+const RateLimiter = require('./rate-limiter');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
+// 速率限制按应用凭据计算，所有客户端实例共享同一份额度记录
+const rateLimiter = new RateLimiter();
+
+const ENDPOINTS = {
+  userByUsername: 'users/by/username/:username',
+  userTimeline: 'users/:id/tweets',
+  searchRecent: 'tweets/search/recent',
+  tweetsLookup: 'tweets',
+  usersLookup: 'users'
+};
+
+const CREDENTIAL_KEYS = ['twitter.apiKey', 'twitter.apiSecret', 'twitter.accessToken', 'twitter.accessTokenSecret'];
+
 class TwitterClient {
   constructor() {
+    this._createClient();
+    this.rateLimiter = rateLimiter;
+
+    // 凭据来自环境变量或密钥存储，在设置中修改后重新创建客户端
+    config.onChange(key => {
+      if (CREDENTIAL_KEYS.includes(key)) {
+        this._createClient();
+      }
+    });
+  }
+
+  /**
+   * 使用当前凭据创建客户端
+   * @private
+   */
+  _createClient() {
     this.client = new TwitterApi({
       appKey: config.twitter.apiKey,
       appSecret: config.twitter.apiSecret,
@@ -20,6 +50,65 @@ class TwitterClient {
     this.readOnlyClient = this.client.readOnly;
   }
 
+  /**
+   * 在速率限制额度内执行请求
+   * 请求前额度已用完时等待窗口重置；收到 429 时记录重置时间并在重置后重试
+   * @private
+   * @param {string} endpoint - 端点（用于额度统计）
+   * @param {Function} request - 执行请求的函数，返回值需带有 rateLimit 信息
+   * @param {Object} [usage] - 调用统计，每次请求（包括重试）时 apiCalls 加一
+   * @returns {Promise<Object>} 请求结果
+   */
+  async _request(endpoint, request, usage) {
+    const { maxRateLimitWait, rateLimitRetries } = config.twitter;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.acquire(endpoint, { maxWait: maxRateLimitWait });
+      if (usage) {
+        usage.apiCalls = (usage.apiCalls || 0) + 1;
+      }
+
+      try {
+        const result = await request();
+        this.rateLimiter.update(endpoint, result.rateLimit);
+        return result;
+      } catch (error) {
+        if (error.code !== 429 && error.code !== 420) {
+          this.rateLimiter.update(endpoint, error.rateLimit);
+          throw error;
+        }
+
+        this.rateLimiter.exhaust(endpoint, error.rateLimit?.reset);
+        if (attempt >= rateLimitRetries) {
+          throw error;
+        }
+        logger.warn(`${endpoint} 触发速率限制 (429)，将在额度重置后重试`, { attempt: attempt + 1 });
+      }
+    }
+  }
+
+  /**
+   * 包装 API 错误，保留状态码和速率限制信息
+   * @private
+   * @param {string} message - 错误描述
+   * @param {Error} error - 原始错误
+   * @returns {Error} 包装后的错误
+   */
+  _wrapError(message, error) {
+    const wrapped = new Error(`${message}: ${error.message}`, { cause: error });
+    wrapped.code = error.code;
+    wrapped.rateLimit = error.rateLimit;
+    return wrapped;
+  }
+
+  /**
+   * 获取各端点的速率限制额度
+   * @returns {Object} endpoint -> { limit, remaining, reset, waiting }
+   */
+  getRateLimitStatus() {
+    return this.rateLimiter.getStatus();
+  }
+
   /**
    * 获取用户信息
    * @param {string} username - Twitter用户名
@@ -27,18 +116,49 @@ class TwitterClient {
    */
   async getUserByUsername(username) {
     try {
-      const user = await this.readOnlyClient.v2.userByUsername(username, {
-        'user.fields': ['id', 'name', 'username', 'profile_image_url', 'description', 'created_at', 'public_metrics']
-      });
+      // 使用 fullResponse 以便获取响应头中的速率限制信息
+      const user = await this._request(ENDPOINTS.userByUsername, () =>
+        this.readOnlyClient.v2.get(ENDPOINTS.userByUsername, {
+          'user.fields': ['id', 'name', 'username', 'profile_image_url', 'description', 'created_at', 'public_metrics']
+        }, { params: { username }, fullResponse: true })
+      );
       
-      if (!user.data) {
+      if (!user.data.data) {
         throw new Error(`用户 ${username} 不存在`);
       }
       
-      return user.data;
+      return user.data.data;
     } catch (error) {
       logger.error(`获取用户信息失败: ${error.message}`, { username, error });
-      throw new Error(`获取Twitter用户信息失败: ${error.message}`);
+      throw this._wrapError('获取Twitter用户信息失败', error);
+    }
+  }
+
+  /**
+   * 按ID批量获取用户信息（每次最多100个），用于刷新账号资料
+   * @param {Array<string>} ids - Twitter用户ID列表
+   * @returns {Promise<{users: Array, errors: Array}>} 获取到的用户，以及无法获取的用户错误（已停用、被封禁等）
+   */
+  async getUsersByIds(ids) {
+    try {
+      if (ids.length > 100) {
+        throw new Error('每次最多获取100个用户');
+      }
+
+      const response = await this._request(ENDPOINTS.usersLookup, () =>
+        this.readOnlyClient.v2.get(ENDPOINTS.usersLookup, {
+          ids: ids.join(','),
+          'user.fields': ['id', 'name', 'username', 'profile_image_url', 'description', 'created_at', 'public_metrics']
+        }, { fullResponse: true })
+      );
+
+      return {
+        users: response.data.data || [],
+        errors: response.data.errors || []
+      };
+    } catch (error) {
+      logger.error(`批量获取用户信息失败: ${error.message}`, { count: ids.length, error });
+      throw this._wrapError('批量获取Twitter用户信息失败', error);
     }
   }
 
@@ -49,6 +169,22 @@ class TwitterClient {
    * @returns {Promise<Array>} 推文列表
    */
   async getUserTweets(userId, options = {}) {
+    const page = await this.getUserTweetsPage(userId, options);
+    return page.tweets;
+  }
+
+  /**
+   * 获取用户推文的一页，用于按 pagination_token 向前翻页
+   * @param {string} userId - Twitter用户ID
+   * @param {Object} options - 查询选项
+   * @param {number} [options.max_results=10] - 每页条数（5-100）
+   * @param {string} [options.since_id] - 只获取比该ID更新的推文
+   * @param {string} [options.pagination_token] - 上一页返回的翻页令牌
+   * @param {string} [options.start_time] - 最早的推文时间（ISO 8601）
+   * @param {Object} [options.usage] - 调用统计，见 _request
+   * @returns {Promise<{tweets: Array, nextToken: string|null}>} 推文列表和下一页令牌
+   */
+  async getUserTweetsPage(userId, options = {}) {
     try {
       const params = {
         max_results: options.max_results || 10,
@@ -61,17 +197,30 @@ class TwitterClient {
       if (options.since_id) {
         params.since_id = options.since_id;
       }
+      if (options.pagination_token) {
+        params.pagination_token = options.pagination_token;
+      }
+      if (options.start_time) {
+        params.start_time = options.start_time;
+      }
 
-      const tweets = await this.readOnlyClient.v2.userTimeline(userId, params);
+      const tweets = await this._request(
+        ENDPOINTS.userTimeline,
+        () => this.readOnlyClient.v2.userTimeline(userId, params),
+        options.usage
+      );
       
       // 处理并格式化响应数据
       const tweetData = tweets.data?.data || [];
       const includes = tweets.data?.includes || {};
       
-      return this._enrichTweets(tweetData, includes);
+      return {
+        tweets: this._enrichTweets(tweetData, includes),
+        nextToken: tweets.data?.meta?.next_token || null
+      };
     } catch (error) {
       logger.error(`获取用户推文失败: ${error.message}`, { userId, error });
-      throw new Error(`获取Twitter用户推文失败: ${error.message}`);
+      throw this._wrapError('获取Twitter用户推文失败', error);
     }
   }
 
@@ -95,7 +244,11 @@ class TwitterClient {
         params.since_id = options.since_id;
       }
 
-      const tweets = await this.readOnlyClient.v2.search(query, params);
+      const tweets = await this._request(
+        ENDPOINTS.searchRecent,
+        () => this.readOnlyClient.v2.search(query, params),
+        options.usage
+      );
       
       const tweetData = tweets.data?.data || [];
       const includes = tweets.data?.includes || {};
@@ -103,7 +256,37 @@ class TwitterClient {
       return this._enrichTweets(tweetData, includes);
     } catch (error) {
       logger.error(`搜索推文失败: ${error.message}`, { query, error });
-      throw new Error(`搜索Twitter推文失败: ${error.message}`);
+      throw this._wrapError('搜索Twitter推文失败', error);
+    }
+  }
+
+  /**
+   * 按ID批量获取推文（每次最多100条），用于刷新互动数据
+   * @param {Array<string>} ids - 推文ID列表
+   * @returns {Promise<{tweets: Array, errors: Array}>} 获取到的推文，以及无法获取的推文错误（已删除、受保护等）
+   */
+  async getTweetsByIds(ids) {
+    try {
+      if (ids.length > 100) {
+        throw new Error('每次最多获取100条推文');
+      }
+
+      const response = await this._request(ENDPOINTS.tweetsLookup, () =>
+        this.readOnlyClient.v2.get(ENDPOINTS.tweetsLookup, {
+          ids: ids.join(','),
+          'tweet.fields': ['id', 'text', 'created_at', 'public_metrics', 'entities', 'referenced_tweets'],
+          expansions: ['author_id', 'referenced_tweets.id', 'attachments.media_keys'],
+          'media.fields': ['url', 'preview_image_url', 'type']
+        }, { fullResponse: true })
+      );
+
+      return {
+        tweets: this._enrichTweets(response.data.data || [], response.data.includes || {}),
+        errors: response.data.errors || []
+      };
+    } catch (error) {
+      logger.error(`批量获取推文失败: ${error.message}`, { count: ids.length, error });
+      throw this._wrapError('批量获取Twitter推文失败', error);
     }
   }
 
@@ -4,18 +4,177 @@ const path = require('path');
 const bodyParser = require('body-parser');
 const config = require('./utils/config');
 const logger = require('./utils/logger');
+const { isMultipart, parseMultipart } = require('./utils/multipart');
 const db = require('./db/database');
 const integratedService = require('./services/integrated-service');
 const notificationService = require('./services/notification-service');
-const accountManager = require('./services/account-manager'); // 引入 accountManager
+const AccountManager = require('./services/account-manager');
 const analysisService = require('./services/analysis-service'); // 引入 analysisService
+const SearchManager = require('./services/search-manager');
+const alertService = require('./services/alert-service');
+const backfillService = require('./services/backfill-service');
+const ChannelManager = require('./services/channel-manager');
+const MetricsService = require('./services/metrics-service');
+const ProfileService = require('./services/profile-service');
+const TweetSearchService = require('./services/tweet-search-service');
+const ExportService = require('./services/export-service');
+const importService = require('./services/import-service');
+const FeedService = require('./services/feed-service');
+const reportService = require('./services/report-service');
+const schedulerService = require('./services/scheduler-service');
+const MonitorRunService = require('./services/monitor-run-service');
+const eventBus = require('./services/event-bus');
+const TrendService = require('./services/trend-service');
+const SentimentService = require('./services/sentiment-service');
+const authService = require('./services/auth-service');
+const settingsService = require('./services/settings-service');
+const { authenticate, requireRole, getSessionToken, setSessionCookie, clearSessionCookie } = require('./middleware/auth');
+const { PROVIDER_TYPES, isSupportedProvider } = require('./api/llm');
 
 const app = express();
-const PORT = config.get('PORT', 3000);
+const PORT = config.get('server.port', 3000);
+const accountManager = new AccountManager();
+const searchManager = new SearchManager();
+const channelManager = new ChannelManager();
+const metricsService = new MetricsService();
+const profileService = new ProfileService();
+const tweetSearchService = new TweetSearchService();
+const exportService = new ExportService();
+const feedService = new FeedService();
+const trendService = new TrendService();
+const sentimentService = new SentimentService();
+const monitorRunService = new MonitorRunService();
 
 // Middleware
-app.use(bodyParser.json());
+// 导入接口自行读取请求体（上传的文件可能很大，也可能是 multipart 表单），不经过 JSON 解析器
+const jsonParser = bodyParser.json();
+app.use((req, res, next) => (req.path === '/api/import' ? next() : jsonParser(req, res, next)));
 app.use(express.static(path.join(__dirname, 'public'))); // 静态文件服务
+app.use(authenticate);
+
+// Authentication
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    try {
+        const session = await authService.login(username, password);
+        if (!session) {
+            return res.status(401).json({ success: false, message: 'Invalid username or password.' });
+        }
+        setSessionCookie(res, session.token, session.expiresAt);
+        res.json({ success: true, message: 'Logged in.', user: session.user });
+    } catch (error) {
+        if (error.code === 'LOGIN_LOCKED') {
+            res.set('Retry-After', String(error.retryAfter));
+            return res.status(429).json({ success: false, message: error.message });
+        }
+        logger.error('Error logging in:', error);
+        res.status(500).json({ success: false, message: 'Failed to log in.' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await authService.logout(getSessionToken(req));
+        clearSessionCookie(res);
+        res.json({ success: true, message: 'Logged out.' });
+    } catch (error) {
+        logger.error('Error logging out:', error);
+        res.status(500).json({ success: false, message: 'Failed to log out.' });
+    }
+});
+
+// 除登录和注销外的接口和订阅源都需要登录，修改数据的接口另外要求 analyst 或 admin 角色
+app.use('/api', requireRole('viewer'));
+app.use('/feeds', requireRole('viewer'));
+app.use('/api/settings', requireRole('admin'));
+app.use('/api/users', requireRole('admin'));
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// API Tokens
+app.get('/api/auth/tokens', async (req, res) => {
+    try {
+        // 管理员通过 all=true 查看所有用户的令牌
+        const all = req.query.all === 'true' && req.user.role === 'admin';
+        res.json(await authService.listTokens(all ? undefined : req.user.id));
+    } catch (error) {
+        logger.error('Error fetching API tokens:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch API tokens.' });
+    }
+});
+
+app.post('/api/auth/tokens', async (req, res) => {
+    const { name, scope, expiresInDays } = req.body;
+    try {
+        // 使用 API 令牌登录时，新令牌的范围不能超过当前令牌
+        const token = await authService.createToken(req.user.id, { name, scope, expiresInDays }, req.user.role);
+        res.status(201).json({ success: true, message: 'API token created. Copy it now, it will not be shown again.', token });
+    } catch (error) {
+        logger.error('Error creating API token:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+    try {
+        const revoked = await authService.revokeToken(req.params.id, req.user.role === 'admin' ? undefined : req.user.id);
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: 'API token not found.' });
+        }
+        res.json({ success: true, message: 'API token revoked.' });
+    } catch (error) {
+        logger.error('Error revoking API token:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke API token.' });
+    }
+});
+
+// Users
+app.get('/api/users', async (req, res) => {
+    try {
+        res.json(await authService.listUsers());
+    } catch (error) {
+        logger.error('Error fetching users:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch users.' });
+    }
+});
+
+app.post('/api/users', async (req, res) => {
+    try {
+        const user = await authService.createUser(req.body);
+        res.status(201).json({ success: true, message: 'User created successfully.', user });
+    } catch (error) {
+        logger.error('Error creating user:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/users/:id', async (req, res) => {
+    try {
+        const user = await authService.updateUser(req.params.id, req.body);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        res.json({ success: true, message: 'User updated successfully.', user });
+    } catch (error) {
+        logger.error('Error updating user:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/users/:id', async (req, res) => {
+    try {
+        const deleted = await authService.deleteUser(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        res.json({ success: true, message: 'User deleted successfully.' });
+    } catch (error) {
+        logger.error('Error deleting user:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
 
 // API Routes
 
@@ -37,21 +196,189 @@ app.get('/api/dashboard-stats', async (req, res) => {
 });
 
 // Monitor Control
-app.post('/api/monitor/start', async (req, res) => {
+// 启停轮询调度器，状态保存在数据库中，重启后恢复
+app.post('/api/monitor/start', requireRole('analyst'), async (req, res) => {
     try {
-        // 这里可以添加定时任务启动逻辑，例如使用 node-cron
-        // 为了简化，这里直接调用一次
-        integratedService.startMonitoringAndAnalysis();
-        res.json({ success: true, message: 'Monitoring started (single run).' });
+        const scheduler = await schedulerService.start();
+        res.json({ success: true, message: 'Monitoring scheduler started.', scheduler });
     } catch (error) {
         logger.error('Error starting monitor:', error);
         res.status(500).json({ success: false, message: 'Failed to start monitor.' });
     }
 });
 
-app.post('/api/monitor/stop', (req, res) => {
-    // 如果有定时任务，这里需要停止它
-    res.json({ success: true, message: 'Monitoring stopped (if running as a continuous process, this would stop the scheduler).' });
+app.post('/api/monitor/stop', requireRole('analyst'), async (req, res) => {
+    try {
+        const scheduler = await schedulerService.stop();
+        res.json({ success: true, message: 'Monitoring scheduler stopped.', scheduler });
+    } catch (error) {
+        logger.error('Error stopping monitor:', error);
+        res.status(500).json({ success: false, message: 'Failed to stop monitor.' });
+    }
+});
+
+app.get('/api/monitor/status', async (req, res) => {
+    try {
+        res.json({ ...integratedService.getStatus(), scheduler: await schedulerService.getStatus() });
+    } catch (error) {
+        logger.error('Error fetching monitor status:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch monitor status.' });
+    }
+});
+
+// Poll Schedules
+// 每个监控账号和搜索一条轮询计划：Cron 表达式或固定间隔（秒），都未设置时使用 MONITOR_INTERVAL
+app.get('/api/schedules', async (req, res) => {
+    try {
+        const schedules = await schedulerService.list({ type: req.query.type });
+        res.json(schedules);
+    } catch (error) {
+        logger.error('Error fetching schedules:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/schedules/:id', async (req, res) => {
+    try {
+        const schedule = await schedulerService.get(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Schedule not found.' });
+        }
+        res.json(schedule);
+    } catch (error) {
+        logger.error('Error fetching schedule:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch schedule.' });
+    }
+});
+
+app.put('/api/schedules/:id', requireRole('analyst'), async (req, res) => {
+    const { cron, intervalSeconds, jitterSeconds, timezone } = req.body;
+    try {
+        const schedule = await schedulerService.update(req.params.id, { cron, intervalSeconds, jitterSeconds, timezone });
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Schedule not found.' });
+        }
+        res.json({ success: true, message: 'Schedule updated.', schedule });
+    } catch (error) {
+        logger.error('Error updating schedule:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/schedules/:id/pause', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = await schedulerService.pause(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Schedule not found.' });
+        }
+        res.json({ success: true, message: 'Schedule paused.', schedule });
+    } catch (error) {
+        logger.error('Error pausing schedule:', error);
+        res.status(500).json({ success: false, message: 'Failed to pause schedule.' });
+    }
+});
+
+app.post('/api/schedules/:id/resume', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = await schedulerService.resume(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Schedule not found.' });
+        }
+        res.json({ success: true, message: 'Schedule resumed.', schedule });
+    } catch (error) {
+        logger.error('Error resuming schedule:', error);
+        res.status(500).json({ success: false, message: 'Failed to resume schedule.' });
+    }
+});
+
+app.post('/api/schedules/:id/run', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = await schedulerService.runNow(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Schedule not found.' });
+        }
+        res.status(202).json({ success: true, message: 'Poll started.', schedule });
+    } catch (error) {
+        logger.error('Error running schedule:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Monitor Runs
+// 每次轮询的记录：获取和保存的推文数、分析数、通知数、API 调用次数和错误信息
+app.get('/api/runs', async (req, res) => {
+    const { type, targetId, status, since, until, limit, offset } = req.query;
+    try {
+        const runs = await monitorRunService.listRuns({ type, targetId, status, since, until, limit, offset });
+        res.json(runs);
+    } catch (error) {
+        logger.error('Error fetching monitor runs:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/runs/health', async (req, res) => {
+    try {
+        const health = await monitorRunService.getHealth({ type: req.query.type });
+        res.json(health);
+    } catch (error) {
+        logger.error('Error fetching monitor health:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+    try {
+        const run = await monitorRunService.getRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Monitor run not found.' });
+        }
+        res.json(run);
+    } catch (error) {
+        logger.error('Error fetching monitor run:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch monitor run.' });
+    }
+});
+
+// Live Events
+// Server-Sent Events：?types= 按事件类型或分类过滤（如 tweet,analysis.saved），断线重连时按 Last-Event-ID 补发
+const EVENT_HEARTBEAT_INTERVAL = 25000;
+
+app.get('/api/events', (req, res) => {
+    let types;
+    try {
+        types = eventBus.parseTypes(req.query.types);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const send = event => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        const { events, reset } = eventBus.getEventsSince(lastEventId, types);
+        if (reset) {
+            res.write('event: reset\ndata: {}\n\n');
+        }
+        events.forEach(send);
+    }
+
+    const unsubscribe = eventBus.subscribe(send, types);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
 });
 
 // Account Management
@@ -65,10 +392,16 @@ app.get('/api/accounts', async (req, res) => {
     }
 });
 
-app.post('/api/accounts', async (req, res) => {
-    const { username, twitterUserId, consumerKey, consumerSecret, accessToken, accessSecret } = req.body;
+app.post('/api/accounts', requireRole('admin'), async (req, res) => {
+    const { username, twitterUserId } = req.body;
     try {
-        const newAccount = await db.addTwitterAccount(username, twitterUserId, consumerKey, consumerSecret, accessToken, accessSecret);
+        const newAccount = await db.addTwitterAccount({ username, user_id: twitterUserId });
+        // 为新账号回填历史推文，失败不影响账号添加
+        if (config.backfill.onAccountAdd && twitterUserId) {
+            backfillService.createJob(newAccount.lastID).catch(error => {
+                logger.error(`Failed to create backfill job for @${username}: ${error.message}`);
+            });
+        }
         res.status(201).json({ success: true, message: 'Account added successfully.', account: newAccount });
     } catch (error) {
         logger.error('Error adding account:', error);
@@ -76,7 +409,7 @@ app.post('/api/accounts', async (req, res) => {
     }
 });
 
-app.delete('/api/accounts/:id', async (req, res) => {
+app.delete('/api/accounts/:id', requireRole('admin'), async (req, res) => {
     const { id } = req.params;
     try {
         await db.deleteTwitterAccount(id);
@@ -87,16 +420,254 @@ app.delete('/api/accounts/:id', async (req, res) => {
     }
 });
 
+app.put('/api/accounts/:id/analysis', requireRole('admin'), async (req, res) => {
+    const { provider, model } = req.body;
+    try {
+        const account = await accountManager.updateAnalysisSettings(req.params.id, { provider, model });
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'Account not found.' });
+        }
+        res.json({ success: true, message: 'Analysis settings saved.', account });
+    } catch (error) {
+        logger.error('Error updating account analysis settings:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/accounts/:id/profile-changes', async (req, res) => {
+    try {
+        const changes = await profileService.getChanges(req.params.id, { limit: req.query.limit });
+        res.json(changes);
+    } catch (error) {
+        logger.error('Error fetching profile changes:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch profile changes.' });
+    }
+});
+
+app.get('/api/accounts/:id/profile-history', async (req, res) => {
+    try {
+        const history = await profileService.getHistory(req.params.id, { limit: req.query.limit });
+        res.json(history);
+    } catch (error) {
+        logger.error('Error fetching profile history:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch profile history.' });
+    }
+});
+
+// Historical Backfill
+app.get('/api/backfill', async (req, res) => {
+    try {
+        const jobs = await backfillService.listJobs({ accountId: req.query.accountId, status: req.query.status });
+        res.json(jobs);
+    } catch (error) {
+        logger.error('Error fetching backfill jobs:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/accounts/:id/backfill', requireRole('analyst'), async (req, res) => {
+    const { until, maxTweets } = req.body;
+    try {
+        const job = await backfillService.createJob(req.params.id, { until, maxTweets });
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Account not found.' });
+        }
+        res.status(201).json({ success: true, message: 'Backfill job created.', job });
+    } catch (error) {
+        logger.error('Error creating backfill job:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/backfill/:id', async (req, res) => {
+    try {
+        const job = await backfillService.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Backfill job not found.' });
+        }
+        res.json(job);
+    } catch (error) {
+        logger.error('Error fetching backfill job:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch backfill job.' });
+    }
+});
+
+app.post('/api/backfill/:id/cancel', requireRole('analyst'), async (req, res) => {
+    try {
+        const job = await backfillService.cancelJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Backfill job not found.' });
+        }
+        res.json({ success: true, message: 'Backfill job cancelled.', job });
+    } catch (error) {
+        logger.error('Error cancelling backfill job:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/backfill/:id/retry', requireRole('analyst'), async (req, res) => {
+    try {
+        const job = await backfillService.retryJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Backfill job not found.' });
+        }
+        res.json({ success: true, message: 'Backfill job resumed.', job });
+    } catch (error) {
+        logger.error('Error retrying backfill job:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Search Monitors
+app.get('/api/searches', async (req, res) => {
+    try {
+        const searches = await searchManager.getAllSearches({ activeOnly: req.query.active === 'true' });
+        res.json(searches);
+    } catch (error) {
+        logger.error('Error fetching search monitors:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch search monitors.' });
+    }
+});
+
+app.post('/api/searches', requireRole('admin'), async (req, res) => {
+    try {
+        const search = await searchManager.addSearch(req.body);
+        res.status(201).json({ success: true, message: 'Search monitor added successfully.', search });
+    } catch (error) {
+        logger.error('Error adding search monitor:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/searches/:id', async (req, res) => {
+    try {
+        const search = await searchManager.getSearch(req.params.id);
+        if (!search) {
+            return res.status(404).json({ success: false, message: 'Search monitor not found.' });
+        }
+        res.json(search);
+    } catch (error) {
+        logger.error('Error fetching search monitor:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch search monitor.' });
+    }
+});
+
+app.put('/api/searches/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const search = await searchManager.updateSearch(req.params.id, req.body);
+        if (!search) {
+            return res.status(404).json({ success: false, message: 'Search monitor not found.' });
+        }
+        res.json({ success: true, message: 'Search monitor updated successfully.', search });
+    } catch (error) {
+        logger.error('Error updating search monitor:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/searches/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const deleted = await searchManager.removeSearch(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Search monitor not found.' });
+        }
+        res.json({ success: true, message: 'Search monitor deleted successfully.' });
+    } catch (error) {
+        logger.error('Error deleting search monitor:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete search monitor.' });
+    }
+});
+
+app.get('/api/searches/:id/tweets', async (req, res) => {
+    try {
+        const tweets = await searchManager.getSearchTweets(req.params.id, parseInt(req.query.limit) || 50);
+        res.json(tweets);
+    } catch (error) {
+        logger.error('Error fetching search monitor tweets:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch search monitor tweets.' });
+    }
+});
+
+// Alert Rules
+app.get('/api/alerts', async (req, res) => {
+    try {
+        const rules = await alertService.getAllRules({ activeOnly: req.query.active === 'true' });
+        res.json(rules);
+    } catch (error) {
+        logger.error('Error fetching alert rules:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch alert rules.' });
+    }
+});
+
+app.post('/api/alerts', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = await alertService.createRule(req.body);
+        res.status(201).json({ success: true, message: 'Alert rule created successfully.', rule });
+    } catch (error) {
+        logger.error('Error creating alert rule:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/alerts/:id', async (req, res) => {
+    try {
+        const rule = await alertService.getRule(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Alert rule not found.' });
+        }
+        res.json(rule);
+    } catch (error) {
+        logger.error('Error fetching alert rule:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch alert rule.' });
+    }
+});
+
+app.put('/api/alerts/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = await alertService.updateRule(req.params.id, req.body);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Alert rule not found.' });
+        }
+        res.json({ success: true, message: 'Alert rule updated successfully.', rule });
+    } catch (error) {
+        logger.error('Error updating alert rule:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/alerts/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const deleted = await alertService.deleteRule(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Alert rule not found.' });
+        }
+        res.json({ success: true, message: 'Alert rule deleted successfully.' });
+    } catch (error) {
+        logger.error('Error deleting alert rule:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete alert rule.' });
+    }
+});
+
+app.get('/api/alerts/:id/matches', async (req, res) => {
+    try {
+        const matches = await alertService.getMatches(req.params.id, parseInt(req.query.limit) || 50);
+        res.json(matches);
+    } catch (error) {
+        logger.error('Error fetching alert matches:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch alert matches.' });
+    }
+});
+
 // Tweet Browsing
 app.get('/api/tweets', async (req, res) => {
-    const { accountId } = req.query;
+    const { accountId, deleted, limit, offset } = req.query;
     try {
-        let tweets;
-        if (accountId) {
-            tweets = await db.getTweetsByAccountId(accountId);
-        } else {
-            tweets = await db.getAllTweets();
-        }
+        const tweets = await db.getTweets({
+            accountId,
+            deleted: deleted === undefined ? undefined : deleted === 'true',
+            limit,
+            offset
+        });
         res.json(tweets);
     } catch (error) {
         logger.error('Error fetching tweets:', error);
@@ -115,34 +686,331 @@ app.get('/api/tweets/:tweetId/analysis', async (req, res) => {
     }
 });
 
+app.get('/api/tweets/:tweetId/metrics', async (req, res) => {
+    const { tweetId } = req.params;
+    try {
+        const engagement = await metricsService.getEngagement(tweetId);
+        if (!engagement) {
+            return res.status(404).json({ success: false, message: 'Tweet not found.' });
+        }
+        res.json(engagement);
+    } catch (error) {
+        logger.error(`Error fetching metrics for tweet ${tweetId}:`, error);
+        res.status(500).json({ success: false, message: 'Failed to fetch tweet metrics.' });
+    }
+});
+
+app.get('/api/metrics/rising', async (req, res) => {
+    try {
+        const tweets = await metricsService.getRising({ hours: req.query.hours, limit: req.query.limit });
+        res.json(tweets);
+    } catch (error) {
+        logger.error('Error fetching rising tweets:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch rising tweets.' });
+    }
+});
+
+// Full-text Search
+app.get('/api/search', async (req, res) => {
+    const { q, account, since, until, sentiment, hasMedia, includeDeleted, sort, limit, offset } = req.query;
+    try {
+        const result = await tweetSearchService.search({
+            q,
+            account,
+            since,
+            until,
+            sentiment,
+            hasMedia: hasMedia === undefined ? undefined : hasMedia === 'true',
+            includeDeleted: includeDeleted !== 'false',
+            sort,
+            limit,
+            offset
+        });
+        res.json(result);
+    } catch (error) {
+        logger.error('Error searching tweets:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Keyword Trends
+app.get('/api/trends', async (req, res) => {
+    try {
+        res.json(await trendService.getKeywordSeries(req.query));
+    } catch (error) {
+        logger.error('Error fetching keyword trends:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/trends/emerging', async (req, res) => {
+    try {
+        res.json(await trendService.getEmerging({ ...req.query, cluster: req.query.cluster === 'true' }));
+    } catch (error) {
+        logger.error('Error fetching emerging keywords:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/trends/topics', async (req, res) => {
+    try {
+        res.json(await trendService.getTopics(req.query));
+    } catch (error) {
+        logger.error('Error fetching topics:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/trends/synonyms', async (req, res) => {
+    try {
+        res.json(await trendService.getSynonyms());
+    } catch (error) {
+        logger.error('Error fetching keyword synonyms:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch keyword synonyms.' });
+    }
+});
+
+app.post('/api/trends/synonyms', requireRole('analyst'), async (req, res) => {
+    const { canonical, aliases } = req.body;
+    try {
+        const synonyms = await trendService.addSynonyms(canonical, aliases);
+        res.status(201).json({ success: true, message: 'Keyword synonyms saved.', synonyms });
+    } catch (error) {
+        logger.error('Error saving keyword synonyms:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/trends/synonyms/:alias', requireRole('analyst'), async (req, res) => {
+    try {
+        const deleted = await trendService.removeSynonym(req.params.alias);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Keyword synonym not found.' });
+        }
+        res.json({ success: true, message: 'Keyword synonym deleted.' });
+    } catch (error) {
+        logger.error('Error deleting keyword synonym:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete keyword synonym.' });
+    }
+});
+
+// Sentiment Time Series
+app.get('/api/sentiment', async (req, res) => {
+    try {
+        res.json(await sentimentService.getSeries(req.query));
+    } catch (error) {
+        logger.error('Error fetching sentiment series:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/sentiment/compare', async (req, res) => {
+    try {
+        res.json(await sentimentService.compare(req.query));
+    } catch (error) {
+        logger.error('Error comparing account sentiment:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Export
+app.get('/api/export', async (req, res) => {
+    const { format, columns, q, account, since, until, sentiment, hasMedia, includeDeleted } = req.query;
+    const options = {
+        format,
+        columns,
+        filters: {
+            q,
+            account,
+            since,
+            until,
+            sentiment,
+            hasMedia: hasMedia === undefined ? undefined : hasMedia === 'true',
+            includeDeleted: includeDeleted !== 'false'
+        }
+    };
+
+    let normalized;
+    try {
+        normalized = await exportService.normalizeOptions(options);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.setHeader('Content-Type', normalized.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${normalized.filename}"`);
+    try {
+        await exportService.exportTo(res, normalized);
+        res.end();
+    } catch (error) {
+        if (res.destroyed) {
+            logger.warn('Export aborted: client disconnected.');
+            return;
+        }
+        // 响应头已发送，只能中断连接
+        logger.error('Error exporting tweets:', error);
+        res.destroy(error);
+    }
+});
+
+// Import
+// 请求体为归档文件（tweets.js）或 CSV 的原始内容，或者 multipart/form-data 表单（文件字段任意，其他参数也可以作为表单字段）
+app.post('/api/import', requireRole('analyst'), bodyParser.raw({ type: () => true, limit: '200mb' }), async (req, res) => {
+    let params = req.query;
+    let content = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    try {
+        if (isMultipart(req.headers['content-type'])) {
+            const { fields, files } = parseMultipart(content, req.headers['content-type']);
+            if (files.length === 0) {
+                return res.status(400).json({ success: false, message: 'No file uploaded.' });
+            }
+            params = { ...fields, ...req.query };
+            content = files[0].data;
+        }
+
+        const { format, account, userId, analyze } = params;
+        const result = await importService.importContent(content, {
+            format,
+            account,
+            userId,
+            analyze: analyze === 'true'
+        });
+        res.json({ success: true, message: 'Tweets imported.', result });
+    } catch (error) {
+        logger.error('Error importing tweets:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/import/status', async (req, res) => {
+    try {
+        res.json(await importService.getStatus());
+    } catch (error) {
+        logger.error('Error fetching import status:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch import status.' });
+    }
+});
+
 // System Settings
+// 配置保存在 system_config 表中，修改后立即生效；环境变量优先，由环境变量设置的配置项不能修改
+// 密钥不返回给客户端，已设置时返回占位符；保存时收到占位符表示保留原值
+app.get('/api/settings', (req, res) => {
+    res.json(settingsService.list());
+});
+
+app.put('/api/settings', async (req, res) => {
+    try {
+        const settings = await settingsService.update(req.body);
+        res.json({ success: true, message: 'Settings saved.', settings });
+    } catch (error) {
+        logger.error('Error saving settings:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/settings/:key', async (req, res) => {
+    if (!settingsService.get(req.params.key)) {
+        return res.status(404).json({ success: false, message: 'Setting not found.' });
+    }
+    try {
+        const setting = await settingsService.reset(req.params.key);
+        res.json({ success: true, message: 'Setting reset to default.', setting });
+    } catch (error) {
+        logger.error('Error resetting setting:', error);
+        res.status(500).json({ success: false, message: 'Failed to reset setting.' });
+    }
+});
+
 app.get('/api/settings/deepseek', (req, res) => {
-    res.json({ apiKey: config.get('DEEPSEEK_API_KEY', '') });
+    res.json({ apiKey: settingsService.get('deepseek.apiKey').value || '' });
 });
 
-app.post('/api/settings/deepseek', (req, res) => {
-    const { apiKey } = req.body;
-    config.set('DEEPSEEK_API_KEY', apiKey);
-    res.json({ success: true, message: 'Deepseek API Key saved.' });
+app.post('/api/settings/deepseek', async (req, res) => {
+    try {
+        await settingsService.update({ 'deepseek.apiKey': req.body.apiKey });
+        res.json({ success: true, message: 'Deepseek API Key saved.' });
+    } catch (error) {
+        logger.error('Error saving Deepseek API Key:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/settings/llm', (req, res) => {
+    res.json({
+        provider: config.get('llm.provider', 'deepseek'),
+        model: config.get('llm.model') || '',
+        analysisMode: config.get('llm.analysisMode', 'combined'),
+        providers: Object.keys(PROVIDER_TYPES).map(type => ({
+            type,
+            baseUrl: config.get(`${type}.baseUrl`) || '',
+            model: config.get(`${type}.model`) || ''
+        }))
+    });
+});
+
+app.post('/api/settings/llm', async (req, res) => {
+    const { provider, model, analysisMode, baseUrl } = req.body;
+    if (provider && !isSupportedProvider(provider)) {
+        return res.status(400).json({ success: false, message: `Unsupported provider: ${provider}` });
+    }
+
+    const values = {};
+    if (provider) {
+        values['llm.provider'] = provider;
+    }
+    if (model !== undefined) {
+        values['llm.model'] = model;
+    }
+    if (analysisMode) {
+        values['llm.analysisMode'] = analysisMode;
+    }
+    if (baseUrl) {
+        values[`${provider || config.get('llm.provider')}.baseUrl`] = baseUrl;
+    }
+    try {
+        await settingsService.update(values);
+        res.json({ success: true, message: 'Analysis provider settings saved.' });
+    } catch (error) {
+        logger.error('Error saving analysis provider settings:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
 });
 
 app.get('/api/settings/ntfy', (req, res) => {
     res.json({
-        ntfyServer: config.get('NTFY_SERVER', ''),
-        ntfyTopic: config.get('NTFY_TOPIC', '')
+        ntfyServer: config.get('ntfy.server') || '',
+        ntfyTopic: config.get('ntfy.topic') || ''
     });
 });
 
-app.post('/api/settings/ntfy', (req, res) => {
+app.post('/api/settings/ntfy', async (req, res) => {
     const { ntfyServer, ntfyTopic } = req.body;
-    config.set('NTFY_SERVER', ntfyServer);
-    config.set('NTFY_TOPIC', ntfyTopic);
-    res.json({ success: true, message: 'ntfy settings saved.' });
+
+    const values = {};
+    if (ntfyServer !== undefined) {
+        values['ntfy.server'] = ntfyServer;
+    }
+    if (ntfyTopic !== undefined) {
+        values['ntfy.topic'] = ntfyTopic;
+    }
+    try {
+        await settingsService.update(values);
+        res.json({ success: true, message: 'ntfy settings saved.' });
+    } catch (error) {
+        logger.error('Error saving ntfy settings:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
 });
 
 app.post('/api/settings/ntfy/test', async (req, res) => {
     try {
-        await notificationService.sendNotification('Test Notification', 'This is a test notification from your Twitter Monitor System.', 'default', 'tada');
+        const result = await notificationService.testSettingsChannel();
+        if (!result) {
+            return res.status(400).json({ success: false, message: 'ntfy server and topic are not configured.' });
+        }
+        if (!result.success) {
+            return res.status(502).json({ success: false, message: `Test notification failed: ${result.error}` });
+        }
         res.json({ success: true, message: 'Test notification sent.' });
     } catch (error) {
         logger.error('Error sending test ntfy notification:', error);
@@ -150,13 +1018,283 @@ app.post('/api/settings/ntfy/test', async (req, res) => {
     }
 });
 
+// Notification Channels
+app.get('/api/settings/channels', async (req, res) => {
+    try {
+        const channels = await channelManager.getAllChannels();
+        res.json({ types: channelManager.getChannelTypes(), channels: channels.map(channel => channelManager.redactChannel(channel)) });
+    } catch (error) {
+        logger.error('Error fetching notification channels:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch notification channels.' });
+    }
+});
+
+app.post('/api/settings/channels', async (req, res) => {
+    try {
+        const channel = await channelManager.addChannel(req.body);
+        res.status(201).json({ success: true, message: 'Notification channel added.', channel: channelManager.redactChannel(channel) });
+    } catch (error) {
+        logger.error('Error adding notification channel:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/settings/channels/:id', async (req, res) => {
+    try {
+        const channel = await channelManager.updateChannel(req.params.id, req.body);
+        if (!channel) {
+            return res.status(404).json({ success: false, message: 'Notification channel not found.' });
+        }
+        res.json({ success: true, message: 'Notification channel updated.', channel: channelManager.redactChannel(channel) });
+    } catch (error) {
+        logger.error('Error updating notification channel:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/settings/channels/:id', async (req, res) => {
+    try {
+        const deleted = await channelManager.removeChannel(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Notification channel not found.' });
+        }
+        res.json({ success: true, message: 'Notification channel deleted.' });
+    } catch (error) {
+        logger.error('Error deleting notification channel:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete notification channel.' });
+    }
+});
+
+app.post('/api/settings/channels/:id/test', async (req, res) => {
+    try {
+        const result = await notificationService.testChannel(req.params.id);
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Notification channel not found.' });
+        }
+        if (!result.success) {
+            return res.status(502).json({ success: false, message: `Test notification failed: ${result.error}` });
+        }
+        res.json({ success: true, message: 'Test notification sent.' });
+    } catch (error) {
+        logger.error('Error sending test notification:', error);
+        res.status(500).json({ success: false, message: 'Failed to send test notification.' });
+    }
+});
+
+// Notification Outbox
+app.get('/api/notifications', async (req, res) => {
+    try {
+        const notifications = await notificationService.outbox.list(req.query);
+        res.json(notifications);
+    } catch (error) {
+        logger.error('Error fetching notifications:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/notifications/stats', async (req, res) => {
+    try {
+        res.json(await notificationService.outbox.getStats());
+    } catch (error) {
+        logger.error('Error fetching notification stats:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch notification stats.' });
+    }
+});
+
+app.get('/api/notifications/:id', async (req, res) => {
+    try {
+        const notification = await notificationService.outbox.get(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ success: false, message: 'Notification not found.' });
+        }
+        res.json(notification);
+    } catch (error) {
+        logger.error('Error fetching notification:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch notification.' });
+    }
+});
+
+app.post('/api/notifications/:id/resend', requireRole('analyst'), async (req, res) => {
+    try {
+        const notification = await notificationService.resend(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ success: false, message: 'Notification not found.' });
+        }
+        res.json({ success: true, message: 'Notification requeued.', notification });
+    } catch (error) {
+        logger.error('Error resending notification:', error);
+        res.status(500).json({ success: false, message: 'Failed to resend notification.' });
+    }
+});
+
+// Digest Reports
+app.get('/api/reports', async (req, res) => {
+    try {
+        const reports = await reportService.listReports(req.query);
+        res.json(reports);
+    } catch (error) {
+        logger.error('Error fetching reports:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch reports.' });
+    }
+});
+
+app.post('/api/reports', requireRole('analyst'), async (req, res) => {
+    try {
+        const report = await reportService.generateReport(req.body);
+        res.status(201).json({ success: true, message: 'Report generated.', report });
+    } catch (error) {
+        logger.error('Error generating report:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/reports/schedules', async (req, res) => {
+    try {
+        res.json(await reportService.listSchedules());
+    } catch (error) {
+        logger.error('Error fetching report schedules:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch report schedules.' });
+    }
+});
+
+app.post('/api/reports/schedules', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = await reportService.createSchedule(req.body);
+        res.status(201).json({ success: true, message: 'Report schedule added successfully.', schedule });
+    } catch (error) {
+        logger.error('Error adding report schedule:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/reports/schedules/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = await reportService.updateSchedule(req.params.id, req.body);
+        if (!schedule) {
+            return res.status(404).json({ success: false, message: 'Report schedule not found.' });
+        }
+        res.json({ success: true, message: 'Report schedule updated successfully.', schedule });
+    } catch (error) {
+        logger.error('Error updating report schedule:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/reports/schedules/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const deleted = await reportService.deleteSchedule(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Report schedule not found.' });
+        }
+        res.json({ success: true, message: 'Report schedule deleted successfully.' });
+    } catch (error) {
+        logger.error('Error deleting report schedule:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete report schedule.' });
+    }
+});
+
+app.post('/api/reports/schedules/:id/run', requireRole('analyst'), async (req, res) => {
+    try {
+        const report = await reportService.runSchedule(req.params.id);
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report schedule not found.' });
+        }
+        res.json({ success: true, message: 'Report generated.', report });
+    } catch (error) {
+        logger.error('Error running report schedule:', error);
+        res.status(500).json({ success: false, message: 'Failed to run report schedule.' });
+    }
+});
+
+app.get('/api/reports/:id', async (req, res) => {
+    try {
+        const report = await reportService.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report not found.' });
+        }
+        res.json(report);
+    } catch (error) {
+        logger.error('Error fetching report:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch report.' });
+    }
+});
+
+app.get('/api/reports/:id/html', async (req, res) => {
+    try {
+        const report = await reportService.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report not found.' });
+        }
+        res.type('html').send(reportService.renderHtml(report));
+    } catch (error) {
+        logger.error('Error rendering report:', error);
+        res.status(500).json({ success: false, message: 'Failed to render report.' });
+    }
+});
+
+// Feeds (RSS / Atom / JSON Feed)
+// res.send 会生成 ETag，并根据 If-None-Match / If-Modified-Since 与 Last-Modified 返回 304
+const sendFeed = async (req, res, loadFeed) => {
+    const { format } = req.params;
+    if (!feedService.isSupportedFormat(format)) {
+        return res.status(404).json({ success: false, message: 'Feed format not supported.' });
+    }
+    try {
+        const feed = await loadFeed({ limit: req.query.limit });
+        if (!feed) {
+            return res.status(404).json({ success: false, message: 'Feed not found.' });
+        }
+        // 自身地址会写入订阅源（self 链接、Atom id、feed_url）并被阅读器缓存，不能包含 API 令牌
+        const self = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+        self.searchParams.delete('token');
+        const selfUrl = self.toString();
+        res.set({
+            'Content-Type': feedService.getContentType(format),
+            'Last-Modified': feed.updated.toUTCString(),
+            'Cache-Control': 'no-cache'
+        });
+        res.send(feedService.render(feed, format, selfUrl));
+    } catch (error) {
+        logger.error('Error generating feed:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate feed.' });
+    }
+};
+
+app.get('/feeds/all.:format', (req, res) => {
+    sendFeed(req, res, options => feedService.getCombinedFeed(options));
+});
+
+app.get('/feeds/accounts/:username.:format', (req, res) => {
+    sendFeed(req, res, options => feedService.getAccountFeed(req.params.username, options));
+});
+
+app.get('/feeds/searches/:id.:format', (req, res) => {
+    sendFeed(req, res, options => feedService.getSearchFeed(req.params.id, options));
+});
+
+app.get('/feeds/alerts/:ruleId.:format', (req, res) => {
+    sendFeed(req, res, options => feedService.getAlertFeed(req.params.ruleId, options));
+});
+
 // Serve the HTML file
-app.get('/', (req, res) => {
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'login.html'));
+});
+
+app.get('/', requireRole('viewer'), (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'index.html'));
 });
 
 // Initialize database and start server
-db.initDb().then(() => {
+db.initDb().then(async () => {
+    await settingsService.load();
+    await channelManager.encryptStoredSecrets();
+    await authService.ensureAdmin();
+    notificationService.startWorker();
+    backfillService.start();
+    reportService.start();
+    await importService.start();
+    await schedulerService.init();
     app.listen(PORT, () => {
         logger.info(`Server is running on http://localhost:${PORT}`);
         logger.info('Access the dashboard at /');
@@ -169,6 +1307,9 @@ db.initDb().then(() => {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
     logger.info('Shutting down server...');
+    notificationService.stopWorker();
+    reportService.stop();
+    schedulerService.shutdown();
     await db.closeDb();
     process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * 推文导出命令行工具
+ *
+ * 用法:
+ *   node src/cli/export.js [选项]
+ *
+ * 选项:
+ *   --format <csv|ndjson|json>  导出格式，默认 csv
+ *   --columns <a,b,c>           导出的列，默认导出常用列
+ *   --q <query>                 全文检索条件（FTS5 语法）
+ *   --account <username>        账号
+ *   --since <date>              发布时间下限
+ *   --until <date>              发布时间上限
+ *   --sentiment <label>         情感标签
+ *   --has-media <true|false>    是否包含媒体
+ *   --exclude-deleted           不导出已删除的推文
+ *   --output <file>             输出文件，默认输出到标准输出
+ *   --list-columns              列出可导出的列
+ */
+
+const fs = require('fs');
+const database = require('../db/database');
+const ExportService = require('../services/export-service');
+const logger = require('../utils/logger');
+
+/**
+ * 解析 --name value 形式的参数
+ * @param {Array<string>} args - 命令行参数
+ * @returns {Object} 参数
+ */
+function parseArgs(args) {
+  const flags = ['exclude-deleted', 'list-columns'];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      throw new Error(`无法识别的参数: ${args[i]}`);
+    }
+    const name = args[i].slice(2);
+    if (flags.includes(name)) {
+      options[name] = true;
+    } else if (i + 1 < args.length) {
+      options[name] = args[++i];
+    } else {
+      throw new Error(`参数 --${name} 缺少取值`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const exportService = new ExportService();
+
+  // 输出到标准输出时关闭控制台日志，避免混入导出数据
+  if (!args.output) {
+    logger.logger.transports
+      .filter(transport => transport.name === 'console')
+      .forEach(transport => { transport.silent = true; });
+  }
+
+  if (args['list-columns']) {
+    const { columns, defaultColumns } = exportService.getOptions();
+    columns.forEach(column => console.log(`${defaultColumns.includes(column) ? '*' : ' '} ${column}`));
+    return;
+  }
+
+  const options = {
+    format: args.format,
+    columns: args.columns,
+    filters: {
+      q: args.q,
+      account: args.account,
+      since: args.since,
+      until: args.until,
+      sentiment: args.sentiment,
+      hasMedia: args['has-media'] === undefined ? undefined : args['has-media'] === 'true',
+      includeDeleted: !args['exclude-deleted']
+    }
+  };
+
+  // 先校验参数，避免创建空的输出文件
+  await database.init();
+  const normalized = await exportService.normalizeOptions(options);
+
+  const output = args.output ? fs.createWriteStream(args.output) : process.stdout;
+  const count = await exportService.exportTo(output, normalized);
+
+  if (args.output) {
+    await new Promise((resolve, reject) => {
+      output.on('error', reject);
+      output.end(resolve);
+    });
+    console.error(`已导出 ${count} 条推文到 ${args.output}`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
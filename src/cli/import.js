@@ -0,0 +1,72 @@
+/**
+ * 推文导入命令行工具
+ *
+ * 用法:
+ *   node src/cli/import.js <文件> [选项]
+ *
+ * 选项:
+ *   --format <archive|csv>  文件格式，默认根据内容判断
+ *   --account <username>    推文作者；导入归档文件时必须指定，CSV 中没有作者列时使用
+ *   --user-id <id>          作者不在监控列表中时指定其 user_id
+ *   --analyze               导入后分析新增的推文
+ */
+
+const fs = require('fs');
+const database = require('../db/database');
+const importService = require('../services/import-service');
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} args - 命令行参数
+ * @returns {Object} { file, options }
+ */
+function parseArgs(args) {
+  const options = {};
+  let file = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--analyze') {
+      options.analyze = true;
+    } else if (['--format', '--account', '--user-id'].includes(arg)) {
+      if (i + 1 >= args.length) {
+        throw new Error(`参数 ${arg} 缺少取值`);
+      }
+      const name = arg === '--user-id' ? 'userId' : arg.slice(2);
+      options[name] = args[++i];
+    } else if (arg.startsWith('--') || file) {
+      throw new Error(`无法识别的参数: ${arg}`);
+    } else {
+      file = arg;
+    }
+  }
+  return { file, options };
+}
+
+async function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('用法: node src/cli/import.js <文件> [--format archive|csv] [--account username] [--user-id id] [--analyze]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await database.init();
+  const content = await fs.promises.readFile(file);
+  const result = await importService.importContent(content, options);
+
+  console.log(`格式: ${result.format}`);
+  console.log(`共 ${result.total} 条：新增 ${result.imported} 条，重复 ${result.duplicates} 条，跳过 ${result.skipped} 条`);
+  result.errors.forEach(error => console.log(`  第 ${error.line} 条: ${error.message}`));
+
+  if (result.queued > 0) {
+    console.log(`正在分析 ${result.queued} 条新增推文...`);
+    await importService.processAnalysisQueue();
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
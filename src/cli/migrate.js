@@ -0,0 +1,53 @@
+/**
+ * 数据库迁移命令行工具
+ *
+ * 用法:
+ *   node src/cli/migrate.js status        查看当前版本和待执行迁移
+ *   node src/cli/migrate.js up            执行待执行迁移
+ *   node src/cli/migrate.js up --dry-run  验证待执行迁移（执行后回滚）
+ */
+
+const database = require('../db/database');
+
+async function main() {
+  const [command = 'status', ...flags] = process.argv.slice(2);
+
+  switch (command) {
+    case 'status': {
+      const status = await database.getSchemaStatus();
+      console.log(`当前版本: ${status.currentVersion}`);
+      console.log(`最新版本: ${status.latestVersion}`);
+      if (status.pending.length === 0) {
+        console.log('没有待执行的迁移');
+      } else {
+        console.log('待执行的迁移:');
+        status.pending.forEach(m => console.log(`  ${m.version} ${m.name}`));
+      }
+      break;
+    }
+
+    case 'up': {
+      const dryRun = flags.includes('--dry-run');
+      const applied = await database.migrate({ dryRun });
+      if (applied.length === 0) {
+        console.log('数据库已是最新版本');
+      } else {
+        const verb = dryRun ? '验证通过（已回滚）' : '已执行';
+        applied.forEach(m => console.log(`${verb}: ${m.version} ${m.name}`));
+      }
+      break;
+    }
+
+    default:
+      console.error(`未知命令: ${command}`);
+      console.error('用法: node src/cli/migrate.js <status|up> [--dry-run]');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
@@ -0,0 +1,161 @@
+/**
+ * 密钥存储命令行工具
+ *
+ * 用法:
+ *   node src/cli/secrets.js list                            列出可设置的密钥和已保存的密钥（不显示值）
+ *   node src/cli/secrets.js set <名称> [--value <值>]        保存密钥，如 twitter.apiKey、deepseek.apiKey、ntfy.token
+ *   node src/cli/secrets.js delete <名称>                    删除密钥
+ *   node src/cli/secrets.js rotate [--new-key <主密钥>]      轮换主密钥，默认自动生成新主密钥
+ *   node src/cli/secrets.js generate-key                    生成主密钥，用于 SECRETS_MASTER_KEY
+ *
+ * 密钥值从 --value 参数读取；未指定时从终端输入（不回显），或从标准输入读取第一行
+ * 命令行保存的密钥在服务重启后生效（设置页面中修改的密钥立即生效）
+ * 轮换主密钥应在服务停止时执行；主密钥来自 SECRETS_MASTER_KEY 时，需要随后将其更新为输出的新主密钥
+ */
+
+const readline = require('readline');
+const database = require('../db/database');
+const secretsVault = require('../services/secrets-vault');
+const settingsService = require('../services/settings-service');
+
+const VALUE_OPTIONS = ['--value', '--new-key'];
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} args - 命令行参数
+ * @returns {Object} { command, positional, options }
+ */
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      if (i + 1 >= rest.length) {
+        throw new Error(`参数 ${arg} 缺少取值`);
+      }
+      const name = arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+      options[name] = rest[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`无法识别的参数: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { command, positional, options };
+}
+
+/**
+ * 读取密钥值：终端中不回显输入，否则读取标准输入的第一行
+ * @param {string} prompt - 提示
+ * @returns {Promise<string>} 值
+ */
+function readSecret(prompt) {
+  return new Promise((resolve, reject) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    if (process.stdin.isTTY) {
+      // 只显示提示，不回显输入的字符
+      rl._writeToOutput = text => {
+        if (text.includes(prompt)) {
+          rl.output.write(prompt);
+        }
+      };
+    }
+    rl.question(prompt, answer => {
+      rl.close();
+      if (process.stdin.isTTY) {
+        process.stdout.write('\n');
+      }
+      resolve(answer);
+    });
+    rl.on('error', reject);
+  });
+}
+
+/**
+ * 获取密钥类配置项，不存在时报错
+ */
+function findSecretSetting(name) {
+  if (!name) {
+    throw new Error('缺少密钥名称');
+  }
+  const setting = settingsService.get(name);
+  if (!setting || !setting.secret) {
+    const names = settingsService.list().filter(item => item.secret).map(item => item.key);
+    throw new Error(`无法识别的密钥: ${name}，可设置的密钥: ${names.join(', ')}`);
+  }
+  return setting;
+}
+
+async function main() {
+  const { command, positional, options } = parseArgs(process.argv.slice(2));
+  const [name] = positional;
+
+  await database.init();
+
+  switch (command) {
+    case 'list': {
+      const { source, keyId, keyFile } = secretsVault.getKeyInfo();
+      console.log(`主密钥: ${source === 'env' ? 'SECRETS_MASTER_KEY' : keyFile} (${keyId})`);
+
+      const stored = new Map((await secretsVault.list()).map(item => [item.name, item]));
+      settingsService.list().filter(item => item.secret).forEach(item => {
+        const state = item.source === 'env' ? `环境变量 ${item.env}` : stored.has(item.key) ? '已保存' : '未设置';
+        console.log(`${item.key}\t${state}`);
+      });
+      for (const item of stored.values()) {
+        if (item.name.startsWith('channels.')) {
+          console.log(`${item.name}\t已保存（通知渠道）`);
+        }
+      }
+      break;
+    }
+
+    case 'set': {
+      const setting = findSecretSetting(name);
+      if (setting.source === 'env') {
+        throw new Error(`${name} 由环境变量 ${setting.env} 设置，请先移除该环境变量`);
+      }
+      const value = options.value !== undefined ? options.value : await readSecret(`${name}: `);
+      if (!value) {
+        throw new Error('密钥不能为空，删除密钥请使用 delete 命令');
+      }
+      await settingsService.update({ [name]: value });
+      console.log(`已保存密钥: ${name}`);
+      break;
+    }
+
+    case 'delete': {
+      findSecretSetting(name);
+      const deleted = await secretsVault.delete(name);
+      console.log(deleted ? `已删除密钥: ${name}` : `密钥未保存: ${name}`);
+      break;
+    }
+
+    case 'rotate': {
+      const result = await secretsVault.rotate(options.newKey);
+      console.log(`已轮换主密钥 (${result.keyId})，重新加密 ${result.count} 个密钥`);
+      if (result.source === 'env') {
+        console.log('请将 SECRETS_MASTER_KEY 更新为以下新主密钥后再启动服务:');
+        console.log(result.key);
+      }
+      break;
+    }
+
+    case 'generate-key':
+      console.log(secretsVault.generateKey());
+      break;
+
+    default:
+      console.error('用法: node src/cli/secrets.js <list|set|delete|rotate|generate-key> ...');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
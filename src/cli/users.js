@@ -0,0 +1,191 @@
+/**
+ * 用户和 API 令牌管理命令行工具
+ *
+ * 用法:
+ *   node src/cli/users.js list                                   列出用户
+ *   node src/cli/users.js create <用户名> [--role <角色>]         创建用户，角色为 viewer（默认）、analyst 或 admin
+ *   node src/cli/users.js passwd <用户名>                        修改密码
+ *   node src/cli/users.js role <用户名> <角色>                    修改角色
+ *   node src/cli/users.js disable|enable <用户名>                停用或启用用户
+ *   node src/cli/users.js delete <用户名>                        删除用户
+ *   node src/cli/users.js token <用户名> --name <名称> [--scope <角色>] [--expires-in-days <天数>]
+ *                                                               创建 API 令牌
+ *   node src/cli/users.js tokens [用户名]                        列出 API 令牌
+ *   node src/cli/users.js revoke <令牌ID>                        吊销 API 令牌
+ *
+ * 密码从 --password 参数读取；未指定时从终端输入（不回显），或从标准输入读取第一行
+ */
+
+const readline = require('readline');
+const database = require('../db/database');
+const authService = require('../services/auth-service');
+
+const VALUE_OPTIONS = ['--role', '--password', '--name', '--scope', '--expires-in-days'];
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} args - 命令行参数
+ * @returns {Object} { command, positional, options }
+ */
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      if (i + 1 >= rest.length) {
+        throw new Error(`参数 ${arg} 缺少取值`);
+      }
+      const name = arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+      options[name] = rest[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`无法识别的参数: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { command, positional, options };
+}
+
+/**
+ * 读取密码：终端中不回显输入，否则读取标准输入的第一行
+ * @param {string} prompt - 提示
+ * @returns {Promise<string>} 密码
+ */
+function readPassword(prompt) {
+  return new Promise((resolve, reject) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    if (process.stdin.isTTY) {
+      // 只显示提示，不回显输入的字符
+      rl._writeToOutput = text => {
+        if (text.includes(prompt)) {
+          rl.output.write(prompt);
+        }
+      };
+    }
+    rl.question(prompt, answer => {
+      rl.close();
+      if (process.stdin.isTTY) {
+        process.stdout.write('\n');
+      }
+      resolve(answer);
+    });
+    rl.on('error', reject);
+  });
+}
+
+/**
+ * 按用户名获取用户，不存在时报错
+ */
+async function findUser(username) {
+  if (!username) {
+    throw new Error('缺少用户名');
+  }
+  const user = await authService.getUserByUsername(username);
+  if (!user) {
+    throw new Error(`用户不存在: ${username}`);
+  }
+  return user;
+}
+
+async function main() {
+  const { command, positional, options } = parseArgs(process.argv.slice(2));
+  const [name, value] = positional;
+
+  await database.init();
+
+  switch (command) {
+    case 'list': {
+      const users = await authService.listUsers();
+      if (users.length === 0) {
+        console.log('没有用户');
+      }
+      users.forEach(user => {
+        console.log(`${user.id}\t${user.username}\t${user.role}\t${user.is_active ? '启用' : '停用'}\t最后登录: ${user.last_login_at || '-'}`);
+      });
+      break;
+    }
+
+    case 'create': {
+      const password = options.password || await readPassword('密码: ');
+      const user = await authService.createUser({ username: name, password, role: options.role });
+      console.log(`已创建用户: ${user.username} (${user.role})`);
+      break;
+    }
+
+    case 'passwd': {
+      const user = await findUser(name);
+      const password = options.password || await readPassword('新密码: ');
+      await authService.updateUser(user.id, { password });
+      console.log(`已修改密码: ${user.username}，该用户的登录会话已失效`);
+      break;
+    }
+
+    case 'role': {
+      const user = await findUser(name);
+      await authService.updateUser(user.id, { role: value });
+      console.log(`已修改角色: ${user.username} -> ${value}`);
+      break;
+    }
+
+    case 'disable':
+    case 'enable': {
+      const user = await findUser(name);
+      await authService.updateUser(user.id, { is_active: command === 'enable' });
+      console.log(`已${command === 'enable' ? '启用' : '停用'}用户: ${user.username}`);
+      break;
+    }
+
+    case 'delete': {
+      const user = await findUser(name);
+      await authService.deleteUser(user.id);
+      console.log(`已删除用户: ${user.username}`);
+      break;
+    }
+
+    case 'token': {
+      const user = await findUser(name);
+      const token = await authService.createToken(user.id, {
+        name: options.name,
+        scope: options.scope,
+        expiresInDays: options.expiresInDays
+      });
+      console.log(`已创建 API 令牌 ${token.name} (${token.scope})，请立即保存，之后无法再次查看:`);
+      console.log(token.token);
+      break;
+    }
+
+    case 'tokens': {
+      const user = name ? await findUser(name) : null;
+      const tokens = await authService.listTokens(user ? user.id : undefined);
+      if (tokens.length === 0) {
+        console.log('没有 API 令牌');
+      }
+      tokens.forEach(token => {
+        console.log(`${token.id}\t${token.username}\t${token.name}\t${token.scope}\t${token.token_prefix}…\t过期: ${token.expires_at || '-'}\t最后使用: ${token.last_used_at || '-'}`);
+      });
+      break;
+    }
+
+    case 'revoke': {
+      const revoked = await authService.revokeToken(name);
+      console.log(revoked ? `已吊销 API 令牌: ${name}` : `API 令牌不存在: ${name}`);
+      if (!revoked) {
+        process.exitCode = 1;
+      }
+      break;
+    }
+
+    default:
+      console.error('用法: node src/cli/users.js <list|create|passwd|role|disable|enable|delete|token|tokens|revoke> ...');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
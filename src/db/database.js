@@ -8,18 +8,22 @@ const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const Migrator = require('./migrator');
 
 class Database {
   constructor() {
     this.db = null;
     this.dbPath = config.database.path;
-    this.init();
+    this.migrator = new Migrator(this);
+    this.initPromise = null;
+    this.connect();
   }
 
   /**
-   * 初始化数据库连接
+   * 建立数据库连接
+   * sqlite3 会在连接打开前缓存后续语句，因此这里无需等待
    */
-  init() {
+  connect() {
     try {
       // 确保数据库目录存在
       const dbDir = path.dirname(this.dbPath);
@@ -34,7 +38,6 @@ class Database {
           throw err;
         }
         logger.info('数据库连接成功');
-        this.createTables();
       });
     } catch (error) {
       logger.error('数据库初始化失败:', error);
@@ -43,91 +46,36 @@ class Database {
   }
 
   /**
-   * 创建数据库表
+   * 初始化数据库：执行待执行的迁移
+   * 多次调用只会执行一次
+   * @returns {Promise<void>}
    */
-  createTables() {
-    const tables = [
-      // 监控账号表
-      `CREATE TABLE IF NOT EXISTS monitored_accounts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        user_id TEXT UNIQUE,
-        display_name TEXT,
-        profile_image_url TEXT,
-        description TEXT,
-        followers_count INTEGER DEFAULT 0,
-        following_count INTEGER DEFAULT 0,
-        tweet_count INTEGER DEFAULT 0,
-        is_active BOOLEAN DEFAULT 1,
-        last_tweet_id TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // 推文表
-      `CREATE TABLE IF NOT EXISTS tweets (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        username TEXT NOT NULL,
-        text TEXT NOT NULL,
-        created_at DATETIME NOT NULL,
-        retweet_count INTEGER DEFAULT 0,
-        like_count INTEGER DEFAULT 0,
-        reply_count INTEGER DEFAULT 0,
-        quote_count INTEGER DEFAULT 0,
-        has_media BOOLEAN DEFAULT 0,
-        media_urls TEXT,
-        referenced_tweets TEXT,
-        entities TEXT,
-        raw_data TEXT,
-        collected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES monitored_accounts(user_id)
-      )`,
-      
-      // 分析结果表
-      `CREATE TABLE IF NOT EXISTS tweet_analysis (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        tweet_id TEXT NOT NULL,
-        sentiment_score REAL,
-        sentiment_label TEXT,
-        keywords TEXT,
-        summary TEXT,
-        analysis_data TEXT,
-        analyzed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (tweet_id) REFERENCES tweets(id)
-      )`,
-      
-      // 通知记录表
-      `CREATE TABLE IF NOT EXISTS notifications (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        tweet_id TEXT,
-        type TEXT NOT NULL,
-        title TEXT,
-        message TEXT NOT NULL,
-        status TEXT DEFAULT 'pending',
-        sent_at DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (tweet_id) REFERENCES tweets(id)
-      )`,
-      
-      // 系统配置表
-      `CREATE TABLE IF NOT EXISTS system_config (
-        key TEXT PRIMARY KEY,
-        value TEXT,
-        description TEXT,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`
-    ];
-
-    tables.forEach((sql, index) => {
-      this.db.run(sql, (err) => {
-        if (err) {
-          logger.error(`创建表失败 (${index + 1}):`, err);
-        } else {
-          logger.debug(`表创建成功 (${index + 1})`);
-        }
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.migrate().then(() => undefined);
+      this.initPromise.catch(() => {
+        this.initPromise = null;
       });
-    });
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * 执行数据库迁移
+   * @param {Object} options - 选项
+   * @param {boolean} [options.dryRun=false] - 只验证不提交
+   * @returns {Promise<Array>} 已执行的迁移
+   */
+  migrate(options = {}) {
+    return this.migrator.migrate(options);
+  }
+
+  /**
+   * 获取数据库结构版本信息
+   * @returns {Promise<Object>} 当前版本、最新版本和待执行迁移
+   */
+  getSchemaStatus() {
+    return this.migrator.getStatus();
   }
 
   /**
@@ -146,6 +94,22 @@ class Database {
     });
   }
 
+  /**
+   * 查询单行
+   */
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          logger.error('查询执行失败:', { sql, params, error: err });
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
   /**
    * 执行插入/更新/删除
    */
@@ -165,6 +129,29 @@ class Database {
     });
   }
 
+  /**
+   * 检查表是否存在（表名不区分大小写）
+   * @param {string} tableName - 表名
+   * @returns {Promise<boolean>}
+   */
+  async tableExists(tableName) {
+    const row = await this.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ? COLLATE NOCASE",
+      [tableName]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * 获取表的列名
+   * @param {string} tableName - 表名
+   * @returns {Promise<Array<string>>} 列名列表，表不存在时为空数组
+   */
+  async getColumns(tableName) {
+    const rows = await this.query(`PRAGMA table_info(${JSON.stringify(tableName)})`);
+    return rows.map(row => row.name);
+  }
+
   /**
    * 获取所有监控的 Twitter 账号
    */
@@ -213,6 +200,45 @@ class Database {
     return this.query('SELECT * FROM tweets ORDER BY created_at DESC LIMIT ?', [limit]);
   }
 
+  /**
+   * 查询推文
+   * @param {Object} filters - 过滤条件
+   * @param {number} [filters.accountId] - 监控账号ID
+   * @param {boolean} [filters.deleted] - true 只返回已删除的推文，false 排除已删除的推文，未设置时不过滤
+   * @param {number} [filters.limit=50] - 最大条数
+   * @param {number} [filters.offset=0] - 偏移量
+   */
+  getTweets(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.accountId) {
+      conditions.push('user_id = (SELECT user_id FROM monitored_accounts WHERE id = ?)');
+      params.push(filters.accountId);
+    }
+    if (filters.deleted === true) {
+      conditions.push('deleted_at IS NOT NULL');
+    } else if (filters.deleted === false) {
+      conditions.push('deleted_at IS NULL');
+    }
+
+    let sql = 'SELECT * FROM tweets';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(filters.limit) || 50, parseInt(filters.offset) || 0);
+
+    return this.query(sql, params);
+  }
+
+  /**
+   * 获取监控账号的推文
+   */
+  getTweetsByAccountId(accountId, limit = 50) {
+    return this.getTweets({ accountId, limit });
+  }
+
   /**
    * 获取分析总数
    */
@@ -291,26 +317,7 @@ class Database {
    * 初始化数据库（用于外部调用）
    */
   initDb() {
-    return new Promise((resolve, reject) => {
-      if (this.db) {
-        resolve();
-      } else {
-        // 如果数据库未初始化，重新初始化
-        try {
-          this.init();
-          // 等待数据库连接完成
-          setTimeout(() => {
-            if (this.db) {
-              resolve();
-            } else {
-              reject(new Error('数据库初始化失败'));
-            }
-          }, 1000);
-        } catch (error) {
-          reject(error);
-        }
-      }
-    });
+    return this.init();
   }
 
   /**
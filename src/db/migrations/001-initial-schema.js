@@ -0,0 +1,110 @@
+/**
+ * 001 初始表结构
+ * 与迁移系统引入前 createTables 创建的表一致，已有数据库上重复执行不会产生影响
+ */
+
+const statements = [
+  // 监控账号表
+  `CREATE TABLE IF NOT EXISTS monitored_accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    user_id TEXT UNIQUE,
+    display_name TEXT,
+    profile_image_url TEXT,
+    description TEXT,
+    followers_count INTEGER DEFAULT 0,
+    following_count INTEGER DEFAULT 0,
+    tweet_count INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT 1,
+    last_tweet_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // 推文表
+  `CREATE TABLE IF NOT EXISTS tweets (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    username TEXT NOT NULL,
+    text TEXT NOT NULL,
+    created_at DATETIME NOT NULL,
+    retweet_count INTEGER DEFAULT 0,
+    like_count INTEGER DEFAULT 0,
+    reply_count INTEGER DEFAULT 0,
+    quote_count INTEGER DEFAULT 0,
+    has_media BOOLEAN DEFAULT 0,
+    media_urls TEXT,
+    referenced_tweets TEXT,
+    entities TEXT,
+    raw_data TEXT,
+    collected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES monitored_accounts(user_id)
+  )`,
+
+  // 分析结果表
+  `CREATE TABLE IF NOT EXISTS tweet_analysis (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tweet_id TEXT NOT NULL,
+    sentiment_score REAL,
+    sentiment_label TEXT,
+    keywords TEXT,
+    summary TEXT,
+    analysis_data TEXT,
+    analyzed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tweet_id) REFERENCES tweets(id)
+  )`,
+
+  // 通知记录表
+  `CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tweet_id TEXT,
+    type TEXT NOT NULL,
+    title TEXT,
+    message TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tweet_id) REFERENCES tweets(id)
+  )`,
+
+  // 搜索监控表（保存的搜索查询）
+  `CREATE TABLE IF NOT EXISTS search_monitors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    query TEXT NOT NULL,
+    is_active BOOLEAN DEFAULT 1,
+    since_id TEXT,
+    last_checked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // 搜索监控命中的推文
+  `CREATE TABLE IF NOT EXISTS search_monitor_tweets (
+    monitor_id INTEGER NOT NULL,
+    tweet_id TEXT NOT NULL,
+    found_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (monitor_id, tweet_id),
+    FOREIGN KEY (monitor_id) REFERENCES search_monitors(id),
+    FOREIGN KEY (tweet_id) REFERENCES tweets(id)
+  )`,
+
+  // 系统配置表
+  `CREATE TABLE IF NOT EXISTS system_config (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    description TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+module.exports = {
+  version: 1,
+  name: 'initial-schema',
+
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * 002 统一表名和列名
+ * 早期代码使用 Analysis 表、sentiment/analysis_time 列以及 twitter_accounts.twitter_user_id，
+ * 这里把这些遗留结构中的数据迁移到当前的 tweet_analysis、monitored_accounts 表中。
+ * 注意：SQLite 表名不区分大小写，Tweets 与 tweets 是同一张表，无需迁移。
+ */
+
+/**
+ * 返回列名，不存在时返回备选表达式
+ * @param {Array<string>} columns - 表中的列
+ * @param {Array<string>} candidates - 按优先级排列的候选列名
+ * @param {string} [fallback='NULL'] - 都不存在时使用的表达式
+ * @returns {string} SQL表达式
+ */
+function pickColumn(columns, candidates, fallback = 'NULL') {
+  const found = candidates.find(name => columns.includes(name));
+  return found || fallback;
+}
+
+module.exports = {
+  version: 2,
+  name: 'reconcile-legacy-names',
+
+  async up(db) {
+    // tweet_analysis 使用旧列名时直接重命名
+    const analysisColumns = await db.getColumns('tweet_analysis');
+    if (analysisColumns.includes('sentiment') && !analysisColumns.includes('sentiment_label')) {
+      await db.run('ALTER TABLE tweet_analysis RENAME COLUMN sentiment TO sentiment_label');
+    }
+    if (analysisColumns.includes('analysis_time') && !analysisColumns.includes('analyzed_at')) {
+      await db.run('ALTER TABLE tweet_analysis RENAME COLUMN analysis_time TO analyzed_at');
+    }
+    if (!analysisColumns.includes('sentiment_score')) {
+      await db.run('ALTER TABLE tweet_analysis ADD COLUMN sentiment_score REAL');
+    }
+    if (!analysisColumns.includes('analysis_data')) {
+      await db.run('ALTER TABLE tweet_analysis ADD COLUMN analysis_data TEXT');
+    }
+
+    // AnalysisService 曾写入的 Analysis 表
+    if (await db.tableExists('Analysis')) {
+      const columns = await db.getColumns('Analysis');
+      await db.run(`
+        INSERT INTO tweet_analysis
+        (tweet_id, sentiment_score, sentiment_label, keywords, summary, analysis_data, analyzed_at)
+        SELECT tweet_id,
+               ${pickColumn(columns, ['sentiment_score'])},
+               ${pickColumn(columns, ['sentiment_label', 'sentiment'])},
+               ${pickColumn(columns, ['keywords'])},
+               ${pickColumn(columns, ['summary'])},
+               ${pickColumn(columns, ['analysis_data'])},
+               COALESCE(${pickColumn(columns, ['analyzed_at', 'analysis_time'])}, CURRENT_TIMESTAMP)
+        FROM Analysis
+      `);
+      await db.run('DROP TABLE Analysis');
+    }
+
+    // monitored_accounts 使用 twitter_user_id 列名时重命名
+    const accountColumns = await db.getColumns('monitored_accounts');
+    if (accountColumns.includes('twitter_user_id') && !accountColumns.includes('user_id')) {
+      await db.run('ALTER TABLE monitored_accounts RENAME COLUMN twitter_user_id TO user_id');
+    }
+
+    // README 早期设计中的 twitter_accounts 表：导入账号，原表保留为 legacy_twitter_accounts
+    // 其中的明文凭据列在启动时由 settingsService.load() 移入密钥存储并清空（密钥存储由迁移 015 创建）
+    if (await db.tableExists('twitter_accounts')) {
+      const columns = await db.getColumns('twitter_accounts');
+      await db.run(`
+        INSERT OR IGNORE INTO monitored_accounts (username, user_id, created_at)
+        SELECT username,
+               ${pickColumn(columns, ['user_id', 'twitter_user_id'])},
+               COALESCE(${pickColumn(columns, ['created_at'])}, CURRENT_TIMESTAMP)
+        FROM twitter_accounts
+        WHERE username IS NOT NULL
+      `);
+      await db.run('ALTER TABLE twitter_accounts RENAME TO legacy_twitter_accounts');
+    }
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * 003 告警规则
+ * alert_rules 保存用户定义的告警条件，alert_matches 记录每次命中（含因冷却未发送的命中）
+ */
+
+module.exports = {
+  version: 3,
+  name: 'alert-rules',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE alert_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT 1,
+        conditions TEXT NOT NULL,
+        priority TEXT DEFAULT 'default',
+        tags TEXT,
+        cooldown_seconds INTEGER DEFAULT 0,
+        last_triggered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE alert_matches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        tweet_id TEXT NOT NULL,
+        notified BOOLEAN DEFAULT 0,
+        matched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (rule_id, tweet_id),
+        FOREIGN KEY (rule_id) REFERENCES alert_rules(id),
+        FOREIGN KEY (tweet_id) REFERENCES tweets(id)
+      )
+    `);
+  }
+};
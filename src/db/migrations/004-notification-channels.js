@@ -0,0 +1,23 @@
+/**
+ * 004 通知渠道
+ * 每行是一个已配置的通知渠道，config 为渠道配置的 JSON
+ */
+
+module.exports = {
+  version: 4,
+  name: 'notification-channels',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE notification_channels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        config TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
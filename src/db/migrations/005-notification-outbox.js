@@ -0,0 +1,32 @@
+/**
+ * 005 通知发件箱
+ * notifications 表改为发件箱：每条通知按渠道各保存一行，由投递任务发送并按指数退避重试
+ */
+
+module.exports = {
+  version: 5,
+  name: 'notification-outbox',
+
+  async up(db) {
+    const columns = [
+      "priority TEXT DEFAULT 'default'",
+      'tags TEXT',
+      'channel_id INTEGER',
+      'channel_name TEXT',
+      'channel_type TEXT',
+      'attempts INTEGER DEFAULT 0',
+      'last_error TEXT',
+      'next_attempt_at DATETIME',
+      'updated_at DATETIME'
+    ];
+
+    for (const column of columns) {
+      await db.run(`ALTER TABLE notifications ADD COLUMN ${column}`);
+    }
+
+    await db.run(`
+      CREATE INDEX idx_notifications_status_next_attempt
+      ON notifications (status, next_attempt_at)
+    `);
+  }
+};
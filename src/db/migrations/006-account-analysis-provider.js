@@ -0,0 +1,14 @@
+/**
+ * 006 账号级分析模型
+ * 为监控账号增加分析提供方和模型，为空时使用全局配置
+ */
+
+module.exports = {
+  version: 6,
+  name: 'account-analysis-provider',
+
+  async up(db) {
+    await db.run('ALTER TABLE monitored_accounts ADD COLUMN analysis_provider TEXT');
+    await db.run('ALTER TABLE monitored_accounts ADD COLUMN analysis_model TEXT');
+  }
+};
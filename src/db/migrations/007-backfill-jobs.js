@@ -0,0 +1,35 @@
+/**
+ * 007 历史推文回填任务
+ * 每个任务按 pagination_token 向前翻页获取账号的历史推文，进度保存在表中以便重启后继续
+ */
+
+module.exports = {
+  version: 7,
+  name: 'backfill-jobs',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE backfill_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account_id INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',
+        until_date DATETIME,
+        max_tweets INTEGER,
+        pagination_token TEXT,
+        pages_fetched INTEGER DEFAULT 0,
+        tweets_fetched INTEGER DEFAULT 0,
+        tweets_saved INTEGER DEFAULT 0,
+        oldest_tweet_id TEXT,
+        oldest_tweet_at DATETIME,
+        last_error TEXT,
+        started_at DATETIME,
+        completed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (account_id) REFERENCES monitored_accounts(id)
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_backfill_jobs_status ON backfill_jobs (status)');
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * 008 推文互动数据时间序列
+ * 每次获取到推文时记录一份互动数据快照，用于计算互动曲线和增长速度
+ */
+
+module.exports = {
+  version: 8,
+  name: 'tweet-metrics-history',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE tweet_metrics_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tweet_id TEXT NOT NULL,
+        retweet_count INTEGER DEFAULT 0,
+        like_count INTEGER DEFAULT 0,
+        reply_count INTEGER DEFAULT 0,
+        quote_count INTEGER DEFAULT 0,
+        impression_count INTEGER,
+        captured_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (tweet_id) REFERENCES tweets(id)
+      )
+    `);
+
+    await db.run(`
+      CREATE INDEX idx_tweet_metrics_history_tweet
+      ON tweet_metrics_history (tweet_id, captured_at)
+    `);
+
+    // 已有推文的当前数值作为第一份快照
+    await db.run(`
+      INSERT INTO tweet_metrics_history (tweet_id, retweet_count, like_count, reply_count, quote_count, captured_at)
+      SELECT id, retweet_count, like_count, reply_count, quote_count, COALESCE(collected_at, CURRENT_TIMESTAMP)
+      FROM tweets
+    `);
+  }
+};
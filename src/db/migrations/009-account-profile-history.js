@@ -0,0 +1,44 @@
+/**
+ * 009 账号资料变更跟踪
+ * account_profile_history 保存每次刷新到的资料快照，account_profile_changes 记录检测到的变更
+ */
+
+module.exports = {
+  version: 9,
+  name: 'account-profile-history',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE account_profile_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account_id INTEGER NOT NULL,
+        username TEXT,
+        display_name TEXT,
+        description TEXT,
+        profile_image_url TEXT,
+        followers_count INTEGER,
+        following_count INTEGER,
+        tweet_count INTEGER,
+        captured_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (account_id) REFERENCES monitored_accounts(id)
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE account_profile_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account_id INTEGER NOT NULL,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        delta INTEGER,
+        detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (account_id) REFERENCES monitored_accounts(id)
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_account_profile_history_account ON account_profile_history (account_id, captured_at)');
+    await db.run('CREATE INDEX idx_account_profile_changes_account ON account_profile_changes (account_id, detected_at)');
+    await db.run('ALTER TABLE monitored_accounts ADD COLUMN profile_checked_at DATETIME');
+  }
+};
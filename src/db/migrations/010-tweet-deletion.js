@@ -0,0 +1,16 @@
+/**
+ * 010 已删除推文检测
+ * 推文在复查时无法获取（已删除或作者被封禁）时记录删除时间和原因，原文和 raw_data 保留作为证据
+ */
+
+module.exports = {
+  version: 10,
+  name: 'tweet-deletion',
+
+  async up(db) {
+    await db.run('ALTER TABLE tweets ADD COLUMN deleted_at DATETIME');
+    await db.run('ALTER TABLE tweets ADD COLUMN deletion_reason TEXT');
+    await db.run('ALTER TABLE tweets ADD COLUMN verified_at DATETIME');
+    await db.run('CREATE INDEX idx_tweets_verified_at ON tweets (deleted_at, verified_at)');
+  }
+};
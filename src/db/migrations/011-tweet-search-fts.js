@@ -0,0 +1,70 @@
+/**
+ * 011 推文全文检索
+ * tweets_fts 为 FTS5 虚拟表，索引推文正文以及最新一次分析的摘要和关键词，由触发器与 tweets、tweet_analysis 保持同步
+ * 使用 trigram 分词（见 018），中文等不以空格分词的文字也能按子串检索
+ */
+
+module.exports = {
+  version: 11,
+  name: 'tweet-search-fts',
+
+  async up(db) {
+    await db.run(`
+      CREATE VIRTUAL TABLE tweets_fts USING fts5(
+        tweet_id UNINDEXED,
+        text,
+        summary,
+        keywords,
+        tokenize = 'trigram'
+      )
+    `);
+
+    // 推文
+    await db.run(`
+      CREATE TRIGGER tweets_fts_insert AFTER INSERT ON tweets BEGIN
+        INSERT INTO tweets_fts (tweet_id, text, summary, keywords) VALUES (new.id, new.text, '', '');
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER tweets_fts_update AFTER UPDATE OF text ON tweets BEGIN
+        UPDATE tweets_fts SET text = new.text WHERE tweet_id = old.id;
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER tweets_fts_delete AFTER DELETE ON tweets BEGIN
+        DELETE FROM tweets_fts WHERE tweet_id = old.id;
+      END
+    `);
+
+    // 分析结果：只索引最新一次分析
+    await db.run(`
+      CREATE TRIGGER tweet_analysis_fts_insert AFTER INSERT ON tweet_analysis BEGIN
+        UPDATE tweets_fts SET summary = COALESCE(new.summary, ''), keywords = COALESCE(new.keywords, '')
+        WHERE tweet_id = new.tweet_id;
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER tweet_analysis_fts_update AFTER UPDATE OF summary, keywords ON tweet_analysis BEGIN
+        UPDATE tweets_fts SET summary = COALESCE(new.summary, ''), keywords = COALESCE(new.keywords, '')
+        WHERE tweet_id = new.tweet_id;
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER tweet_analysis_fts_delete AFTER DELETE ON tweet_analysis BEGIN
+        UPDATE tweets_fts
+        SET summary = COALESCE((SELECT summary FROM tweet_analysis WHERE tweet_id = old.tweet_id ORDER BY id DESC LIMIT 1), ''),
+            keywords = COALESCE((SELECT keywords FROM tweet_analysis WHERE tweet_id = old.tweet_id ORDER BY id DESC LIMIT 1), '')
+        WHERE tweet_id = old.tweet_id;
+      END
+    `);
+
+    // 索引已有数据
+    await db.run(`
+      INSERT INTO tweets_fts (tweet_id, text, summary, keywords)
+      SELECT t.id, t.text,
+             COALESCE((SELECT summary FROM tweet_analysis WHERE tweet_id = t.id ORDER BY id DESC LIMIT 1), ''),
+             COALESCE((SELECT keywords FROM tweet_analysis WHERE tweet_id = t.id ORDER BY id DESC LIMIT 1), '')
+      FROM tweets t
+    `);
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * 012 摘要报告
+ * report_schedules 保存定时生成摘要报告的计划（范围为全部账号、单个账号或一组账号），
+ * reports 保存每次生成的报告：统计数据、模型生成的简报和投递状态
+ */
+
+module.exports = {
+  version: 12,
+  name: 'digest-reports',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE report_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        period TEXT NOT NULL DEFAULT 'daily',
+        account_ids TEXT,
+        time TEXT NOT NULL DEFAULT '08:00',
+        weekday INTEGER DEFAULT 1,
+        timezone TEXT,
+        is_active BOOLEAN DEFAULT 1,
+        last_run_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id INTEGER,
+        title TEXT NOT NULL,
+        period TEXT NOT NULL,
+        account_ids TEXT,
+        timezone TEXT,
+        window_start DATETIME NOT NULL,
+        window_end DATETIME NOT NULL,
+        status TEXT DEFAULT 'completed',
+        tweet_count INTEGER DEFAULT 0,
+        stats TEXT,
+        content TEXT,
+        provider TEXT,
+        model TEXT,
+        error TEXT,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (schedule_id) REFERENCES report_schedules(id)
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_reports_schedule ON reports (schedule_id, created_at)');
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * 013 关键词同义词
+ * 统计趋势时将别名（如 btc、比特币）归并到同一个规范关键词
+ */
+
+module.exports = {
+  version: 13,
+  name: 'keyword-synonyms',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE keyword_synonyms (
+        alias TEXT PRIMARY KEY,
+        canonical TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX idx_keyword_synonyms_canonical ON keyword_synonyms (canonical)');
+  }
+};
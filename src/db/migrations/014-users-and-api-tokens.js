@@ -0,0 +1,53 @@
+/**
+ * 014 用户、会话和 API 令牌
+ * users 保存本地用户（scrypt 密码哈希）和角色（viewer、analyst、admin），
+ * user_sessions 保存网页登录会话，api_tokens 保存供脚本使用的令牌；会话和令牌只保存 SHA-256 哈希
+ */
+
+module.exports = {
+  version: 14,
+  name: 'users-and-api-tokens',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        is_active BOOLEAN DEFAULT 1,
+        last_login_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE user_sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        scope TEXT NOT NULL DEFAULT 'viewer',
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_user_sessions_user ON user_sessions (user_id)');
+    await db.run('CREATE INDEX idx_api_tokens_user ON api_tokens (user_id)');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * 015 加密的密钥存储
+ * secrets 保存 API 凭据、渠道令牌等密钥，使用主密钥以 AES-256-GCM 加密，
+ * key_id 为加密时所用主密钥的指纹，用于识别主密钥不匹配和轮换进度
+ */
+
+module.exports = {
+  version: 15,
+  name: 'secrets',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE secrets (
+        name TEXT PRIMARY KEY,
+        key_id TEXT NOT NULL,
+        iv TEXT NOT NULL,
+        auth_tag TEXT NOT NULL,
+        ciphertext TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
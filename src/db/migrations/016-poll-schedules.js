@@ -0,0 +1,36 @@
+/**
+ * 016 轮询计划
+ * poll_schedules 保存每个监控账号和搜索的轮询计划：Cron 表达式或固定间隔（都未设置时使用 monitor.interval）、
+ * 随机抖动、暂停状态、下次执行时间和上次执行结果。running_since 非空表示正在执行，用于避免同一目标重叠执行
+ */
+
+module.exports = {
+  version: 16,
+  name: 'poll-schedules',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE poll_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_type TEXT NOT NULL,
+        target_id INTEGER NOT NULL,
+        cron TEXT,
+        interval_seconds INTEGER,
+        jitter_seconds INTEGER,
+        timezone TEXT,
+        is_paused BOOLEAN DEFAULT 0,
+        next_run_at DATETIME,
+        last_run_at DATETIME,
+        last_status TEXT,
+        last_error TEXT,
+        last_duration_ms INTEGER,
+        running_since DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (target_type, target_id)
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_poll_schedules_next_run ON poll_schedules(next_run_at)');
+  }
+};
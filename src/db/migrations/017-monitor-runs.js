@@ -0,0 +1,37 @@
+/**
+ * 017 轮询记录
+ * monitor_runs 记录每个账号和搜索的每次轮询：开始和结束时间、获取和保存的推文数、分析数、通知数、
+ * Twitter API 调用次数以及错误信息；poll_schedules.consecutive_failures 记录连续失败次数，用于失败通知
+ */
+
+module.exports = {
+  version: 17,
+  name: 'monitor-runs',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE monitor_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id INTEGER,
+        target_type TEXT NOT NULL,
+        target_id INTEGER NOT NULL,
+        triggered_by TEXT NOT NULL DEFAULT 'schedule',
+        status TEXT NOT NULL DEFAULT 'running',
+        started_at DATETIME NOT NULL,
+        finished_at DATETIME,
+        duration_ms INTEGER,
+        tweets_fetched INTEGER DEFAULT 0,
+        tweets_saved INTEGER DEFAULT 0,
+        analyses INTEGER DEFAULT 0,
+        notifications INTEGER DEFAULT 0,
+        api_calls INTEGER DEFAULT 0,
+        error TEXT,
+        error_code TEXT
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_monitor_runs_target ON monitor_runs(target_type, target_id, started_at)');
+    await db.run('CREATE INDEX idx_monitor_runs_started ON monitor_runs(started_at)');
+    await db.run('ALTER TABLE poll_schedules ADD COLUMN consecutive_failures INTEGER DEFAULT 0');
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * 018 推文全文检索改用 trigram 分词
+ * unicode61 按空格和标点切分，连续的中日韩文字被当作一个词，搜索其中的词（如「比特币」）无法匹配。
+ * trigram 按三个字符切分，支持任意位置的子串匹配（不区分大小写）；少于三个字符的搜索词不会匹配任何推文。
+ * 011 已改为直接创建 trigram 表，这里只重建以 unicode61 创建的旧表并重新索引已有数据；
+ * 011 的同步触发器按表名引用 tweets_fts，无需重建
+ */
+
+module.exports = {
+  version: 18,
+  name: 'tweet-search-trigram',
+
+  async up(db) {
+    const table = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tweets_fts'");
+    if (table && /trigram/i.test(table.sql)) {
+      return;
+    }
+
+    await db.run('DROP TABLE IF EXISTS tweets_fts');
+    await db.run(`
+      CREATE VIRTUAL TABLE tweets_fts USING fts5(
+        tweet_id UNINDEXED,
+        text,
+        summary,
+        keywords,
+        tokenize = 'trigram'
+      )
+    `);
+
+    await db.run(`
+      INSERT INTO tweets_fts (tweet_id, text, summary, keywords)
+      SELECT t.id, t.text,
+             COALESCE((SELECT summary FROM tweet_analysis WHERE tweet_id = t.id ORDER BY id DESC LIMIT 1), ''),
+             COALESCE((SELECT keywords FROM tweet_analysis WHERE tweet_id = t.id ORDER BY id DESC LIMIT 1), '')
+      FROM tweets t
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * 019 导入推文分析队列
+ * tweets.analysis_queued_at 非空表示导入时要求分析、尚未处理的推文，进程重启后继续分析
+ */
+
+module.exports = {
+  version: 19,
+  name: 'import-analysis-queue',
+
+  async up(db) {
+    await db.run('ALTER TABLE tweets ADD COLUMN analysis_queued_at DATETIME');
+    await db.run('CREATE INDEX idx_tweets_analysis_queued_at ON tweets (analysis_queued_at)');
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * 数据库迁移模块
+ * 按版本号顺序执行 migrations 目录下的迁移，并记录到 schema_migrations 表
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class Migrator {
+  /**
+   * @param {Object} database - 数据库实例（需提供 run/query 方法）
+   * @param {string} [migrationsDir] - 迁移文件目录
+   */
+  constructor(database, migrationsDir = MIGRATIONS_DIR) {
+    this.database = database;
+    this.migrationsDir = migrationsDir;
+  }
+
+  /**
+   * 加载所有迁移定义
+   * 文件名格式为 `<版本号>-<名称>.js`，导出 { version, name, up(db) }
+   * @returns {Array<Object>} 按版本号升序排列的迁移列表
+   */
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+-.+\.js$/.test(file));
+
+    const migrations = files.map(file => {
+      const migration = require(path.join(this.migrationsDir, file));
+      if (!Number.isInteger(migration.version) || typeof migration.up !== 'function') {
+        throw new Error(`迁移文件格式错误: ${file}`);
+      }
+      return { ...migration, file };
+    });
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`迁移版本号重复: ${migrations[i].version}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  /**
+   * 确保迁移记录表存在
+   */
+  async ensureMigrationsTable() {
+    await this.database.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * 获取已执行的迁移
+   * @returns {Promise<Array>} 迁移记录
+   */
+  async getAppliedMigrations() {
+    await this.ensureMigrationsTable();
+    return this.database.query('SELECT * FROM schema_migrations ORDER BY version');
+  }
+
+  /**
+   * 获取当前数据库版本
+   * @returns {Promise<number>} 当前版本号，未执行任何迁移时为0
+   */
+  async getCurrentVersion() {
+    const applied = await this.getAppliedMigrations();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  /**
+   * 获取待执行的迁移
+   * @returns {Promise<Array>} 待执行的迁移列表
+   */
+  async getPendingMigrations() {
+    const applied = await this.getAppliedMigrations();
+    const appliedVersions = new Set(applied.map(row => row.version));
+    return this.loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+  }
+
+  /**
+   * 获取迁移状态
+   * @returns {Promise<Object>} 当前版本、最新版本和待执行迁移
+   */
+  async getStatus() {
+    const migrations = this.loadMigrations();
+    const pending = await this.getPendingMigrations();
+    return {
+      currentVersion: await this.getCurrentVersion(),
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      pending: pending.map(({ version, name }) => ({ version, name }))
+    };
+  }
+
+  /**
+   * 执行待执行的迁移
+   * 每个迁移在独立事务中执行，失败时回滚并停止后续迁移。
+   * dryRun 模式下所有待执行迁移在同一事务中执行以验证 SQL，结束后整体回滚。
+   * @param {Object} options - 选项
+   * @param {boolean} [options.dryRun=false] - 只验证不提交
+   * @returns {Promise<Array>} 已执行（或验证通过）的迁移
+   */
+  async migrate(options = {}) {
+    const { dryRun = false } = options;
+    const pending = await this.getPendingMigrations();
+    const results = [];
+
+    if (pending.length === 0) {
+      logger.debug('数据库已是最新版本');
+      return results;
+    }
+
+    if (dryRun) {
+      await this.database.run('BEGIN TRANSACTION');
+    }
+
+    try {
+      for (const migration of pending) {
+        await this.applyMigration(migration, dryRun);
+        results.push({ version: migration.version, name: migration.name });
+      }
+    } finally {
+      if (dryRun) {
+        await this.database.run('ROLLBACK');
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 执行单个迁移
+   * @private
+   * @param {Object} migration - 迁移定义
+   * @param {boolean} dryRun - 是否处于验证模式（由调用方管理事务）
+   */
+  async applyMigration(migration, dryRun) {
+    const label = `${migration.version} (${migration.name})`;
+
+    if (!dryRun) {
+      await this.database.run('BEGIN TRANSACTION');
+    }
+
+    try {
+      await migration.up(this.database);
+
+      if (dryRun) {
+        logger.info(`迁移验证通过（未提交）: ${label}`);
+        return;
+      }
+
+      await this.database.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      await this.database.run('COMMIT');
+      logger.info(`迁移执行成功: ${label}`);
+    } catch (error) {
+      if (!dryRun) {
+        await this.database.run('ROLLBACK').catch(() => {});
+      }
+      logger.error(`迁移执行失败: ${label}`, { error });
+      throw new Error(`迁移 ${label} 失败: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Migrator;
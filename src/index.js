@@ -12,6 +12,10 @@ const monitorService = require('./services/monitor-service');
 const analysisService = require('./services/analysis-service');
 const integratedService = require('./services/integrated-service');
 const database = require('./db/database');
+const authService = require('./services/auth-service');
+const settingsService = require('./services/settings-service');
+const { authenticate, requireRole, getSessionToken, setSessionCookie, clearSessionCookie } = require('./middleware/auth');
+const { redactSecrets, isSecretKey, SECRET_PLACEHOLDER } = require('./utils/redact');
 const config = require('./utils/config');
 const logger = require('./utils/logger');
 
@@ -30,6 +34,44 @@ app.set('view engine', 'html');
 app.engine('html', require('ejs').renderFile);
 app.set('views', path.join(__dirname, 'views'));
 
+// 认证：除登录外的接口和页面都需要登录
+app.use(authenticate);
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const session = await authService.login(req.body.username, req.body.password);
+    if (!session) {
+      return res.status(401).json({ error: '用户名或密码错误' });
+    }
+    setSessionCookie(res, session.token, session.expiresAt);
+    res.json(session.user);
+  } catch (error) {
+    if (error.code === 'LOGIN_LOCKED') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: error.message });
+    }
+    logger.error(`登录失败: ${error.message}`);
+    res.status(500).json({ error: '登录失败' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await authService.logout(getSessionToken(req));
+    clearSessionCookie(res);
+    res.json({ message: '已退出登录' });
+  } catch (error) {
+    logger.error(`退出登录失败: ${error.message}`);
+    res.status(500).json({ error: '退出登录失败' });
+  }
+});
+
+app.get('/login', (req, res) => {
+  res.render('login');
+});
+
+app.use('/api', requireRole('viewer'));
+
 // API路由 - 账号管理
 app.get('/api/accounts', async (req, res) => {
   try {
@@ -41,7 +83,7 @@ app.get('/api/accounts', async (req, res) => {
   }
 });
 
-app.post('/api/accounts', async (req, res) => {
+app.post('/api/accounts', requireRole('admin'), async (req, res) => {
   try {
     const account = await accountManager.addAccount(req.body);
     res.status(201).json(account);
@@ -64,7 +106,7 @@ app.get('/api/accounts/:id', async (req, res) => {
   }
 });
 
-app.put('/api/accounts/:id', async (req, res) => {
+app.put('/api/accounts/:id', requireRole('admin'), async (req, res) => {
   try {
     const updated = await accountManager.updateAccount(req.params.id, req.body);
     if (!updated) {
@@ -77,7 +119,7 @@ app.put('/api/accounts/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/accounts/:id', async (req, res) => {
+app.delete('/api/accounts/:id', requireRole('admin'), async (req, res) => {
   try {
     const deleted = await accountManager.deleteAccount(req.params.id);
     if (!deleted) {
@@ -105,7 +147,7 @@ app.get('/api/tweets', async (req, res) => {
   }
 });
 
-app.post('/api/monitor/fetch', async (req, res) => {
+app.post('/api/monitor/fetch', requireRole('analyst'), async (req, res) => {
   try {
     const accountId = req.body.accountId;
     const tweets = accountId 
@@ -132,7 +174,7 @@ app.get('/api/analysis', async (req, res) => {
   }
 });
 
-app.post('/api/analysis/analyze', async (req, res) => {
+app.post('/api/analysis/analyze', requireRole('analyst'), async (req, res) => {
   try {
     const { tweetId, options } = req.body;
     if (!tweetId) {
@@ -152,7 +194,7 @@ app.post('/api/analysis/analyze', async (req, res) => {
   }
 });
 
-app.post('/api/analysis/batch', async (req, res) => {
+app.post('/api/analysis/batch', requireRole('analyst'), async (req, res) => {
   try {
     const { accountId, options } = req.body;
     
@@ -176,7 +218,7 @@ app.post('/api/analysis/batch', async (req, res) => {
 });
 
 // API路由 - 集成服务
-app.post('/api/integrated/start', async (req, res) => {
+app.post('/api/integrated/start', requireRole('analyst'), async (req, res) => {
   try {
     await integratedService.start(req.body);
     res.json({ message: '集成服务已启动' });
@@ -186,7 +228,7 @@ app.post('/api/integrated/start', async (req, res) => {
   }
 });
 
-app.post('/api/integrated/stop', async (req, res) => {
+app.post('/api/integrated/stop', requireRole('analyst'), async (req, res) => {
   try {
     integratedService.stop();
     res.json({ message: '集成服务已停止' });
@@ -217,55 +259,57 @@ app.get('/api/integrated/stats', async (req, res) => {
 });
 
 // 系统配置API
-app.get('/api/config', async (req, res) => {
+// 配置中的密钥、令牌和密码只返回占位符
+app.get('/api/config', requireRole('admin'), async (req, res) => {
   try {
     const key = req.query.key;
     if (key) {
       const value = config.get(key);
-      return res.json({ [key]: value });
+      const secret = key.split('.').some(isSecretKey) && value;
+      return res.json({ [key]: secret ? SECRET_PLACEHOLDER : redactSecrets(value) });
     }
     
-    const allConfig = await config.getAll();
-    res.json(allConfig);
+    res.json(redactSecrets(config));
   } catch (error) {
     logger.error(`获取配置失败: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/config', async (req, res) => {
+app.post('/api/config', requireRole('admin'), async (req, res) => {
   try {
-    const { key, value, description } = req.body;
+    const { key, value } = req.body;
     if (!key || value === undefined) {
       return res.status(400).json({ error: '缺少必要参数' });
     }
     
-    await config.set(key, value, description);
-    res.json({ [key]: value });
+    // 配置项按定义校验后保存到数据库，立即生效
+    await settingsService.update({ [key]: value });
+    res.json({ [key]: settingsService.get(key).value });
   } catch (error) {
     logger.error(`更新配置失败: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
 // 前端路由
-app.get('/', (req, res) => {
+app.get('/', requireRole('viewer'), (req, res) => {
   res.render('index');
 });
 
-app.get('/accounts', (req, res) => {
+app.get('/accounts', requireRole('viewer'), (req, res) => {
   res.render('accounts');
 });
 
-app.get('/tweets', (req, res) => {
+app.get('/tweets', requireRole('viewer'), (req, res) => {
   res.render('tweets');
 });
 
-app.get('/analysis', (req, res) => {
+app.get('/analysis', requireRole('viewer'), (req, res) => {
   res.render('analysis');
 });
 
-app.get('/settings', (req, res) => {
+app.get('/settings', requireRole('admin'), (req, res) => {
   res.render('settings');
 });
 
@@ -275,6 +319,8 @@ async function init() {
     // 初始化数据库
     await database.init();
     logger.info('数据库初始化成功');
+    await settingsService.load();
+    await authService.ensureAdmin();
     
     // 启动Web服务器
     app.listen(PORT, () => {
@@ -0,0 +1,119 @@
+/**
+ * 认证中间件
+ * authenticate 从会话 Cookie 或 Authorization: Bearer <API 令牌> 中识别用户并设置 req.user，
+ * requireRole 要求当前用户具有指定角色：未登录返回 401（页面请求跳转到登录页），权限不足返回 403
+ */
+
+const authService = require('../services/auth-service');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+const SESSION_COOKIE = 'tm_session';
+
+/**
+ * 从 Cookie 请求头中读取会话令牌
+ * @param {Object} req - 请求
+ * @returns {string|null} 会话令牌
+ */
+function getSessionToken(req) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === SESSION_COOKIE) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 从 Authorization 请求头中读取 API 令牌
+ * 订阅源阅读器和浏览器的 EventSource 无法设置请求头，/feeds 和 /api/events 的请求也可以通过 ?token= 传递
+ * @param {Object} req - 请求
+ * @returns {string|null} API 令牌
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (match) {
+    return match[1];
+  }
+  if ((req.path.startsWith('/feeds/') || req.path === '/api/events') && typeof req.query.token === 'string') {
+    return req.query.token;
+  }
+  return null;
+}
+
+/**
+ * 识别当前用户，未登录时 req.user 为 null，是否拒绝由 requireRole 决定
+ */
+async function authenticate(req, res, next) {
+  req.user = null;
+  try {
+    const bearer = getBearerToken(req);
+    if (bearer) {
+      req.user = await authService.authenticateToken(bearer);
+    } else {
+      req.user = await authService.authenticateSession(getSessionToken(req));
+    }
+    next();
+  } catch (error) {
+    logger.error(`认证失败: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * 要求当前用户具有指定角色
+ * @param {string} role - viewer、analyst 或 admin
+ * @returns {Function} 中间件
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html' && !req.path.startsWith('/api/')) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ success: false, message: 'Authentication required.' });
+    }
+    if (!authService.hasRole(req.user.role, role)) {
+      return res.status(403).json({ success: false, message: 'Insufficient permissions.' });
+    }
+    next();
+  };
+}
+
+/**
+ * 设置会话 Cookie
+ * @param {Object} res - 响应
+ * @param {string} token - 会话令牌
+ * @param {Date} expiresAt - 过期时间
+ */
+function setSessionCookie(res, token, expiresAt) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.auth.secureCookie,
+    expires: expiresAt,
+    path: '/'
+  });
+}
+
+/**
+ * 清除会话 Cookie
+ * @param {Object} res - 响应
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: config.auth.secureCookie, path: '/' });
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie
+};
@@ -5,11 +5,23 @@
 
 const database = require('../db/database');
 const TwitterClient = require('../api/twitter');
+const { isSupportedProvider } = require('../api/llm');
 const logger = require('../utils/logger');
+const config = require('../utils/config');
 
 class AccountManager {
   constructor() {
-    this.twitterClient = new TwitterClient();
+    this._twitterClient = null;
+  }
+
+  /**
+   * Twitter客户端，首次使用时创建，以便不调用 Twitter API 的操作无需配置凭据
+   */
+  get twitterClient() {
+    if (!this._twitterClient) {
+      this._twitterClient = new TwitterClient();
+    }
+    return this._twitterClient;
   }
 
   /**
@@ -61,6 +73,15 @@ class AccountManager {
       const result = await database.run(sql, params);
       
       logger.info(`成功添加监控账号: ${username}`, { userId: userInfo.id });
+
+      // 为新账号回填历史推文，失败不影响账号添加
+      // 回填服务依赖 MonitorService，而 MonitorService 依赖本模块，因此在使用时才加载
+      if (config.backfill.onAccountAdd) {
+        const backfillService = require('./backfill-service');
+        backfillService.createJob(result.lastID).catch(error => {
+          logger.error(`创建回填任务失败: ${username}: ${error.message}`);
+        });
+      }
       
       return {
         id: result.lastID,
@@ -172,6 +193,40 @@ class AccountManager {
       throw error;
     }
   }
+
+  /**
+   * 设置账号使用的分析提供方和模型
+   * @param {number} id - 账号ID
+   * @param {Object} settings - 分析设置
+   * @param {string|null} [settings.provider] - 提供方类型，为空时使用全局配置
+   * @param {string|null} [settings.model] - 模型名称，为空时使用全局配置
+   * @returns {Promise<Object|null>} 更新后的账号，不存在时返回 null
+   */
+  async updateAnalysisSettings(id, settings = {}) {
+    try {
+      const provider = settings.provider || null;
+      const model = settings.model ? String(settings.model).trim() : null;
+      if (provider && !isSupportedProvider(provider)) {
+        throw new Error(`不支持的分析模型提供方: ${provider}`);
+      }
+
+      const result = await database.run(
+        `UPDATE monitored_accounts
+         SET analysis_provider = ?, analysis_model = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [provider, model, id]
+      );
+      if (result.changes === 0) {
+        return null;
+      }
+
+      logger.info(`账号分析设置更新成功: ${id}`, { provider, model });
+      return database.get('SELECT * FROM monitored_accounts WHERE id = ?', [id]);
+    } catch (error) {
+      logger.error(`更新账号分析设置失败: ${error.message}`, { id, settings });
+      throw error;
+    }
+  }
 }
 
 module.exports = AccountManager;
@@ -0,0 +1,441 @@
+/**
+ * 告警规则服务
+ * 负责管理告警规则，并在推文分析完成后评估规则、发送匹配的通知
+ */
+
+const database = require('../db/database');
+const notificationService = require('./notification-service');
+const logger = require('../utils/logger');
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const PRIORITIES = ['min', 'low', 'default', 'high', 'urgent'];
+const METRIC_CONDITIONS = ['minLikes', 'minRetweets', 'minReplies', 'minQuotes', 'minEngagement'];
+
+class AlertService {
+  /**
+   * 校验并规范化规则条件
+   * 所有已设置的条件必须同时满足；列表类条件满足其中任意一项即可
+   * @param {Object} conditions - 原始条件
+   * @param {Array<string>} [conditions.accounts] - 账号用户名
+   * @param {Array<string>} [conditions.sentiments] - 情感标签（positive/negative/neutral）
+   * @param {Array<string>} [conditions.keywords] - 关键词，匹配推文文本、摘要或分析关键词
+   * @param {string} [conditions.pattern] - 正则表达式，匹配推文文本或摘要（不区分大小写）
+   * @param {number} [conditions.minLikes] - 最少点赞数，minRetweets/minReplies/minQuotes 同理
+   * @param {number} [conditions.minEngagement] - 最少总互动数（点赞+转推+回复+引用）
+   * @param {boolean} [conditions.hasMedia] - 是否包含媒体
+   * @returns {Object} 规范化后的条件
+   */
+  normalizeConditions(conditions = {}) {
+    if (typeof conditions !== 'object' || Array.isArray(conditions) || conditions === null) {
+      throw new Error('规则条件必须是对象');
+    }
+
+    const normalized = {};
+    const toList = (value, field) => {
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      const items = list.map(item => String(item).trim()).filter(Boolean);
+      if (items.length === 0) {
+        throw new Error(`${field} 不能为空`);
+      }
+      return items;
+    };
+
+    if (conditions.accounts !== undefined) {
+      normalized.accounts = toList(conditions.accounts, 'accounts')
+        .map(username => username.replace(/^@/, '').toLowerCase());
+    }
+
+    if (conditions.sentiments !== undefined) {
+      normalized.sentiments = toList(conditions.sentiments, 'sentiments')
+        .map(sentiment => sentiment.toLowerCase());
+      const invalid = normalized.sentiments.filter(sentiment => !SENTIMENTS.includes(sentiment));
+      if (invalid.length > 0) {
+        throw new Error(`无效的情感标签: ${invalid.join(', ')}`);
+      }
+    }
+
+    if (conditions.keywords !== undefined) {
+      normalized.keywords = toList(conditions.keywords, 'keywords');
+    }
+
+    if (conditions.pattern !== undefined && conditions.pattern !== '') {
+      try {
+        new RegExp(conditions.pattern, 'i');
+      } catch (error) {
+        throw new Error(`无效的正则表达式: ${error.message}`);
+      }
+      normalized.pattern = String(conditions.pattern);
+    }
+
+    for (const field of METRIC_CONDITIONS) {
+      if (conditions[field] !== undefined && conditions[field] !== null) {
+        const value = Number(conditions[field]);
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error(`${field} 必须是非负数`);
+        }
+        normalized[field] = value;
+      }
+    }
+
+    if (conditions.hasMedia !== undefined && conditions.hasMedia !== null) {
+      normalized.hasMedia = Boolean(conditions.hasMedia);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * 校验规则的通知设置
+   * @private
+   * @param {Object} data - 规则数据
+   * @returns {Object} 规范化后的 priority、tags、cooldown_seconds（仅包含已提供的字段）
+   */
+  _normalizeSettings(data) {
+    const settings = {};
+
+    if (data.priority !== undefined) {
+      if (!PRIORITIES.includes(data.priority)) {
+        throw new Error(`无效的优先级: ${data.priority}`);
+      }
+      settings.priority = data.priority;
+    }
+
+    if (data.tags !== undefined) {
+      const tags = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(',');
+      settings.tags = tags.map(tag => String(tag).trim()).filter(Boolean).join(',');
+    }
+
+    if (data.cooldown_seconds !== undefined) {
+      const cooldown = parseInt(data.cooldown_seconds);
+      if (!Number.isInteger(cooldown) || cooldown < 0) {
+        throw new Error('cooldown_seconds 必须是非负整数');
+      }
+      settings.cooldown_seconds = cooldown;
+    }
+
+    return settings;
+  }
+
+  /**
+   * 将数据库行转换为规则对象
+   * @private
+   */
+  _formatRule(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      is_active: Boolean(row.is_active),
+      conditions: JSON.parse(row.conditions || '{}')
+    };
+  }
+
+  /**
+   * 创建告警规则
+   * @param {Object} data - 规则数据（name、conditions、priority、tags、cooldown_seconds、is_active）
+   * @returns {Promise<Object>} 创建的规则
+   */
+  async createRule(data = {}) {
+    try {
+      if (!data.name || !String(data.name).trim()) {
+        throw new Error('缺少规则名称');
+      }
+
+      const conditions = this.normalizeConditions(data.conditions);
+      const settings = this._normalizeSettings(data);
+
+      const result = await database.run(
+        `INSERT INTO alert_rules (name, is_active, conditions, priority, tags, cooldown_seconds)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          String(data.name).trim(),
+          data.is_active === undefined || data.is_active ? 1 : 0,
+          JSON.stringify(conditions),
+          settings.priority || 'default',
+          settings.tags || '',
+          settings.cooldown_seconds || 0
+        ]
+      );
+
+      logger.info(`成功创建告警规则: ${data.name}`);
+      return this.getRule(result.lastID);
+    } catch (error) {
+      logger.error(`创建告警规则失败: ${error.message}`, { data, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新告警规则
+   * @param {number} id - 规则ID
+   * @param {Object} data - 要更新的字段
+   * @returns {Promise<Object|null>} 更新后的规则，不存在时返回 null
+   */
+  async updateRule(id, data = {}) {
+    try {
+      const existing = await this.getRule(id);
+      if (!existing) {
+        return null;
+      }
+
+      const fields = [];
+      const params = [];
+
+      if (data.name !== undefined) {
+        if (!String(data.name).trim()) {
+          throw new Error('规则名称不能为空');
+        }
+        fields.push('name = ?');
+        params.push(String(data.name).trim());
+      }
+
+      if (data.conditions !== undefined) {
+        fields.push('conditions = ?');
+        params.push(JSON.stringify(this.normalizeConditions(data.conditions)));
+      }
+
+      if (data.is_active !== undefined) {
+        fields.push('is_active = ?');
+        params.push(data.is_active ? 1 : 0);
+      }
+
+      const settings = this._normalizeSettings(data);
+      for (const [field, value] of Object.entries(settings)) {
+        fields.push(`${field} = ?`);
+        params.push(value);
+      }
+
+      if (fields.length > 0) {
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(id);
+        await database.run(`UPDATE alert_rules SET ${fields.join(', ')} WHERE id = ?`, params);
+        logger.info(`告警规则更新成功: ${id}`);
+      }
+
+      return this.getRule(id);
+    } catch (error) {
+      logger.error(`更新告警规则失败: ${error.message}`, { id, data, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除告警规则及其命中记录
+   * @param {number} id - 规则ID
+   * @returns {Promise<boolean>} 是否成功删除
+   */
+  async deleteRule(id) {
+    try {
+      await database.run('DELETE FROM alert_matches WHERE rule_id = ?', [id]);
+      const result = await database.run('DELETE FROM alert_rules WHERE id = ?', [id]);
+      if (result.changes > 0) {
+        logger.info(`成功删除告警规则: ${id}`);
+        return true;
+      }
+      return false;
+    } catch (error) {
+      logger.error(`删除告警规则失败: ${error.message}`, { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取告警规则
+   * @param {number} id - 规则ID
+   * @returns {Promise<Object|null>} 规则
+   */
+  async getRule(id) {
+    const row = await database.get('SELECT * FROM alert_rules WHERE id = ?', [id]);
+    return this._formatRule(row);
+  }
+
+  /**
+   * 获取所有告警规则
+   * @param {Object} options - 查询选项
+   * @param {boolean} [options.activeOnly=false] - 是否只返回启用的规则
+   * @returns {Promise<Array>} 规则列表
+   */
+  async getAllRules(options = {}) {
+    let sql = 'SELECT * FROM alert_rules';
+    if (options.activeOnly) {
+      sql += ' WHERE is_active = 1';
+    }
+    sql += ' ORDER BY created_at DESC';
+    const rows = await database.query(sql);
+    return rows.map(row => this._formatRule(row));
+  }
+
+  /**
+   * 获取规则的命中记录
+   * @param {number} ruleId - 规则ID
+   * @param {number} [limit=50] - 最大条数
+   * @returns {Promise<Array>} 命中记录（含推文内容）
+   */
+  async getMatches(ruleId, limit = 50) {
+    return database.query(
+      `SELECT am.*, t.text, t.username, t.created_at AS tweet_created_at
+       FROM alert_matches am
+       LEFT JOIN tweets t ON am.tweet_id = t.id
+       WHERE am.rule_id = ?
+       ORDER BY am.matched_at DESC
+       LIMIT ?`,
+      [ruleId, limit]
+    );
+  }
+
+  /**
+   * 构建规则评估上下文，兼容 API 返回的推文和数据库中的推文行
+   * @param {Object} tweet - 推文
+   * @param {Object} [analysis] - 分析结果
+   * @param {Object} [account] - 所属账号
+   * @returns {Object} 评估上下文
+   */
+  buildContext(tweet, analysis = {}, account = {}) {
+    const metrics = tweet.public_metrics || {};
+    const pick = (name) => Number(metrics[name] ?? tweet[name] ?? 0);
+    const username = account.username || tweet.username || tweet.author?.username || '';
+
+    const context = {
+      id: tweet.id,
+      username,
+      text: tweet.text || '',
+      url: `https://twitter.com/${username}/status/${tweet.id}`,
+      likes: pick('like_count'),
+      retweets: pick('retweet_count'),
+      replies: pick('reply_count'),
+      quotes: pick('quote_count'),
+      hasMedia: Boolean((tweet.media && tweet.media.length > 0) || tweet.has_media),
+      sentiment: (analysis.sentiment || analysis.sentiment_label || '').toLowerCase(),
+      summary: analysis.summary || '',
+      keywords: Array.isArray(analysis.keywords) ? analysis.keywords : []
+    };
+    context.engagement = context.likes + context.retweets + context.replies + context.quotes;
+
+    return context;
+  }
+
+  /**
+   * 判断规则是否匹配
+   * @param {Object} rule - 规则（conditions 已解析）
+   * @param {Object} context - 由 buildContext 生成的上下文
+   * @returns {boolean} 是否匹配
+   */
+  matchRule(rule, context) {
+    const conditions = rule.conditions || {};
+
+    if (conditions.accounts && !conditions.accounts.includes(context.username.toLowerCase())) {
+      return false;
+    }
+
+    if (conditions.sentiments && !conditions.sentiments.includes(context.sentiment)) {
+      return false;
+    }
+
+    if (conditions.keywords) {
+      const haystack = `${context.text}\n${context.summary}`.toLowerCase();
+      const analysisKeywords = context.keywords.map(keyword => String(keyword).toLowerCase());
+      const found = conditions.keywords.some(keyword => {
+        const needle = keyword.toLowerCase();
+        return haystack.includes(needle) || analysisKeywords.includes(needle);
+      });
+      if (!found) {
+        return false;
+      }
+    }
+
+    if (conditions.pattern) {
+      const regex = new RegExp(conditions.pattern, 'i');
+      if (!regex.test(context.text) && !regex.test(context.summary)) {
+        return false;
+      }
+    }
+
+    const thresholds = {
+      minLikes: context.likes,
+      minRetweets: context.retweets,
+      minReplies: context.replies,
+      minQuotes: context.quotes,
+      minEngagement: context.engagement
+    };
+    for (const [field, actual] of Object.entries(thresholds)) {
+      if (conditions[field] !== undefined && actual < conditions[field]) {
+        return false;
+      }
+    }
+
+    if (conditions.hasMedia !== undefined && conditions.hasMedia !== context.hasMedia) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 判断规则是否处于冷却期
+   * @param {Object} rule - 规则
+   * @param {Date} [now=new Date()] - 当前时间
+   * @returns {boolean} 是否处于冷却期
+   */
+  isInCooldown(rule, now = new Date()) {
+    if (!rule.cooldown_seconds || !rule.last_triggered_at) {
+      return false;
+    }
+    // CURRENT_TIMESTAMP 写入的是 UTC 时间，格式为 "YYYY-MM-DD HH:MM:SS"
+    const lastTriggered = new Date(`${rule.last_triggered_at.replace(' ', 'T')}Z`);
+    return now - lastTriggered < rule.cooldown_seconds * 1000;
+  }
+
+  /**
+   * 评估所有启用的规则，并为匹配的规则发送通知
+   * 同一规则对同一推文只会触发一次；冷却期内的命中会被记录但不发送通知
+   * @param {Object} tweet - 推文
+   * @param {Object} analysis - 分析结果
+   * @param {Object} [account] - 所属账号
+   * @returns {Promise<Array>} 已发送通知的规则
+   */
+  async evaluate(tweet, analysis, account = {}) {
+    const rules = await this.getAllRules({ activeOnly: true });
+    const context = this.buildContext(tweet, analysis, account);
+    const triggered = [];
+
+    for (const rule of rules) {
+      try {
+        if (!this.matchRule(rule, context)) {
+          continue;
+        }
+
+        const inCooldown = this.isInCooldown(rule);
+        const recorded = await database.run(
+          'INSERT OR IGNORE INTO alert_matches (rule_id, tweet_id, notified) VALUES (?, ?, ?)',
+          [rule.id, context.id, inCooldown ? 0 : 1]
+        );
+
+        if (recorded.changes === 0) {
+          logger.debug(`推文 ${context.id} 已触发过规则 ${rule.name}`);
+          continue;
+        }
+
+        if (inCooldown) {
+          logger.info(`规则 ${rule.name} 处于冷却期，跳过通知: ${context.id}`);
+          continue;
+        }
+
+        await database.run(
+          'UPDATE alert_rules SET last_triggered_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [rule.id]
+        );
+        await notificationService.sendAlertNotification(rule, context);
+        triggered.push(rule);
+
+        logger.info(`推文 ${context.id} 触发告警规则: ${rule.name}`);
+      } catch (error) {
+        logger.error(`评估告警规则失败: ${rule.name}`, { tweetId: context.id, error });
+      }
+    }
+
+    return triggered;
+  }
+}
+
+module.exports = new AlertService();
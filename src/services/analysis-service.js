@@ -3,9 +3,10 @@
  * 负责协调推文获取和分析流程
  */
 
-const deepseekClient = require('../api/deepseek');
+const { getProvider } = require('../api/llm');
 const database = require('../db/database');
 const logger = require('../utils/logger');
+const eventBus = require('./event-bus');
 
 class AnalysisService {
   constructor() {
@@ -16,6 +17,9 @@ class AnalysisService {
    * 分析单条推文
    * @param {Object} tweet - 推文对象
    * @param {Object} options - 分析选项
+   * @param {string} [options.provider] - 分析提供方，默认取账号设置或全局配置
+   * @param {string} [options.model] - 模型名称，默认取账号设置或全局配置
+   * @param {Object} [options.account] - 推文所属的监控账号，未传入时按推文作者查询
    * @returns {Promise<Object>} - 分析结果
    */
   async analyzeTweet(tweet, options = {}) {
@@ -30,7 +34,12 @@ class AnalysisService {
       }
 
       // 执行内容分析
-      const analysisResult = await deepseekClient.analyzeContent(tweet.text, options);
+      const provider = await this.resolveProvider(tweet, options);
+      const analysisResult = {
+        ...await provider.analyzeContent(tweet.text, options),
+        provider: provider.name,
+        model: provider.model
+      };
       
       // 保存分析结果到数据库
       const analysis = await this.saveAnalysis(tweet.id, analysisResult);
@@ -44,6 +53,28 @@ class AnalysisService {
     }
   }
 
+  /**
+   * 确定推文使用的分析提供方
+   * 优先级：分析选项 > 监控账号设置 > 全局配置
+   * @param {Object} tweet - 推文对象
+   * @param {Object} options - 分析选项
+   * @returns {Promise<BaseLLMProvider>} - 分析提供方
+   */
+  async resolveProvider(tweet, options = {}) {
+    let account = options.account;
+    if (!account && !(options.provider && options.model)) {
+      account = await database.get(
+        'SELECT analysis_provider, analysis_model FROM monitored_accounts WHERE user_id = ? OR username = ?',
+        [tweet.user_id || tweet.author_id || null, tweet.username || tweet.author_username || null]
+      );
+    }
+
+    return getProvider({
+      provider: options.provider || (account && account.analysis_provider),
+      model: options.model || (account && account.analysis_model)
+    });
+  }
+
   /**
    * 批量分析推文
    * @param {Array} tweets - 推文列表
@@ -91,11 +122,11 @@ class AnalysisService {
    * @returns {Promise<Object>} - 保存的分析记录
    */
   async saveAnalysis(tweetId, analysisResult) {
-    const { sentiment, sentimentReason, keywords, summary } = analysisResult;
+    const { sentiment, sentimentScore, sentimentReason, keywords, summary } = analysisResult;
     
     const query = `
-      INSERT INTO Analysis (tweet_id, sentiment, keywords, summary, analysis_time)
-      VALUES (?, ?, ?, ?, datetime('now'))
+      INSERT INTO tweet_analysis (tweet_id, sentiment_score, sentiment_label, keywords, summary, analysis_data, analyzed_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
     `;
     
     const keywordsStr = Array.isArray(keywords) ? keywords.join(',') : '';
@@ -103,20 +134,29 @@ class AnalysisService {
     try {
       const result = await database.run(query, [
         tweetId,
+        typeof sentimentScore === 'number' ? sentimentScore : null,
         sentiment || 'neutral',
         keywordsStr,
-        summary || ''
+        summary || '',
+        JSON.stringify(analysisResult)
       ]);
       
-      return {
+      const analysis = {
         id: result.lastID,
         tweet_id: tweetId,
         sentiment: sentiment || 'neutral',
+        sentiment_score: typeof sentimentScore === 'number' ? sentimentScore : null,
         keywords: keywords || [],
         summary: summary || '',
         sentimentReason: sentimentReason || '',
         analysis_time: new Date().toISOString()
       };
+      eventBus.publish('analysis.saved', {
+        ...analysis,
+        provider: analysisResult.provider || null,
+        model: analysisResult.model || null
+      });
+      return analysis;
       
     } catch (error) {
       logger.error(`保存分析结果失败: ${error.message}`);
@@ -131,12 +171,13 @@ class AnalysisService {
    */
   async getAnalysis(tweetId) {
     const query = `
-      SELECT * FROM Analysis WHERE tweet_id = ?
+      SELECT * FROM tweet_analysis WHERE tweet_id = ?
     `;
     
     try {
       const analysis = await database.get(query, [tweetId]);
       if (analysis) {
+        analysis.sentiment = analysis.sentiment_label;
         analysis.keywords = analysis.keywords ? analysis.keywords.split(',') : [];
       }
       return analysis;
@@ -155,25 +196,26 @@ class AnalysisService {
     const { limit = 100, offset = 0, sentiment = null } = options;
     
     let query = `
-      SELECT a.*, t.text, t.created_at as tweet_created_at, t.author_id
-      FROM Analysis a
-      JOIN Tweets t ON a.tweet_id = t.id
+      SELECT a.*, t.text, t.created_at as tweet_created_at, t.user_id, t.username
+      FROM tweet_analysis a
+      JOIN tweets t ON a.tweet_id = t.id
     `;
     
     const params = [];
     
     if (sentiment) {
-      query += ' WHERE a.sentiment = ?';
+      query += ' WHERE a.sentiment_label = ?';
       params.push(sentiment);
     }
     
-    query += ' ORDER BY a.analysis_time DESC LIMIT ? OFFSET ?';
+    query += ' ORDER BY a.analyzed_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
     
     try {
-      const analyses = await database.all(query, params);
+      const analyses = await database.query(query, params);
       return analyses.map(analysis => ({
         ...analysis,
+        sentiment: analysis.sentiment_label,
         keywords: analysis.keywords ? analysis.keywords.split(',') : []
       }));
     } catch (error) {
@@ -188,10 +230,10 @@ class AnalysisService {
    */
   async getAnalysisStats() {
     const queries = {
-      total: 'SELECT COUNT(*) as count FROM Analysis',
-      positive: 'SELECT COUNT(*) as count FROM Analysis WHERE sentiment = "positive"',
-      negative: 'SELECT COUNT(*) as count FROM Analysis WHERE sentiment = "negative"',
-      neutral: 'SELECT COUNT(*) as count FROM Analysis WHERE sentiment = "neutral"'
+      total: 'SELECT COUNT(*) as count FROM tweet_analysis',
+      positive: "SELECT COUNT(*) as count FROM tweet_analysis WHERE sentiment_label = 'positive'",
+      negative: "SELECT COUNT(*) as count FROM tweet_analysis WHERE sentiment_label = 'negative'",
+      neutral: "SELECT COUNT(*) as count FROM tweet_analysis WHERE sentiment_label = 'neutral'"
     };
     
     try {
@@ -214,7 +256,7 @@ class AnalysisService {
    * @returns {Promise<boolean>} - 删除是否成功
    */
   async deleteAnalysis(analysisId) {
-    const query = 'DELETE FROM Analysis WHERE id = ?';
+    const query = 'DELETE FROM tweet_analysis WHERE id = ?';
     
     try {
       const result = await database.run(query, [analysisId]);
@@ -0,0 +1,487 @@
+/**
+ * 用户认证服务
+ * 管理本地用户、网页登录会话和供脚本使用的 API 令牌
+ *
+ * 角色（权限依次包含）：
+ *   viewer   查看数据
+ *   analyst  触发获取、分析、导入和报告生成
+ *   admin    系统设置、监控账号、通知渠道、用户和密钥
+ * API 令牌的范围（scope）同样取以上角色，实际权限不超过令牌所属用户的角色
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const database = require('../db/database');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'analyst', 'admin'];
+const TOKEN_PREFIX = 'tmk_';
+const MIN_PASSWORD_LENGTH = 8;
+// 用户不存在时用于校验的哈希（密码 unused-password）
+const DUMMY_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${crypto.scryptSync('unused-password', Buffer.alloc(16), 64).toString('base64')}`;
+
+/**
+ * 计算令牌的 SHA-256 哈希，数据库中只保存哈希
+ * @param {string} token - 令牌
+ * @returns {string} 十六进制哈希
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class AuthService {
+  constructor() {
+    // 用户名（小写） -> { count, lockedUntil }
+    this.loginFailures = new Map();
+  }
+
+  /**
+   * 判断角色是否具有所需权限
+   * @param {string} role - 拥有的角色
+   * @param {string} required - 所需的角色
+   * @returns {boolean}
+   */
+  hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.includes(required) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * 校验角色
+   * @param {string} role - 角色
+   * @returns {string} 角色
+   */
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`无效的角色: ${role}，可选 ${ROLES.join('、')}`);
+    }
+    return role;
+  }
+
+  /**
+   * 计算密码哈希，格式为 scrypt$盐$哈希
+   * @param {string} password - 密码
+   * @returns {Promise<string>} 密码哈希
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  /**
+   * 校验密码
+   * @param {string} password - 密码
+   * @param {string} stored - 保存的密码哈希
+   * @returns {Promise<boolean>} 是否匹配
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * 校验密码强度
+   * @private
+   */
+  _validatePassword(password) {
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`密码至少需要 ${MIN_PASSWORD_LENGTH} 个字符`);
+    }
+  }
+
+  /**
+   * 格式化用户记录，不包含密码哈希
+   * @private
+   */
+  _formatUser(row) {
+    if (!row) {
+      return null;
+    }
+    const { password_hash, ...user } = row;
+    return { ...user, is_active: Boolean(row.is_active) };
+  }
+
+  /**
+   * 创建用户
+   * @param {Object} data - 用户数据
+   * @param {string} data.username - 用户名
+   * @param {string} data.password - 密码
+   * @param {string} [data.role=viewer] - 角色
+   * @returns {Promise<Object>} 创建的用户
+   */
+  async createUser(data = {}) {
+    const username = String(data.username || '').trim();
+    if (!/^[\w.-]{2,32}$/.test(username)) {
+      throw new Error('用户名只能包含字母、数字、下划线、点和连字符，长度为 2 到 32');
+    }
+    this._validatePassword(data.password);
+    const role = this.validateRole(data.role || 'viewer');
+
+    const existing = await database.get('SELECT id FROM users WHERE username = ?', [username]);
+    if (existing) {
+      throw new Error(`用户已存在: ${username}`);
+    }
+
+    const result = await database.run(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, await this.hashPassword(data.password), role]
+    );
+    logger.info(`创建用户: ${username} (${role})`);
+    return this.getUser(result.lastID);
+  }
+
+  /**
+   * 更新用户，修改密码、停用用户时使其所有会话失效
+   * @param {number} id - 用户ID
+   * @param {Object} data - 要更新的字段（password、role、is_active）
+   * @returns {Promise<Object|null>} 更新后的用户，不存在时返回 null
+   */
+  async updateUser(id, data = {}) {
+    const existing = await this.getUser(id);
+    if (!existing) {
+      return null;
+    }
+
+    const fields = [];
+    const params = [];
+
+    if (data.password !== undefined) {
+      this._validatePassword(data.password);
+      fields.push('password_hash = ?');
+      params.push(await this.hashPassword(data.password));
+    }
+    if (data.role !== undefined) {
+      fields.push('role = ?');
+      params.push(this.validateRole(data.role));
+    }
+    if (data.is_active !== undefined) {
+      fields.push('is_active = ?');
+      params.push(data.is_active ? 1 : 0);
+    }
+
+    const demoted = (data.role !== undefined && data.role !== 'admin') || data.is_active === false;
+    if (existing.role === 'admin' && existing.is_active && demoted) {
+      await this._ensureAnotherAdmin(id);
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(id);
+      await database.run(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, params);
+      if (data.password !== undefined || data.is_active === false) {
+        await database.run('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+      }
+      logger.info(`更新用户: ${existing.username}`);
+    }
+
+    return this.getUser(id);
+  }
+
+  /**
+   * 删除用户及其会话和 API 令牌
+   * @param {number} id - 用户ID
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async deleteUser(id) {
+    const existing = await this.getUser(id);
+    if (!existing) {
+      return false;
+    }
+    if (existing.role === 'admin' && existing.is_active) {
+      await this._ensureAnotherAdmin(id);
+    }
+
+    await database.run('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+    await database.run('DELETE FROM api_tokens WHERE user_id = ?', [id]);
+    await database.run('DELETE FROM users WHERE id = ?', [id]);
+    logger.info(`删除用户: ${existing.username}`);
+    return true;
+  }
+
+  /**
+   * 避免删除、停用或降级最后一个管理员
+   * @private
+   */
+  async _ensureAnotherAdmin(id) {
+    const row = await database.get(
+      "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND is_active = 1 AND id != ?",
+      [id]
+    );
+    if (row.count === 0) {
+      throw new Error('至少需要保留一个启用的管理员');
+    }
+  }
+
+  /**
+   * 获取用户
+   * @param {number} id - 用户ID
+   * @returns {Promise<Object|null>} 用户
+   */
+  async getUser(id) {
+    const row = await database.get('SELECT * FROM users WHERE id = ?', [id]);
+    return this._formatUser(row);
+  }
+
+  /**
+   * 按用户名获取用户
+   * @param {string} username - 用户名
+   * @returns {Promise<Object|null>} 用户
+   */
+  async getUserByUsername(username) {
+    const row = await database.get('SELECT * FROM users WHERE username = ?', [String(username || '').trim()]);
+    return this._formatUser(row);
+  }
+
+  /**
+   * 获取所有用户
+   * @returns {Promise<Array>} 用户列表
+   */
+  async listUsers() {
+    const rows = await database.query('SELECT * FROM users ORDER BY id');
+    return rows.map(row => this._formatUser(row));
+  }
+
+  /**
+   * 数据库中没有用户时创建初始管理员，应在数据库初始化后调用
+   * 未配置 ADMIN_PASSWORD 时只记录警告，可通过 npm run users -- create 创建
+   */
+  async ensureAdmin() {
+    const row = await database.get('SELECT COUNT(*) AS count FROM users');
+    if (row.count > 0) {
+      return;
+    }
+    if (!config.auth.adminPassword) {
+      logger.warn('No users configured. Set ADMIN_PASSWORD or run `npm run users -- create <username> --role admin` to create an administrator.');
+      return;
+    }
+    await this.createUser({
+      username: config.auth.adminUsername,
+      password: config.auth.adminPassword,
+      role: 'admin'
+    });
+  }
+
+  /**
+   * 登录并创建会话
+   * 同一用户名连续失败 auth.maxLoginAttempts 次后锁定 auth.lockoutMinutes 分钟
+   * @param {string} username - 用户名
+   * @param {string} password - 密码
+   * @returns {Promise<Object|null>} { token, expiresAt, user }，token 只在此时返回；用户名或密码错误时返回 null
+   * @throws {Error} 账号被锁定时抛出 code 为 LOGIN_LOCKED 的错误，retryAfter 为剩余锁定秒数
+   */
+  async login(username, password) {
+    const key = String(username || '').trim().toLowerCase();
+    const failure = this.loginFailures.get(key) || { count: 0, lockedUntil: 0 };
+    if (failure.lockedUntil > Date.now()) {
+      const error = new Error('登录失败次数过多，请稍后再试');
+      error.code = 'LOGIN_LOCKED';
+      error.retryAfter = Math.ceil((failure.lockedUntil - Date.now()) / 1000);
+      throw error;
+    }
+
+    const row = await database.get('SELECT * FROM users WHERE username = ?', [key]);
+    // 用户不存在时同样计算一次哈希，避免通过响应时间判断用户名是否存在
+    const matched = await this.verifyPassword(password, row ? row.password_hash : DUMMY_HASH);
+    if (!row || !row.is_active || !matched) {
+      failure.count++;
+      if (failure.count >= config.auth.maxLoginAttempts) {
+        failure.count = 0;
+        failure.lockedUntil = Date.now() + config.auth.lockoutMinutes * 60 * 1000;
+      }
+      this._recordFailure(key, failure);
+      logger.warn(`登录失败: ${key}`);
+      return null;
+    }
+
+    this.loginFailures.delete(key);
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000);
+
+    await database.run('DELETE FROM user_sessions WHERE expires_at < ?', [new Date().toISOString()]);
+    await database.run(
+      'INSERT INTO user_sessions (id, user_id, expires_at) VALUES (?, ?, ?)',
+      [hashToken(token), row.id, expiresAt.toISOString()]
+    );
+    await database.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+
+    logger.info(`用户登录: ${row.username}`);
+    return { token, expiresAt, user: this._formatUser(row) };
+  }
+
+  /**
+   * 记录登录失败，清理已过期的记录以限制内存占用
+   * @private
+   */
+  _recordFailure(key, failure) {
+    if (this.loginFailures.size >= 10000) {
+      for (const [name, item] of this.loginFailures) {
+        if (item.lockedUntil <= Date.now()) {
+          this.loginFailures.delete(name);
+        }
+      }
+    }
+    this.loginFailures.set(key, failure);
+  }
+
+  /**
+   * 注销会话
+   * @param {string} token - 会话令牌
+   */
+  async logout(token) {
+    if (token) {
+      await database.run('DELETE FROM user_sessions WHERE id = ?', [hashToken(token)]);
+    }
+  }
+
+  /**
+   * 根据会话令牌获取用户
+   * @param {string} token - 会话令牌
+   * @returns {Promise<Object|null>} 用户，会话无效或过期时返回 null
+   */
+  async authenticateSession(token) {
+    if (!token) {
+      return null;
+    }
+    const row = await database.get(
+      `SELECT u.* FROM user_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = ? AND s.expires_at > ? AND u.is_active = 1`,
+      [hashToken(token), new Date().toISOString()]
+    );
+    return row ? { ...this._formatUser(row), authMethod: 'session' } : null;
+  }
+
+  /**
+   * 创建 API 令牌
+   * @param {number} userId - 所属用户ID
+   * @param {Object} data - 令牌数据
+   * @param {string} data.name - 名称，如脚本用途
+   * @param {string} [data.scope] - 范围（viewer、analyst、admin），默认为用户的角色，不能超过用户的角色
+   * @param {number} [data.expiresInDays] - 有效天数，不指定时长期有效
+   * @param {string} [maxRole] - 令牌范围上限，使用 API 令牌创建新令牌时为当前令牌的范围
+   * @returns {Promise<Object>} 令牌信息，token 字段为完整令牌，只在创建时返回
+   */
+  async createToken(userId, data = {}, maxRole = null) {
+    const user = await this.getUser(userId);
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw new Error('令牌名称不能为空');
+    }
+    const limit = maxRole && this.hasRole(user.role, maxRole) ? maxRole : user.role;
+    const scope = this.validateRole(data.scope || limit);
+    if (!this.hasRole(limit, scope)) {
+      throw new Error(`令牌范围不能超过当前角色: ${limit}`);
+    }
+
+    let expiresAt = null;
+    if (data.expiresInDays !== undefined && data.expiresInDays !== null && data.expiresInDays !== '') {
+      const days = Number(data.expiresInDays);
+      if (!(days > 0)) {
+        throw new Error(`无效的有效天数: ${data.expiresInDays}`);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const result = await database.run(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scope, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [user.id, name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), scope, expiresAt]
+    );
+
+    logger.info(`创建 API 令牌: ${name}`, { user: user.username, scope });
+    const created = await database.get('SELECT * FROM api_tokens WHERE id = ?', [result.lastID]);
+    return { ...this._formatToken(created), token };
+  }
+
+  /**
+   * 格式化令牌记录，不包含哈希
+   * @private
+   */
+  _formatToken(row) {
+    if (!row) {
+      return null;
+    }
+    const { token_hash, ...token } = row;
+    return token;
+  }
+
+  /**
+   * 获取 API 令牌列表
+   * @param {number} [userId] - 用户ID，不指定时返回所有用户的令牌
+   * @returns {Promise<Array>} 令牌列表（不含完整令牌）
+   */
+  async listTokens(userId) {
+    const rows = userId
+      ? await database.query(
+        'SELECT t.*, u.username FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.user_id = ? ORDER BY t.id',
+        [userId]
+      )
+      : await database.query('SELECT t.*, u.username FROM api_tokens t JOIN users u ON u.id = t.user_id ORDER BY t.id');
+    return rows.map(row => this._formatToken(row));
+  }
+
+  /**
+   * 吊销 API 令牌
+   * @param {number} id - 令牌ID
+   * @param {number} [userId] - 指定时只能吊销该用户的令牌
+   * @returns {Promise<boolean>} 是否吊销
+   */
+  async revokeToken(id, userId) {
+    const result = userId
+      ? await database.run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId])
+      : await database.run('DELETE FROM api_tokens WHERE id = ?', [id]);
+    if (result.changes > 0) {
+      logger.info(`吊销 API 令牌: ${id}`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 根据 API 令牌获取用户，角色取用户角色和令牌范围中较低的一个
+   * @param {string} token - API 令牌
+   * @returns {Promise<Object|null>} 用户，令牌无效或过期时返回 null
+   */
+  async authenticateToken(token) {
+    if (!token || !String(token).startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+    const row = await database.get(
+      `SELECT u.*, t.id AS token_id, t.scope, t.last_used_at AS token_last_used_at
+       FROM api_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = ? AND (t.expires_at IS NULL OR t.expires_at > ?) AND u.is_active = 1`,
+      [hashToken(token), new Date().toISOString()]
+    );
+    if (!row) {
+      return null;
+    }
+
+    // 最多每分钟记录一次使用时间
+    if (!row.token_last_used_at || Date.now() - new Date(`${row.token_last_used_at}Z`).getTime() > 60 * 1000) {
+      await database.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.token_id]);
+    }
+
+    const { token_id, scope, token_last_used_at, ...user } = row;
+    return {
+      ...this._formatUser(user),
+      role: this.hasRole(user.role, scope) ? scope : user.role,
+      authMethod: 'token',
+      tokenId: token_id
+    };
+  }
+}
+
+module.exports = new AuthService();
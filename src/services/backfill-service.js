@@ -0,0 +1,335 @@
+/**
+ * 历史推文回填服务
+ * 为监控账号按 pagination_token 向前翻页获取历史推文，直到达到截止日期或推文数量
+ *
+ * 任务状态：pending -> running -> completed
+ *                              -> failed
+ *           pending/running -> cancelled
+ *           failed/cancelled -> pending（重试）
+ * 每页处理完成后保存翻页令牌，进程重启后从上次的位置继续
+ */
+
+const MonitorService = require('./monitor-service');
+const database = require('../db/database');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+const STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+class BackfillService {
+  constructor() {
+    // 延迟创建：TwitterClient 在缺少凭据时会抛出异常
+    this.monitorService = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * 获取用于请求和保存推文的监控服务
+   * @private
+   */
+  _getMonitorService() {
+    if (!this.monitorService) {
+      this.monitorService = new MonitorService();
+    }
+    return this.monitorService;
+  }
+
+  /**
+   * 创建回填任务并在后台开始执行
+   * @param {number} accountId - 监控账号ID
+   * @param {Object} [options] - 回填范围，未设置时使用配置 backfill.days / backfill.maxTweets
+   * @param {string} [options.until] - 回填到的最早日期（ISO 8601）
+   * @param {number} [options.maxTweets] - 最多获取的推文数量
+   * @returns {Promise<Object|null>} 创建的任务，账号不存在时返回 null
+   */
+  async createJob(accountId, options = {}) {
+    try {
+      const account = await database.get('SELECT * FROM monitored_accounts WHERE id = ?', [accountId]);
+      if (!account) {
+        return null;
+      }
+      if (!account.user_id) {
+        throw new Error(`账号 ${account.username} 缺少 user_id，无法回填`);
+      }
+
+      const active = await database.get(
+        "SELECT id FROM backfill_jobs WHERE account_id = ? AND status IN ('pending', 'running')",
+        [accountId]
+      );
+      if (active) {
+        throw new Error(`账号 ${account.username} 已有进行中的回填任务: ${active.id}`);
+      }
+
+      let untilDate;
+      if (options.until) {
+        untilDate = new Date(options.until);
+        if (isNaN(untilDate.getTime())) {
+          throw new Error(`无效的回填日期: ${options.until}`);
+        }
+      } else {
+        untilDate = new Date(Date.now() - config.backfill.days * 24 * 60 * 60 * 1000);
+      }
+
+      const maxTweets = options.maxTweets !== undefined ? parseInt(options.maxTweets) : config.backfill.maxTweets;
+      if (!(maxTweets > 0)) {
+        throw new Error(`无效的回填数量: ${options.maxTweets}`);
+      }
+
+      const result = await database.run(
+        'INSERT INTO backfill_jobs (account_id, until_date, max_tweets) VALUES (?, ?, ?)',
+        [accountId, untilDate.toISOString(), maxTweets]
+      );
+
+      logger.info(`创建回填任务: ${result.lastID}`, { username: account.username, until: untilDate.toISOString(), maxTweets });
+      this.processQueue();
+      return this.getJob(result.lastID);
+    } catch (error) {
+      logger.error(`创建回填任务失败: ${error.message}`, { accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取回填任务
+   * @param {number} id - 任务ID
+   * @returns {Promise<Object|null>} 任务
+   */
+  async getJob(id) {
+    return database.get(
+      `SELECT j.*, a.username FROM backfill_jobs j
+       LEFT JOIN monitored_accounts a ON j.account_id = a.id
+       WHERE j.id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * 查询回填任务
+   * @param {Object} filters - 过滤条件
+   * @param {number} [filters.accountId] - 账号ID
+   * @param {string} [filters.status] - 状态
+   * @returns {Promise<Array>} 任务列表
+   */
+  async listJobs(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.accountId) {
+      conditions.push('j.account_id = ?');
+      params.push(filters.accountId);
+    }
+    if (filters.status) {
+      if (!STATUSES.includes(filters.status)) {
+        throw new Error(`无效的回填任务状态: ${filters.status}`);
+      }
+      conditions.push('j.status = ?');
+      params.push(filters.status);
+    }
+
+    let sql = `SELECT j.*, a.username FROM backfill_jobs j
+               LEFT JOIN monitored_accounts a ON j.account_id = a.id`;
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY j.id DESC';
+
+    return database.query(sql, params);
+  }
+
+  /**
+   * 取消回填任务，执行中的任务在当前页处理完成后停止
+   * @param {number} id - 任务ID
+   * @returns {Promise<Object|null>} 任务，不存在时返回 null
+   */
+  async cancelJob(id) {
+    const job = await this.getJob(id);
+    if (!job) {
+      return null;
+    }
+    if (!['pending', 'running'].includes(job.status)) {
+      throw new Error(`回填任务 ${id} 已结束 (${job.status})`);
+    }
+
+    await database.run(
+      "UPDATE backfill_jobs SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [id]
+    );
+    logger.info(`回填任务已取消: ${id}`);
+    return this.getJob(id);
+  }
+
+  /**
+   * 重新执行失败或已取消的任务，从保存的翻页位置继续
+   * @param {number} id - 任务ID
+   * @returns {Promise<Object|null>} 任务，不存在时返回 null
+   */
+  async retryJob(id) {
+    const job = await this.getJob(id);
+    if (!job) {
+      return null;
+    }
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw new Error(`回填任务 ${id} 无法重试 (${job.status})`);
+    }
+
+    const active = await database.get(
+      "SELECT id FROM backfill_jobs WHERE account_id = ? AND status IN ('pending', 'running')",
+      [job.account_id]
+    );
+    if (active) {
+      throw new Error(`账号 ${job.username} 已有进行中的回填任务: ${active.id}`);
+    }
+
+    await database.run(
+      "UPDATE backfill_jobs SET status = 'pending', completed_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [id]
+    );
+    this.processQueue();
+    return this.getJob(id);
+  }
+
+  /**
+   * 恢复中断的任务并开始处理队列，应在数据库初始化后调用
+   */
+  async start() {
+    const result = await database.run(
+      "UPDATE backfill_jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'"
+    );
+    if (result.changes > 0) {
+      logger.warn(`恢复 ${result.changes} 个中断的回填任务`);
+    }
+    this.processQueue();
+  }
+
+  /**
+   * 按创建顺序逐个执行待处理的任务
+   * 任务之间串行执行，以免多个账号同时消耗时间线接口的额度
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+    this.isProcessing = true;
+
+    try {
+      let job;
+      while ((job = await database.get("SELECT * FROM backfill_jobs WHERE status = 'pending' ORDER BY id LIMIT 1"))) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      logger.error(`处理回填任务队列失败: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * 执行回填任务
+   * @param {Object} job - 任务记录
+   */
+  async runJob(job) {
+    const account = await database.get('SELECT * FROM monitored_accounts WHERE id = ?', [job.account_id]);
+
+    try {
+      if (!account) {
+        throw new Error(`账号 ${job.account_id} 不存在`);
+      }
+
+      // 查询待处理任务之后任务可能已被取消
+      const claimed = await database.run(
+        `UPDATE backfill_jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+         updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'`,
+        [job.id]
+      );
+      if (claimed.changes === 0) {
+        return;
+      }
+      logger.info(`开始回填账号 ${account.username} 的历史推文`, { jobId: job.id, until: job.until_date });
+
+      const monitorService = this._getMonitorService();
+      let progress = { ...job };
+
+      while (progress.tweets_fetched < progress.max_tweets) {
+        // 每页之前检查任务是否已被取消
+        const current = await database.get('SELECT status FROM backfill_jobs WHERE id = ?', [job.id]);
+        if (current.status !== 'running') {
+          logger.info(`回填任务 ${job.id} 已停止 (${current.status})`);
+          return;
+        }
+
+        const pageSize = Math.min(Math.max(progress.max_tweets - progress.tweets_fetched, 5), config.backfill.pageSize, 100);
+        const page = await monitorService.twitterClient.getUserTweetsPage(account.user_id, {
+          max_results: pageSize,
+          start_time: progress.until_date,
+          pagination_token: progress.pagination_token || undefined
+        });
+
+        // 首次回填时以最新推文作为后续监控的起点
+        if (!progress.pagination_token && page.tweets.length > 0 && !account.last_tweet_id) {
+          await database.run(
+            'UPDATE monitored_accounts SET last_tweet_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [page.tweets[0].id, account.id]
+          );
+        }
+
+        let saved = 0;
+        for (const tweet of page.tweets) {
+          if (await monitorService.saveTweet(tweet, account)) {
+            saved++;
+          }
+        }
+
+        const oldest = page.tweets[page.tweets.length - 1];
+        progress = {
+          ...progress,
+          pagination_token: page.nextToken,
+          pages_fetched: progress.pages_fetched + 1,
+          tweets_fetched: progress.tweets_fetched + page.tweets.length,
+          tweets_saved: progress.tweets_saved + saved,
+          oldest_tweet_id: oldest ? oldest.id : progress.oldest_tweet_id,
+          oldest_tweet_at: oldest ? oldest.created_at : progress.oldest_tweet_at
+        };
+
+        await database.run(
+          `UPDATE backfill_jobs
+           SET pagination_token = ?, pages_fetched = ?, tweets_fetched = ?, tweets_saved = ?,
+               oldest_tweet_id = ?, oldest_tweet_at = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [
+            progress.pagination_token,
+            progress.pages_fetched,
+            progress.tweets_fetched,
+            progress.tweets_saved,
+            progress.oldest_tweet_id,
+            progress.oldest_tweet_at,
+            job.id
+          ]
+        );
+
+        if (!page.nextToken) {
+          break;
+        }
+      }
+
+      await database.run(
+        `UPDATE backfill_jobs SET status = 'completed', last_error = NULL,
+         completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'`,
+        [job.id]
+      );
+      logger.info(`账号 ${account.username} 回填完成: 获取 ${progress.tweets_fetched} 条，新保存 ${progress.tweets_saved} 条`, {
+        jobId: job.id
+      });
+    } catch (error) {
+      logger.error(`回填任务 ${job.id} 失败: ${error.message}`);
+      // 执行期间任务可能已被取消，不覆盖取消状态；开始执行前失败（如账号已删除）的任务仍为 pending
+      await database.run(
+        `UPDATE backfill_jobs SET status = 'failed', last_error = ?,
+         completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status IN ('pending', 'running')`,
+        [error.message, job.id]
+      );
+    }
+  }
+}
+
+module.exports = new BackfillService();
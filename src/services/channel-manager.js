@@ -0,0 +1,289 @@
+/**
+ * 通知渠道管理服务
+ * 负责管理 notification_channels 表中配置的通知渠道
+ * 渠道配置中的令牌、密码等密钥加密保存在密钥存储中（名称为 channels.<渠道ID>.<配置项>），不写入渠道表
+ */
+
+const database = require('../db/database');
+const { CHANNEL_TYPES, createChannel } = require('./channels');
+const secretsVault = require('./secrets-vault');
+const { isSecretKey, redactSecrets, restoreSecrets } = require('../utils/redact');
+const logger = require('../utils/logger');
+
+class ChannelManager {
+  /**
+   * 将数据库行转换为渠道对象
+   * @private
+   */
+  _formatChannel(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      is_active: Boolean(row.is_active),
+      config: JSON.parse(row.config || '{}')
+    };
+  }
+
+  /**
+   * 将渠道配置拆分为普通配置和密钥（第一层中的字符串配置项）
+   * @private
+   * @returns {Object} { publicConfig, secrets }
+   */
+  _splitSecrets(type, channelConfig = {}) {
+    const ChannelClass = CHANNEL_TYPES[type];
+    const secretOptions = ChannelClass ? ChannelClass.secretOptions : [];
+    const publicConfig = {};
+    const secrets = {};
+    for (const [key, value] of Object.entries(channelConfig || {})) {
+      if ((isSecretKey(key) || secretOptions.includes(key)) && typeof value === 'string') {
+        secrets[key] = value;
+      } else {
+        publicConfig[key] = value;
+      }
+    }
+    return { publicConfig, secrets };
+  }
+
+  /**
+   * 保存渠道的密钥，替换原有密钥
+   * @private
+   */
+  async _saveSecrets(id, secrets) {
+    await secretsVault.deleteAll(`channels.${id}.`);
+    for (const [key, value] of Object.entries(secrets)) {
+      await secretsVault.set(`channels.${id}.${key}`, value);
+    }
+  }
+
+  /**
+   * 将密钥存储中的密钥合并到渠道配置
+   * @private
+   * @param {Array<Object>} channels - 渠道
+   * @returns {Promise<Array<Object>>} 渠道
+   */
+  async _withSecrets(channels) {
+    if (channels.length === 0) {
+      return channels;
+    }
+    const secrets = await secretsVault.getAll('channels.');
+    return channels.map(channel => {
+      const prefix = `channels.${channel.id}.`;
+      const config = { ...channel.config };
+      for (const [name, value] of Object.entries(secrets)) {
+        if (name.startsWith(prefix)) {
+          config[name.slice(prefix.length)] = value;
+        }
+      }
+      return { ...channel, config };
+    });
+  }
+
+  /**
+   * 将旧版本明文保存在渠道表中的密钥移入密钥存储，应在数据库初始化后调用
+   * @returns {Promise<number>} 处理的渠道数量
+   */
+  async encryptStoredSecrets() {
+    const rows = await database.query('SELECT * FROM notification_channels');
+    let count = 0;
+    for (const row of rows) {
+      const channel = this._formatChannel(row);
+      const { publicConfig, secrets } = this._splitSecrets(channel.type, channel.config);
+      if (Object.keys(secrets).length === 0) {
+        continue;
+      }
+      for (const [key, value] of Object.entries(secrets)) {
+        await secretsVault.set(`channels.${channel.id}.${key}`, value);
+      }
+      await database.run('UPDATE notification_channels SET config = ? WHERE id = ?', [JSON.stringify(publicConfig), channel.id]);
+      count++;
+    }
+    if (count > 0) {
+      logger.info(`已将 ${count} 个通知渠道的密钥移入密钥存储`);
+    }
+    return count;
+  }
+
+  /**
+   * 隐藏渠道配置中的令牌、密码等敏感信息，用于返回给接口调用方
+   * @param {Object} channel - 渠道
+   * @returns {Object} 脱敏后的渠道
+   */
+  redactChannel(channel) {
+    if (!channel) {
+      return null;
+    }
+    const ChannelClass = CHANNEL_TYPES[channel.type];
+    return {
+      ...channel,
+      config: redactSecrets(channel.config, ChannelClass ? ChannelClass.secretOptions : [])
+    };
+  }
+
+  /**
+   * 获取支持的渠道类型
+   * @returns {Array<Object>} 类型及其必填配置
+   */
+  getChannelTypes() {
+    return Object.entries(CHANNEL_TYPES).map(([type, ChannelClass]) => ({
+      type,
+      requiredOptions: ChannelClass.requiredOptions
+    }));
+  }
+
+  /**
+   * 获取所有通知渠道
+   * @param {Object} options - 查询选项
+   * @param {boolean} [options.activeOnly=false] - 是否只返回启用的渠道
+   * @returns {Promise<Array>} 渠道列表
+   */
+  async getAllChannels(options = {}) {
+    let sql = 'SELECT * FROM notification_channels';
+    if (options.activeOnly) {
+      sql += ' WHERE is_active = 1';
+    }
+    sql += ' ORDER BY created_at';
+    const rows = await database.query(sql);
+    return this._withSecrets(rows.map(row => this._formatChannel(row)));
+  }
+
+  /**
+   * 获取通知渠道
+   * @param {number} id - 渠道ID
+   * @returns {Promise<Object|null>} 渠道
+   */
+  async getChannel(id) {
+    const row = await database.get('SELECT * FROM notification_channels WHERE id = ?', [id]);
+    if (!row) {
+      return null;
+    }
+    const [channel] = await this._withSecrets([this._formatChannel(row)]);
+    return channel;
+  }
+
+  /**
+   * 添加通知渠道
+   * @param {Object} data - 渠道数据
+   * @param {string} data.name - 名称
+   * @param {string} data.type - 类型（ntfy、webhook、slack、telegram、email）
+   * @param {Object} data.config - 渠道配置
+   * @param {boolean} [data.is_active=true] - 是否启用
+   * @returns {Promise<Object>} 添加的渠道
+   */
+  async addChannel(data = {}) {
+    try {
+      if (!data.name || !String(data.name).trim()) {
+        throw new Error('缺少渠道名称');
+      }
+
+      // 创建一次实例以校验类型和配置
+      createChannel(data.type, data.config);
+      const { publicConfig, secrets } = this._splitSecrets(data.type, data.config);
+
+      const result = await database.run(
+        'INSERT INTO notification_channels (name, type, config, is_active) VALUES (?, ?, ?, ?)',
+        [
+          String(data.name).trim(),
+          data.type,
+          JSON.stringify(publicConfig),
+          data.is_active === undefined || data.is_active ? 1 : 0
+        ]
+      );
+      await this._saveSecrets(result.lastID, secrets);
+
+      logger.info(`成功添加通知渠道: ${data.name} (${data.type})`);
+      return this.getChannel(result.lastID);
+    } catch (error) {
+      logger.error(`添加通知渠道失败: ${error.message}`, { name: data.name, type: data.type });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新通知渠道
+   * @param {number} id - 渠道ID
+   * @param {Object} data - 要更新的字段（name、config、is_active），config 中值为占位符的配置项保留原值
+   * @returns {Promise<Object|null>} 更新后的渠道，不存在时返回 null
+   */
+  async updateChannel(id, data = {}) {
+    try {
+      const existing = await this.getChannel(id);
+      if (!existing) {
+        return null;
+      }
+
+      const fields = [];
+      const params = [];
+
+      if (data.name !== undefined) {
+        fields.push('name = ?');
+        params.push(String(data.name).trim());
+      }
+
+      if (data.config !== undefined) {
+        // 读取时被隐藏的配置项原样提交时保留原值
+        const channelConfig = restoreSecrets(data.config, existing.config);
+        createChannel(existing.type, channelConfig);
+        const { publicConfig, secrets } = this._splitSecrets(existing.type, channelConfig);
+        fields.push('config = ?');
+        params.push(JSON.stringify(publicConfig));
+        await this._saveSecrets(id, secrets);
+      }
+
+      if (data.is_active !== undefined) {
+        fields.push('is_active = ?');
+        params.push(data.is_active ? 1 : 0);
+      }
+
+      if (fields.length > 0) {
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(id);
+        await database.run(`UPDATE notification_channels SET ${fields.join(', ')} WHERE id = ?`, params);
+        logger.info(`通知渠道更新成功: ${id}`);
+      }
+
+      return this.getChannel(id);
+    } catch (error) {
+      logger.error(`更新通知渠道失败: ${error.message}`, { id });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除通知渠道
+   * @param {number} id - 渠道ID
+   * @returns {Promise<boolean>} 是否成功删除
+   */
+  async removeChannel(id) {
+    const result = await database.run('DELETE FROM notification_channels WHERE id = ?', [id]);
+    await secretsVault.deleteAll(`channels.${id}.`);
+    if (result.changes > 0) {
+      logger.info(`成功删除通知渠道: ${id}`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 创建启用渠道的实例
+   * 配置无效的渠道会被跳过并记录日志
+   * @returns {Promise<Array<{ name: string, type: string, channel: Object }>>}
+   */
+  async getActiveProviders() {
+    const channels = await this.getAllChannels({ activeOnly: true });
+    const providers = [];
+
+    for (const row of channels) {
+      try {
+        providers.push({ id: row.id, name: row.name, type: row.type, channel: createChannel(row.type, row.config) });
+      } catch (error) {
+        logger.error(`通知渠道配置无效: ${row.name}`, { error: error.message });
+      }
+    }
+
+    return providers;
+  }
+}
+
+module.exports = ChannelManager;
@@ -0,0 +1,64 @@
+/**
+ * 通知渠道基类
+ * 所有渠道实现 send(notification)，notification 结构为
+ * { title, message, priority, tags }，其中 priority 取值与 ntfy 一致
+ * （min、low、default、high、urgent），tags 为逗号分隔的字符串。
+ */
+
+class BaseChannel {
+  /**
+   * @param {Object} options - 渠道配置
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * 渠道必填的配置项
+   * @returns {Array<string>}
+   */
+  static get requiredOptions() {
+    return [];
+  }
+
+  /**
+   * 除键名包含 token、password 等的配置项外，读取时需要隐藏的配置项
+   * @returns {Array<string>}
+   */
+  static get secretOptions() {
+    return [];
+  }
+
+  /**
+   * 校验渠道配置
+   * @throws {Error} 缺少必填配置时抛出
+   */
+  validate() {
+    const missing = this.constructor.requiredOptions.filter(key => !this.options[key]);
+    if (missing.length > 0) {
+      throw new Error(`缺少渠道配置: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * 发送通知
+   * @param {Object} notification - 通知内容
+   * @returns {Promise<void>}
+   */
+  async send(notification) {
+    throw new Error(`${this.constructor.name} 未实现 send 方法`);
+  }
+
+  /**
+   * 将逗号分隔的标签转换为数组
+   * @protected
+   * @param {string|Array} tags - 标签
+   * @returns {Array<string>}
+   */
+  splitTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+  }
+}
+
+module.exports = BaseChannel;
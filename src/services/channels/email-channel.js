@@ -0,0 +1,51 @@
+/**
+ * SMTP 邮件通知渠道
+ */
+
+const nodemailer = require('nodemailer');
+const BaseChannel = require('./base-channel');
+
+// 邮件 X-Priority：1 最高，5 最低
+const X_PRIORITY = { min: '5', low: '4', default: '3', high: '2', urgent: '1' };
+
+class EmailChannel extends BaseChannel {
+  static get requiredOptions() {
+    return ['host', 'from', 'to'];
+  }
+
+  /**
+   * 创建 SMTP 传输对象
+   * @private
+   */
+  _createTransport() {
+    const { host, port = 587, secure = false, user, pass, ignoreTLS = false } = this.options;
+    return nodemailer.createTransport({
+      host,
+      port: Number(port),
+      secure: Boolean(secure),
+      ignoreTLS: Boolean(ignoreTLS),
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(notification) {
+    const { from, to } = this.options;
+    const transport = this._createTransport();
+
+    try {
+      await transport.sendMail({
+        from,
+        to,
+        subject: notification.title,
+        text: notification.message,
+        headers: {
+          'X-Priority': X_PRIORITY[notification.priority] || X_PRIORITY.default
+        }
+      });
+    } finally {
+      transport.close();
+    }
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,38 @@
+/**
+ * 通知渠道注册表
+ */
+
+const NtfyChannel = require('./ntfy-channel');
+const WebhookChannel = require('./webhook-channel');
+const SlackChannel = require('./slack-channel');
+const TelegramChannel = require('./telegram-channel');
+const EmailChannel = require('./email-channel');
+
+const CHANNEL_TYPES = {
+  ntfy: NtfyChannel,
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  telegram: TelegramChannel,
+  email: EmailChannel
+};
+
+/**
+ * 创建通知渠道实例
+ * @param {string} type - 渠道类型
+ * @param {Object} options - 渠道配置
+ * @returns {BaseChannel} 渠道实例
+ */
+function createChannel(type, options = {}) {
+  const ChannelClass = CHANNEL_TYPES[type];
+  if (!ChannelClass) {
+    throw new Error(`不支持的通知渠道类型: ${type}`);
+  }
+  const channel = new ChannelClass(options);
+  channel.validate();
+  return channel;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  createChannel
+};
@@ -0,0 +1,33 @@
+/**
+ * ntfy 通知渠道
+ * 使用 JSON 方式发布，避免标题中的非 ASCII 字符无法放入请求头
+ */
+
+const axios = require('axios');
+const BaseChannel = require('./base-channel');
+
+const PRIORITY_LEVELS = { min: 1, low: 2, default: 3, high: 4, urgent: 5 };
+
+class NtfyChannel extends BaseChannel {
+  static get requiredOptions() {
+    return ['server', 'topic'];
+  }
+
+  async send(notification) {
+    const { server, topic, token } = this.options;
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    await axios.post(server.replace(/\/+$/, ''), {
+      topic,
+      title: notification.title,
+      message: notification.message,
+      priority: PRIORITY_LEVELS[notification.priority] || PRIORITY_LEVELS.default,
+      tags: this.splitTags(notification.tags)
+    }, { headers, timeout: 10000 });
+  }
+}
+
+module.exports = NtfyChannel;
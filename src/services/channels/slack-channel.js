@@ -0,0 +1,50 @@
+/**
+ * Slack / Discord 兼容的 Incoming Webhook 通知渠道
+ * style 为 slack（默认）时发送 { text }，为 discord 时发送 { content }
+ */
+
+const axios = require('axios');
+const BaseChannel = require('./base-channel');
+
+// Discord 单条消息最多 2000 个字符
+const DISCORD_MAX_LENGTH = 2000;
+
+class SlackChannel extends BaseChannel {
+  static get requiredOptions() {
+    return ['url'];
+  }
+
+  // Incoming Webhook 地址本身就是凭据
+  static get secretOptions() {
+    return ['url'];
+  }
+
+  validate() {
+    super.validate();
+    const { style = 'slack' } = this.options;
+    if (!['slack', 'discord'].includes(style)) {
+      throw new Error(`无效的消息格式: ${style}`);
+    }
+  }
+
+  async send(notification) {
+    const { url, style = 'slack', username } = this.options;
+    const urgent = ['high', 'urgent'].includes(notification.priority);
+
+    let payload;
+    if (style === 'discord') {
+      const content = `${urgent ? '❗ ' : ''}**${notification.title}**\n${notification.message}`;
+      payload = { content: content.slice(0, DISCORD_MAX_LENGTH) };
+    } else {
+      payload = { text: `${urgent ? ':exclamation: ' : ''}*${notification.title}*\n${notification.message}` };
+    }
+
+    if (username) {
+      payload.username = username;
+    }
+
+    await axios.post(url, payload, { timeout: 10000 });
+  }
+}
+
+module.exports = SlackChannel;
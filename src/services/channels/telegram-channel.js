@@ -0,0 +1,30 @@
+/**
+ * Telegram Bot API 通知渠道
+ * apiBase 可指向自建的 Bot API 服务器
+ */
+
+const axios = require('axios');
+const BaseChannel = require('./base-channel');
+
+// Telegram 单条消息最多 4096 个字符
+const TELEGRAM_MAX_LENGTH = 4096;
+
+class TelegramChannel extends BaseChannel {
+  static get requiredOptions() {
+    return ['botToken', 'chatId'];
+  }
+
+  async send(notification) {
+    const { botToken, chatId, apiBase = 'https://api.telegram.org' } = this.options;
+    const text = `${notification.title}\n\n${notification.message}`;
+
+    await axios.post(`${apiBase.replace(/\/+$/, '')}/bot${botToken}/sendMessage`, {
+      chat_id: chatId,
+      text: text.slice(0, TELEGRAM_MAX_LENGTH),
+      // 低优先级消息静默发送
+      disable_notification: ['min', 'low'].includes(notification.priority)
+    }, { timeout: 10000 });
+  }
+}
+
+module.exports = TelegramChannel;
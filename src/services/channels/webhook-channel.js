@@ -0,0 +1,33 @@
+/**
+ * 通用 Webhook 通知渠道
+ * 以 JSON 格式发送通知内容，可自定义请求方法和请求头
+ */
+
+const axios = require('axios');
+const BaseChannel = require('./base-channel');
+
+class WebhookChannel extends BaseChannel {
+  static get requiredOptions() {
+    return ['url'];
+  }
+
+  async send(notification) {
+    const { url, method = 'POST', headers = {} } = this.options;
+
+    await axios({
+      method,
+      url,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      data: {
+        title: notification.title,
+        message: notification.message,
+        priority: notification.priority,
+        tags: this.splitTags(notification.tags),
+        timestamp: new Date().toISOString()
+      },
+      timeout: 10000
+    });
+  }
+}
+
+module.exports = WebhookChannel;
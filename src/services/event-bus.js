@@ -0,0 +1,133 @@
+/**
+ * 事件总线
+ * 服务在推文保存、分析完成、通知投递以及轮询开始和结束时发布事件，/api/events 以 Server-Sent Events 推送给客户端。
+ * 最近的事件保存在内存中，客户端重连时按 Last-Event-ID 补发错过的事件。事件ID由进程启动标识和序号组成，
+ * 服务重启后或错过的事件已不在缓存中时无法补发，客户端会收到 reset 事件，需要重新加载数据
+ */
+
+const logger = require('../utils/logger');
+
+const EVENT_TYPES = [
+  'tweet.saved',
+  'analysis.saved',
+  'notification.sent',
+  'notification.failed',
+  'run.started',
+  'run.finished'
+];
+// 保存在内存中用于补发的事件数量
+const BUFFER_SIZE = 1000;
+
+class EventBus {
+  constructor() {
+    this.epoch = Date.now().toString(36);
+    this.sequence = 0;
+    // { sequence, event }
+    this.buffer = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * 发布事件，订阅者的异常不影响发布事件的服务
+   * @param {string} type - 事件类型，见 EVENT_TYPES
+   * @param {Object} data - 事件数据
+   * @returns {Object} 事件 { id, type, timestamp, data }
+   */
+  publish(type, data) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`无效的事件类型: ${type}`);
+    }
+
+    const sequence = ++this.sequence;
+    const event = { id: `${this.epoch}-${sequence}`, type, timestamp: new Date().toISOString(), data };
+    this.buffer.push({ sequence, event });
+    if (this.buffer.length > BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+
+    for (const { listener, types } of this.listeners) {
+      if (!this.matches(event, types)) {
+        continue;
+      }
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error(`事件订阅者处理失败: ${error.message}`, { type });
+      }
+    }
+    return event;
+  }
+
+  /**
+   * 订阅事件
+   * @param {Function} listener - 回调，参数为事件
+   * @param {Array<string>|null} [types] - 事件类型过滤，见 parseTypes；为空时接收全部事件
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener, types = null) {
+    const subscription = { listener, types };
+    this.listeners.add(subscription);
+    return () => this.listeners.delete(subscription);
+  }
+
+  /**
+   * 解析事件类型过滤
+   * @param {string|Array<string>} [value] - 逗号分隔的事件类型或分类，如 tweet.saved,analysis；分类匹配其下所有事件
+   * @returns {Array<string>|null} 事件类型和分类，未指定时返回 null
+   */
+  parseTypes(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const types = (Array.isArray(value) ? value : String(value).split(','))
+      .map(type => type.trim())
+      .filter(Boolean);
+    for (const type of types) {
+      if (!EVENT_TYPES.includes(type) && !EVENT_TYPES.some(known => known.startsWith(`${type}.`))) {
+        throw new Error(`无效的事件类型: ${type}，可用的事件类型: ${EVENT_TYPES.join(', ')}`);
+      }
+    }
+    return types.length > 0 ? types : null;
+  }
+
+  /**
+   * 判断事件是否符合类型过滤
+   * @param {Object} event - 事件
+   * @param {Array<string>|null} types - 事件类型和分类
+   * @returns {boolean} 是否符合
+   */
+  matches(event, types) {
+    return !types || types.some(type => event.type === type || event.type.startsWith(`${type}.`));
+  }
+
+  /**
+   * 获取指定事件之后发布的事件，用于断线重连时补发
+   * @param {string} lastEventId - 客户端收到的最后一个事件ID
+   * @param {Array<string>|null} [types] - 事件类型过滤
+   * @returns {Object} { events, reset }，reset 为 true 表示部分事件无法补发
+   */
+  getEventsSince(lastEventId, types = null) {
+    const [epoch, sequenceText] = String(lastEventId).split('-');
+    const sequence = parseInt(sequenceText, 10);
+    if (epoch !== this.epoch || !(sequence >= 0) || sequence > this.sequence) {
+      return { events: [], reset: true };
+    }
+
+    // 缓存中最早的事件之前还有未收到的事件
+    const oldest = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+    const events = this.buffer
+      .filter(entry => entry.sequence > sequence && this.matches(entry.event, types))
+      .map(entry => entry.event);
+    return { events, reset: sequence < oldest - 1 };
+  }
+
+  /**
+   * 获取订阅者数量
+   * @returns {number} 订阅者数量
+   */
+  getSubscriberCount() {
+    return this.listeners.size;
+  }
+}
+
+module.exports = new EventBus();
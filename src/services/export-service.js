@@ -0,0 +1,268 @@
+/**
+ * 数据导出服务
+ * 将推文连同最新分析结果和账号信息按批读取并写入输出流，支持 CSV（带 UTF-8 BOM）、NDJSON 和 JSON
+ * 数据分批查询并在输出流可写时才继续，导出大量数据时不会全部载入内存
+ */
+
+const database = require('../db/database');
+const TweetSearchService = require('./tweet-search-service');
+const logger = require('../utils/logger');
+
+// 可导出的列：列名 -> SQL 表达式（t 推文、a 最新分析、m 监控账号）
+const COLUMNS = {
+  id: 't.id',
+  created_at: 't.created_at',
+  username: 't.username',
+  user_id: 't.user_id',
+  display_name: 'm.display_name',
+  text: 't.text',
+  url: "'https://twitter.com/' || t.username || '/status/' || t.id",
+  like_count: 't.like_count',
+  retweet_count: 't.retweet_count',
+  reply_count: 't.reply_count',
+  quote_count: 't.quote_count',
+  has_media: 't.has_media',
+  media_urls: 't.media_urls',
+  deleted_at: 't.deleted_at',
+  deletion_reason: 't.deletion_reason',
+  sentiment: 'a.sentiment_label',
+  sentiment_score: 'a.sentiment_score',
+  keywords: 'a.keywords',
+  summary: 'a.summary',
+  analyzed_at: 'a.analyzed_at',
+  analysis_provider: "json_extract(a.analysis_data, '$.provider')",
+  analysis_model: "json_extract(a.analysis_data, '$.model')"
+};
+
+const DEFAULT_COLUMNS = [
+  'id', 'created_at', 'username', 'display_name', 'text', 'url',
+  'like_count', 'retweet_count', 'reply_count', 'quote_count', 'has_media',
+  'deleted_at', 'sentiment', 'sentiment_score', 'keywords', 'summary'
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const BATCH_SIZE = 500;
+
+/**
+ * 转义 CSV 字段
+ * 以 = + - @ 开头的文本前加单引号，防止在 Excel 中被当作公式执行
+ * @param {*} value - 字段值
+ * @returns {string} CSV 字段
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * 等待输出流可以继续写入
+ * 客户端断开连接时 drain 不会触发，输出流关闭或出错时拒绝，避免导出一直挂起
+ * @param {stream.Writable} output - 输出流
+ * @returns {Promise<void>}
+ */
+function waitForDrain(output) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('输出流已关闭'));
+    };
+    const onError = error => {
+      cleanup();
+      reject(error);
+    };
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
+  });
+}
+
+class ExportService {
+  constructor() {
+    this.searchService = new TweetSearchService();
+  }
+
+  /**
+   * 获取可导出的列和格式
+   * @returns {Object} { columns, defaultColumns, formats }
+   */
+  getOptions() {
+    return {
+      columns: Object.keys(COLUMNS),
+      defaultColumns: DEFAULT_COLUMNS,
+      formats: Object.keys(FORMATS)
+    };
+  }
+
+  /**
+   * 校验导出参数
+   * @param {Object} options - 导出参数
+   * @param {string} [options.format=csv] - 格式：csv、ndjson、json
+   * @param {Array<string>|string} [options.columns] - 导出的列，逗号分隔或数组，默认 DEFAULT_COLUMNS
+   * @param {Object} [options.filters] - 筛选条件，同全文检索（q、account、since、until、sentiment、hasMedia、includeDeleted）
+   * @returns {Promise<Object>} 规范化后的参数 { format, columns, contentType, filename, filters }
+   */
+  async normalizeOptions(options = {}) {
+    const format = options.format || 'csv';
+    if (!FORMATS[format]) {
+      throw new Error(`不支持的导出格式: ${format}`);
+    }
+
+    let columns = options.columns || DEFAULT_COLUMNS;
+    if (typeof columns === 'string') {
+      columns = columns.split(',').map(column => column.trim()).filter(Boolean);
+    }
+    const unknown = columns.filter(column => !COLUMNS[column]);
+    if (unknown.length > 0) {
+      throw new Error(`未知的导出列: ${unknown.join(', ')}`);
+    }
+    if (columns.length === 0) {
+      throw new Error('至少需要导出一列');
+    }
+
+    // 提前校验筛选条件，以便在开始输出之前返回错误
+    const filters = { ...options.filters };
+    this.searchService.buildFilters(filters);
+    if (filters.q && String(filters.q).trim()) {
+      filters.q = await this.searchService.prepareQuery(String(filters.q).trim());
+    }
+
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return {
+      format,
+      columns,
+      filters,
+      contentType: FORMATS[format].contentType,
+      filename: `tweets-${date}.${FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * 按批读取符合条件的推文
+   * 按 (created_at, id) 倒序分页，每批查询从上一批的最后一行继续
+   * @param {Object} filters - 筛选条件
+   * @param {Array<string>} columns - 导出的列
+   * @returns {AsyncGenerator<Object>} 推文行
+   */
+  async *iterateRows(filters, columns) {
+    const { conditions, values } = this.searchService.buildFilters(filters);
+    const select = columns.map(column => `${COLUMNS[column]} AS ${column}`).join(', ');
+
+    let cursor = null;
+    while (true) {
+      const pageConditions = [...conditions];
+      const pageValues = [...values];
+      if (cursor) {
+        pageConditions.push('(t.created_at < ? OR (t.created_at = ? AND t.id < ?))');
+        pageValues.push(cursor.createdAt, cursor.createdAt, cursor.id);
+      }
+
+      const rows = await database.query(
+        `SELECT ${select}, t.id AS _cursor_id, t.created_at AS _cursor_created_at
+         FROM tweets t
+         LEFT JOIN tweet_analysis a ON a.id = (SELECT MAX(id) FROM tweet_analysis WHERE tweet_id = t.id)
+         LEFT JOIN monitored_accounts m ON m.user_id = t.user_id
+         ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+         ORDER BY t.created_at DESC, t.id DESC
+         LIMIT ?`,
+        [...pageValues, BATCH_SIZE]
+      );
+
+      for (const row of rows) {
+        const { _cursor_id: cursorId, _cursor_created_at: cursorCreatedAt, ...data } = row;
+        cursor = { id: cursorId, createdAt: cursorCreatedAt };
+        yield data;
+      }
+
+      if (rows.length < BATCH_SIZE) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * 转换为 JSON 格式的行：关键词转为数组，布尔字段转为布尔值
+   * @private
+   */
+  _toJsonRow(row) {
+    const data = { ...row };
+    if ('keywords' in data) {
+      data.keywords = data.keywords ? data.keywords.split(',') : [];
+    }
+    if ('has_media' in data) {
+      data.has_media = Boolean(data.has_media);
+    }
+    if ('media_urls' in data && data.media_urls) {
+      data.media_urls = JSON.parse(data.media_urls);
+    }
+    return data;
+  }
+
+  /**
+   * 导出到可写流，输出流关闭（如客户端断开连接）时停止读取并抛出异常
+   * @param {stream.Writable} output - 输出流（HTTP 响应、文件或标准输出）
+   * @param {Object} options - normalizeOptions 返回的导出参数
+   * @returns {Promise<number>} 导出的行数
+   */
+  async exportTo(output, { format, columns, filters }) {
+    const write = async chunk => {
+      if (output.destroyed) {
+        throw new Error('输出流已关闭');
+      }
+      if (!output.write(chunk)) {
+        await waitForDrain(output);
+      }
+    };
+
+    let count = 0;
+    if (format === 'csv') {
+      // BOM 让 Excel 以 UTF-8 打开，中文不会乱码
+      await write(`\uFEFF${columns.join(',')}\r\n`);
+    } else if (format === 'json') {
+      await write('[');
+    }
+
+    for await (const row of this.iterateRows(filters, columns)) {
+      if (format === 'csv') {
+        await write(`${columns.map(column => csvField(row[column])).join(',')}\r\n`);
+      } else if (format === 'ndjson') {
+        await write(`${JSON.stringify(this._toJsonRow(row))}\n`);
+      } else {
+        const json = JSON.stringify(this._toJsonRow(row), null, 2).replace(/\n/g, '\n  ');
+        await write(`${count > 0 ? ',' : ''}\n  ${json}`);
+      }
+      count++;
+    }
+
+    if (format === 'json') {
+      await write(count > 0 ? '\n]\n' : ']\n');
+    }
+
+    logger.info(`导出完成: ${count} 条推文 (${format})`);
+    return count;
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,378 @@
+/**
+ * 订阅源服务
+ * 将账号、搜索监控、告警规则命中的推文以及全部推文输出为 RSS 2.0、Atom 和 JSON Feed，供普通阅读器订阅
+ * 每条内容包含推文正文、分析摘要、情感和关键词，以及推文链接
+ */
+
+const database = require('../db/database');
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// 推文和最新一次分析（t 推文、a 分析）
+const ENTRY_COLUMNS = `
+  t.id, t.username, t.text, t.created_at, t.collected_at, t.deleted_at,
+  a.summary, a.sentiment_label, a.sentiment_score, a.keywords, a.analyzed_at
+`;
+const ANALYSIS_JOIN = 'LEFT JOIN tweet_analysis a ON a.id = (SELECT MAX(id) FROM tweet_analysis WHERE tweet_id = t.id)';
+
+/**
+ * 解析时间字段，兼容 Twitter 的 ISO 8601 和 SQLite CURRENT_TIMESTAMP（UTC，无时区标记）
+ * @param {string} value - 时间字符串
+ * @returns {Date|null} 时间
+ */
+function parseTime(value) {
+  if (!value) {
+    return null;
+  }
+  const date = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? new Date(`${value.replace(' ', 'T')}Z`)
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 转义 XML 文本
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class FeedService {
+  /**
+   * 检查订阅源格式是否支持
+   * @param {string} format - 格式
+   * @returns {boolean} 是否支持
+   */
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  /**
+   * 获取订阅源格式对应的 Content-Type
+   * @param {string} format - 格式
+   * @returns {string} Content-Type
+   */
+  getContentType(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * 账号推文订阅源
+   * @param {string} username - 用户名（可带 @）
+   * @param {Object} [options] - 选项 { limit }
+   * @returns {Promise<Object|null>} 订阅源，账号不在监控列表中时返回 null
+   */
+  async getAccountFeed(username, options = {}) {
+    const account = await database.get(
+      'SELECT * FROM monitored_accounts WHERE username = ? COLLATE NOCASE',
+      [String(username).replace(/^@/, '')]
+    );
+    if (!account) {
+      return null;
+    }
+
+    const rows = await database.query(
+      `SELECT ${ENTRY_COLUMNS} FROM tweets t ${ANALYSIS_JOIN}
+       WHERE t.user_id = ?
+       ORDER BY t.created_at DESC LIMIT ?`,
+      [account.user_id, this._limit(options)]
+    );
+    return this._buildFeed({
+      id: `accounts/${account.username}`,
+      title: `@${account.username}${account.display_name ? ` (${account.display_name})` : ''}`,
+      description: account.description || `Tweets from @${account.username}`,
+      link: `https://twitter.com/${account.username}`,
+      updated: account.updated_at
+    }, rows);
+  }
+
+  /**
+   * 搜索监控命中推文的订阅源
+   * @param {number} id - 搜索监控ID
+   * @param {Object} [options] - 选项 { limit }
+   * @returns {Promise<Object|null>} 订阅源，搜索监控不存在时返回 null
+   */
+  async getSearchFeed(id, options = {}) {
+    const search = await database.get('SELECT * FROM search_monitors WHERE id = ?', [id]);
+    if (!search) {
+      return null;
+    }
+
+    const rows = await database.query(
+      `SELECT ${ENTRY_COLUMNS}, smt.found_at AS updated_at
+       FROM search_monitor_tweets smt
+       JOIN tweets t ON smt.tweet_id = t.id
+       ${ANALYSIS_JOIN}
+       WHERE smt.monitor_id = ?
+       ORDER BY t.created_at DESC LIMIT ?`,
+      [id, this._limit(options)]
+    );
+    return this._buildFeed({
+      id: `searches/${search.id}`,
+      title: `Search: ${search.name}`,
+      description: search.query,
+      link: `https://twitter.com/search?q=${encodeURIComponent(search.query)}&f=live`,
+      updated: search.updated_at
+    }, rows);
+  }
+
+  /**
+   * 告警规则命中推文的订阅源，按命中时间排序
+   * @param {number} ruleId - 告警规则ID
+   * @param {Object} [options] - 选项 { limit }
+   * @returns {Promise<Object|null>} 订阅源，规则不存在时返回 null
+   */
+  async getAlertFeed(ruleId, options = {}) {
+    const rule = await database.get('SELECT * FROM alert_rules WHERE id = ?', [ruleId]);
+    if (!rule) {
+      return null;
+    }
+
+    const rows = await database.query(
+      `SELECT ${ENTRY_COLUMNS}, am.matched_at AS updated_at
+       FROM alert_matches am
+       JOIN tweets t ON am.tweet_id = t.id
+       ${ANALYSIS_JOIN}
+       WHERE am.rule_id = ?
+       ORDER BY am.matched_at DESC, am.id DESC LIMIT ?`,
+      [ruleId, this._limit(options)]
+    );
+    return this._buildFeed({
+      id: `alerts/${rule.id}`,
+      title: `Alert: ${rule.name}`,
+      description: `Tweets matching alert rule "${rule.name}"`,
+      link: null,
+      updated: rule.updated_at
+    }, rows);
+  }
+
+  /**
+   * 全部推文的订阅源
+   * @param {Object} [options] - 选项 { limit }
+   * @returns {Promise<Object>} 订阅源
+   */
+  async getCombinedFeed(options = {}) {
+    const rows = await database.query(
+      `SELECT ${ENTRY_COLUMNS} FROM tweets t ${ANALYSIS_JOIN}
+       ORDER BY t.created_at DESC LIMIT ?`,
+      [this._limit(options)]
+    );
+    return this._buildFeed({
+      id: 'all',
+      title: 'Twitter Monitor: all tweets',
+      description: 'Latest tweets collected by Twitter Monitor',
+      link: null
+    }, rows);
+  }
+
+  /**
+   * 获取条数限制
+   * @private
+   */
+  _limit(options) {
+    return Math.min(parseInt(options.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  }
+
+  /**
+   * 组装订阅源
+   * 条目更新时间取推文保存、分析和命中（搜索/告警）时间中最晚的一个，订阅源更新时间为所有条目中最晚的更新时间
+   * @private
+   * @param {Object} meta - 订阅源信息 { id, title, description, link, updated }
+   * @param {Array<Object>} rows - 推文行
+   * @returns {Object} 订阅源 { ...meta, updated, entries }
+   */
+  _buildFeed(meta, rows) {
+    const entries = rows.map(row => {
+      const published = parseTime(row.created_at);
+      const times = [published, parseTime(row.collected_at), parseTime(row.analyzed_at), parseTime(row.updated_at)]
+        .filter(Boolean);
+      return {
+        id: row.id,
+        url: `https://twitter.com/${row.username}/status/${row.id}`,
+        username: row.username,
+        text: row.text,
+        summary: row.summary || null,
+        sentiment: row.sentiment_label || null,
+        sentimentScore: row.sentiment_score ?? null,
+        keywords: row.keywords ? row.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : [],
+        deletedAt: parseTime(row.deleted_at),
+        published,
+        updated: new Date(Math.max(...times.map(time => time.getTime())))
+      };
+    });
+
+    // 没有条目时使用账号、搜索监控或规则本身的更新时间
+    const updated = entries.length > 0
+      ? new Date(Math.max(...entries.map(entry => entry.updated.getTime())))
+      : parseTime(meta.updated) || new Date(0);
+    return { ...meta, updated, entries };
+  }
+
+  /**
+   * 条目标题：作者和正文开头
+   * @private
+   */
+  _entryTitle(entry) {
+    const text = entry.text.replace(/\s+/g, ' ').trim();
+    return `@${entry.username}: ${text.length > 80 ? `${text.slice(0, 80)}…` : text}`;
+  }
+
+  /**
+   * 条目 HTML 内容：正文、摘要、情感、关键词
+   * @private
+   */
+  _entryHtml(entry) {
+    const parts = [`<p>${escapeXml(entry.text).replace(/\n/g, '<br>')}</p>`];
+    if (entry.deletedAt) {
+      parts.push(`<p><em>Deleted (detected ${entry.deletedAt.toISOString()})</em></p>`);
+    }
+    if (entry.summary) {
+      parts.push(`<p><strong>Summary:</strong> ${escapeXml(entry.summary)}</p>`);
+    }
+    if (entry.sentiment) {
+      const score = entry.sentimentScore !== null ? ` (${entry.sentimentScore})` : '';
+      parts.push(`<p><strong>Sentiment:</strong> ${escapeXml(entry.sentiment)}${score}</p>`);
+    }
+    if (entry.keywords.length > 0) {
+      parts.push(`<p><strong>Keywords:</strong> ${escapeXml(entry.keywords.join(', '))}</p>`);
+    }
+    parts.push(`<p><a href="${escapeXml(entry.url)}">View on Twitter</a></p>`);
+    return parts.join('\n');
+  }
+
+  /**
+   * 输出订阅源
+   * @param {Object} feed - 订阅源
+   * @param {string} format - rss、atom 或 json
+   * @param {string} selfUrl - 订阅源自身的地址
+   * @returns {string} 订阅源内容
+   */
+  render(feed, format, selfUrl) {
+    switch (format) {
+      case 'rss':
+        return this._renderRss(feed, selfUrl);
+      case 'atom':
+        return this._renderAtom(feed, selfUrl);
+      case 'json':
+        return this._renderJson(feed, selfUrl);
+      default:
+        throw new Error(`不支持的订阅源格式: ${format}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderRss(feed, selfUrl) {
+    const items = feed.entries.map(entry => [
+      '    <item>',
+      `      <title>${escapeXml(this._entryTitle(entry))}</title>`,
+      `      <link>${escapeXml(entry.url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(entry.url)}</guid>`,
+      `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+      `      <dc:creator>@${escapeXml(entry.username)}</dc:creator>`,
+      ...entry.keywords.map(keyword => `      <category>${escapeXml(keyword)}</category>`),
+      `      <description>${escapeXml(this._entryHtml(entry))}</description>`,
+      '    </item>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    <title>${escapeXml(feed.title)}</title>`,
+      `    <link>${escapeXml(feed.link || selfUrl)}</link>`,
+      `    <description>${escapeXml(feed.description)}</description>`,
+      `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _renderAtom(feed, selfUrl) {
+    const entries = feed.entries.map(entry => [
+      '  <entry>',
+      `    <id>${escapeXml(entry.url)}</id>`,
+      `    <title>${escapeXml(this._entryTitle(entry))}</title>`,
+      `    <link rel="alternate" href="${escapeXml(entry.url)}"/>`,
+      `    <published>${entry.published.toISOString()}</published>`,
+      `    <updated>${entry.updated.toISOString()}</updated>`,
+      `    <author><name>@${escapeXml(entry.username)}</name></author>`,
+      ...entry.keywords.map(keyword => `    <category term="${escapeXml(keyword)}"/>`),
+      entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>` : null,
+      `    <content type="html">${escapeXml(this._entryHtml(entry))}</content>`,
+      '  </entry>'
+    ].filter(line => line !== null).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(selfUrl)}</id>`,
+      `  <title>${escapeXml(feed.title)}</title>`,
+      `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+      `  <updated>${feed.updated.toISOString()}</updated>`,
+      `  <link rel="self" href="${escapeXml(selfUrl)}"/>`,
+      feed.link ? `  <link rel="alternate" href="${escapeXml(feed.link)}"/>` : null,
+      ...entries,
+      '</feed>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * JSON Feed 1.1，分析结果同时放在 _analysis 扩展字段中
+   * @private
+   */
+  _renderJson(feed, selfUrl) {
+    const json = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      description: feed.description,
+      feed_url: selfUrl,
+      items: feed.entries.map(entry => ({
+        id: entry.url,
+        url: entry.url,
+        title: this._entryTitle(entry),
+        content_text: entry.text,
+        content_html: this._entryHtml(entry),
+        summary: entry.summary || undefined,
+        date_published: entry.published.toISOString(),
+        date_modified: entry.updated.toISOString(),
+        authors: [{ name: `@${entry.username}`, url: `https://twitter.com/${entry.username}` }],
+        tags: entry.keywords,
+        _analysis: {
+          summary: entry.summary,
+          sentiment: entry.sentiment,
+          sentiment_score: entry.sentimentScore,
+          keywords: entry.keywords
+        }
+      }))
+    };
+    if (feed.link) {
+      json.home_page_url = feed.link;
+    }
+    return `${JSON.stringify(json, null, 2)}\n`;
+  }
+}
+
+module.exports = FeedService;
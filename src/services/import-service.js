@@ -0,0 +1,575 @@
+/**
+ * 推文导入服务
+ * 解析 X 数据归档（data/tweets.js）和其他工具导出的 CSV，转换为 Twitter API v2 格式后
+ * 通过 MonitorService.saveTweet 保存，与监控获取的推文使用相同的字段映射（entities、媒体、referenced_tweets）
+ *
+ * 按推文ID去重：数据库中已存在的推文直接跳过，不用导入文件中可能过时的互动数据覆盖
+ * 可选地将新导入的推文加入分析队列（tweets.analysis_queued_at），在后台逐条分析，进程重启后继续处理
+ */
+
+const MonitorService = require('./monitor-service');
+const analysisService = require('./analysis-service');
+const database = require('../db/database');
+const logger = require('../utils/logger');
+
+const FORMATS = ['archive', 'csv'];
+const BATCH_SIZE = 500;
+const MAX_ERRORS = 20;
+
+// CSV 列名别名：不同工具导出的列名 -> 标准字段
+const CSV_ALIASES = {
+  id: ['id', 'id_str', 'tweet_id', 'status_id'],
+  text: ['text', 'full_text', 'content', 'tweet', 'tweet_text'],
+  created_at: ['created_at', 'date', 'datetime', 'timestamp', 'time', 'tweet_date'],
+  username: ['username', 'screen_name', 'user', 'author', 'author_username', 'user_screen_name'],
+  user_id: ['user_id', 'author_id', 'user_id_str'],
+  like_count: ['like_count', 'likes', 'favorite_count', 'favorites', 'likes_count'],
+  retweet_count: ['retweet_count', 'retweets', 'retweets_count'],
+  reply_count: ['reply_count', 'replies', 'replies_count'],
+  quote_count: ['quote_count', 'quotes', 'quotes_count'],
+  media_urls: ['media_urls', 'media', 'photos', 'media_url'],
+  entities: ['entities'],
+  replied_to: ['in_reply_to_status_id', 'in_reply_to_tweet_id', 'replied_to_id'],
+  quoted: ['quoted_status_id', 'quoted_tweet_id', 'quoted_id'],
+  retweeted: ['retweeted_status_id', 'retweeted_tweet_id', 'retweeted_id']
+};
+
+/**
+ * 解析 CSV 文本（RFC 4180：双引号包裹、"" 转义、字段内换行）
+ * @param {string} text - CSV 文本
+ * @returns {Array<Array<string>>} 行列表
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // 忽略空行
+  return rows.filter(item => item.length > 1 || item[0] !== '');
+}
+
+/**
+ * 解析时间：ISO 8601、归档格式（Wed Oct 10 20:19:24 +0000 2018）或 Unix 时间戳（秒/毫秒）
+ * @param {string} value - 时间
+ * @returns {string|null} ISO 8601，无法解析时返回 null
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).trim();
+  let date;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = parseFloat(text);
+    date = new Date(number < 1e12 ? number * 1000 : number);
+  } else {
+    date = new Date(text);
+  }
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 转换为非负整数，无法解析时返回 undefined
+ * @param {*} value - 数值
+ * @returns {number|undefined} 整数
+ */
+function toCount(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = parseInt(value, 10);
+  return isNaN(number) ? undefined : number;
+}
+
+/**
+ * 从推文正文中提取实体（话题标签、提及、链接、股票代码），格式与 API v2 一致
+ * @param {string} text - 推文正文
+ * @returns {Object|null} entities，没有实体时返回 null
+ */
+function extractEntities(text) {
+  const entities = {};
+  const collect = (key, pattern, build) => {
+    for (const match of text.matchAll(pattern)) {
+      const item = { start: match.index, end: match.index + match[0].length, ...build(match[1]) };
+      (entities[key] = entities[key] || []).push(item);
+    }
+  };
+
+  collect('hashtags', /(?<![\w&])#(\w+)/gu, tag => ({ tag }));
+  collect('mentions', /(?<!\w)@(\w{1,15})/g, username => ({ username }));
+  collect('cashtags', /(?<!\w)\$([A-Za-z]{1,6})\b/g, tag => ({ tag }));
+  collect('urls', /(https?:\/\/\S+)/g, url => ({ url, expanded_url: url }));
+
+  return Object.keys(entities).length > 0 ? entities : null;
+}
+
+class ImportService {
+  constructor() {
+    // 只保存推文，不需要 Twitter 凭据
+    this.monitorService = new MonitorService({ twitterClient: null });
+    this.analysisRun = null;
+  }
+
+  /**
+   * 根据内容判断导入格式
+   * @param {string} content - 文件内容
+   * @returns {string} archive 或 csv
+   */
+  detectFormat(content) {
+    const head = content.replace(/^\uFEFF/, '').trimStart();
+    return head.startsWith('window.YTD.') || head.startsWith('[') ? 'archive' : 'csv';
+  }
+
+  /**
+   * 解析 X 数据归档中的 tweets.js（window.YTD.tweets.part0 = [...]）
+   * @param {string} content - 文件内容
+   * @returns {Array<Object>} 归档中的推文
+   */
+  parseArchive(content) {
+    const json = content.replace(/^\uFEFF/, '').trim().replace(/^window\.YTD\.[\w.]+\s*=\s*/, '').replace(/;\s*$/, '');
+    let items;
+    try {
+      items = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`无法解析归档文件: ${error.message}`);
+    }
+    if (!Array.isArray(items)) {
+      throw new Error('无法解析归档文件: 内容不是推文数组');
+    }
+    // 新版归档每条记录包在 { tweet: {...} } 中
+    return items.map(item => item.tweet || item);
+  }
+
+  /**
+   * 将归档中的推文转换为 API v2 格式
+   * 归档不包含引用推文的ID，正文链接中最后一个指向推文的链接视为引用
+   * @param {Object} record - 归档推文
+   * @returns {Object} API v2 格式的推文
+   */
+  fromArchive(record) {
+    const id = record.id_str || record.id;
+    const text = record.full_text || record.text || '';
+    const source = record.entities || {};
+    const range = indices => ({ start: parseInt(indices[0], 10), end: parseInt(indices[1], 10) });
+
+    const entities = {};
+    if (source.hashtags?.length) {
+      entities.hashtags = source.hashtags.map(item => ({ ...range(item.indices), tag: item.text }));
+    }
+    if (source.symbols?.length) {
+      entities.cashtags = source.symbols.map(item => ({ ...range(item.indices), tag: item.text }));
+    }
+    if (source.user_mentions?.length) {
+      entities.mentions = source.user_mentions.map(item => ({
+        ...range(item.indices),
+        username: item.screen_name,
+        id: item.id_str || item.id
+      }));
+    }
+    if (source.urls?.length) {
+      entities.urls = source.urls.map(item => ({
+        ...range(item.indices),
+        url: item.url,
+        expanded_url: item.expanded_url,
+        display_url: item.display_url
+      }));
+    }
+
+    const tweet = {
+      id,
+      text,
+      created_at: parseDate(record.created_at),
+      public_metrics: {
+        retweet_count: toCount(record.retweet_count) || 0,
+        like_count: toCount(record.favorite_count) || 0,
+        reply_count: 0,
+        quote_count: 0
+      },
+      import_source: 'archive'
+    };
+    if (Object.keys(entities).length > 0) {
+      tweet.entities = entities;
+    }
+    if (record.lang) {
+      tweet.lang = record.lang;
+    }
+
+    const mediaItems = record.extended_entities?.media || source.media || [];
+    if (mediaItems.length > 0) {
+      tweet.media = mediaItems.map(item => {
+        const media = { media_key: item.id_str || item.id, type: item.type };
+        if (item.type === 'photo') {
+          media.url = item.media_url_https || item.media_url;
+        } else {
+          media.preview_image_url = item.media_url_https || item.media_url;
+        }
+        return media;
+      });
+      tweet.attachments = { media_keys: tweet.media.map(media => media.media_key) };
+    }
+
+    const referenced = [];
+    if (record.in_reply_to_status_id_str || record.in_reply_to_status_id) {
+      referenced.push({ type: 'replied_to', id: record.in_reply_to_status_id_str || String(record.in_reply_to_status_id) });
+    }
+    const quoted = (source.urls || [])
+      .map(item => /(?:twitter|x)\.com\/\w+\/status\/(\d+)/.exec(item.expanded_url || ''))
+      .filter(Boolean)
+      .pop();
+    if (quoted && quoted[1] !== id) {
+      referenced.push({ type: 'quoted', id: quoted[1] });
+    }
+    if (referenced.length > 0) {
+      tweet.referenced_tweets = referenced;
+    }
+
+    return tweet;
+  }
+
+  /**
+   * 解析 CSV，按表头识别列（支持常见工具的列名，见 CSV_ALIASES）
+   * @param {string} content - 文件内容
+   * @returns {Array<Object>} 以标准字段为键的记录，_line 为所在行号
+   */
+  parseCsvRecords(content) {
+    const rows = parseCsv(content.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const header = rows[0].map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const columns = {};
+    for (const [field, aliases] of Object.entries(CSV_ALIASES)) {
+      const index = header.findIndex(name => aliases.includes(name));
+      if (index !== -1) {
+        columns[field] = index;
+      }
+    }
+    if (columns.id === undefined || columns.text === undefined) {
+      throw new Error('CSV 缺少推文ID或正文列（如 id、text）');
+    }
+
+    return rows.slice(1).map((row, index) => {
+      const record = { _line: index + 2 };
+      for (const [field, column] of Object.entries(columns)) {
+        const value = row[column] !== undefined ? row[column].trim() : '';
+        if (value !== '') {
+          record[field] = value;
+        }
+      }
+      return record;
+    });
+  }
+
+  /**
+   * 将 CSV 记录转换为 API v2 格式
+   * @param {Object} record - CSV 记录
+   * @returns {Object} API v2 格式的推文
+   */
+  fromCsv(record) {
+    // 本项目导出的 CSV 会在以 = + - @ 开头的文本前加单引号，导入时去掉
+    const text = record.text.replace(/^'(?=[=+\-@])/, '');
+    const tweet = {
+      id: record.id,
+      text,
+      created_at: parseDate(record.created_at),
+      import_source: 'csv'
+    };
+
+    const metrics = {
+      retweet_count: toCount(record.retweet_count),
+      like_count: toCount(record.like_count),
+      reply_count: toCount(record.reply_count),
+      quote_count: toCount(record.quote_count)
+    };
+    if (Object.values(metrics).some(value => value !== undefined)) {
+      tweet.public_metrics = metrics;
+    }
+
+    if (record.entities) {
+      try {
+        tweet.entities = JSON.parse(record.entities);
+      } catch (error) {
+        tweet.entities = extractEntities(text);
+      }
+    } else {
+      tweet.entities = extractEntities(text);
+    }
+    if (!tweet.entities) {
+      delete tweet.entities;
+    }
+
+    if (record.media_urls) {
+      let urls;
+      try {
+        urls = JSON.parse(record.media_urls);
+      } catch (error) {
+        urls = record.media_urls.split(/[\s,|]+/);
+      }
+      urls = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+      if (urls.length > 0) {
+        tweet.media = urls.map((url, index) => ({ media_key: `${record.id}_${index}`, type: 'photo', url }));
+      }
+    }
+
+    const referenced = [];
+    for (const type of ['replied_to', 'quoted', 'retweeted']) {
+      if (record[type]) {
+        referenced.push({ type, id: record[type] });
+      }
+    }
+    if (referenced.length > 0) {
+      tweet.referenced_tweets = referenced;
+    }
+
+    return tweet;
+  }
+
+  /**
+   * 查找导入推文的作者
+   * @private
+   * @param {Object} options - 导入选项
+   * @returns {Promise<Object|null>} { user_id, username }，未指定账号时返回 null
+   */
+  async _resolveAccount(options) {
+    if (!options.account) {
+      return null;
+    }
+
+    const username = String(options.account).replace(/^@/, '');
+    const account = await database.get(
+      'SELECT * FROM monitored_accounts WHERE username = ? COLLATE NOCASE',
+      [username]
+    );
+    if (account && account.user_id) {
+      return account;
+    }
+    if (options.userId) {
+      return { user_id: String(options.userId), username: account ? account.username : username };
+    }
+    throw new Error(`账号 @${username} 不在监控列表中或缺少 user_id，请先添加账号或指定 userId`);
+  }
+
+  /**
+   * 导入推文
+   * @param {string|Buffer} content - 文件内容
+   * @param {Object} [options] - 导入选项
+   * @param {string} [options.format] - archive 或 csv，默认根据内容判断
+   * @param {string} [options.account] - 推文作者的用户名；归档文件必须指定，CSV 中没有作者列时使用
+   * @param {string} [options.userId] - 作者不在监控列表中时指定其 user_id
+   * @param {boolean} [options.analyze=false] - 是否将新导入的推文加入分析队列
+   * @returns {Promise<Object>} 导入结果 { format, total, imported, duplicates, skipped, errors, queued }
+   */
+  async importContent(content, options = {}) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+    if (!text.trim()) {
+      throw new Error('导入内容为空');
+    }
+
+    const format = options.format || this.detectFormat(text);
+    if (!FORMATS.includes(format)) {
+      throw new Error(`不支持的导入格式: ${format}`);
+    }
+
+    const account = await this._resolveAccount(options);
+    if (format === 'archive' && !account) {
+      throw new Error('导入归档文件需要指定账号');
+    }
+
+    const tweets = format === 'archive'
+      ? this.parseArchive(text).map((record, index) => ({ ...this.fromArchive(record), _line: index + 1 }))
+      : this.parseCsvRecords(text).map(record => ({
+        ...this.fromCsv(record),
+        _line: record._line,
+        _author: { user_id: record.user_id, username: record.username }
+      }));
+
+    const result = { format, total: tweets.length, imported: 0, duplicates: 0, skipped: 0, errors: [], queued: 0 };
+    const importedIds = [];
+    const seen = new Set();
+
+    for (let i = 0; i < tweets.length; i += BATCH_SIZE) {
+      const batch = tweets.slice(i, i + BATCH_SIZE);
+      const ids = batch.map(tweet => tweet.id).filter(Boolean);
+      const existing = new Set(
+        (await database.query(`SELECT id FROM tweets WHERE id IN (${ids.map(() => '?').join(', ')})`, ids))
+          .map(row => row.id)
+      );
+
+      for (const item of batch) {
+        const { _line: line, _author: author, ...tweet } = item;
+        if (existing.has(tweet.id) || seen.has(tweet.id)) {
+          result.duplicates++;
+          continue;
+        }
+
+        const owner = {
+          user_id: author?.user_id || account?.user_id,
+          username: (author?.username || account?.username || '').replace(/^@/, '')
+        };
+        const error = !tweet.id ? '缺少推文ID'
+          : !/^\d+$/.test(tweet.id) ? `无效的推文ID: ${tweet.id}`
+            : !tweet.created_at ? '缺少或无法解析发布时间'
+              : !owner.user_id || !owner.username ? '缺少作者（user_id 和 username）' : null;
+        if (error) {
+          result.skipped++;
+          if (result.errors.length < MAX_ERRORS) {
+            result.errors.push({ line, message: error });
+          }
+          continue;
+        }
+
+        try {
+          // 批量导入不逐条发布事件
+          await this.monitorService.saveTweet(tweet, owner, { publish: false });
+          seen.add(tweet.id);
+          importedIds.push(tweet.id);
+          result.imported++;
+        } catch (saveError) {
+          result.skipped++;
+          if (result.errors.length < MAX_ERRORS) {
+            result.errors.push({ line, message: saveError.message });
+          }
+        }
+      }
+    }
+
+    if (options.analyze && importedIds.length > 0) {
+      result.queued = await this.queueAnalysis(importedIds);
+    }
+
+    logger.info(`导入推文完成: 新增 ${result.imported} 条，重复 ${result.duplicates} 条，跳过 ${result.skipped} 条`, {
+      format,
+      total: result.total
+    });
+    return result;
+  }
+
+  /**
+   * 继续处理进程重启前未完成的分析队列
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const { pending } = await this.getStatus();
+    if (pending > 0) {
+      logger.info(`继续分析 ${pending} 条导入的推文`);
+      this.processAnalysisQueue();
+    }
+  }
+
+  /**
+   * 将推文加入分析队列，并在后台开始处理
+   * @param {Array<string>} tweetIds - 推文ID
+   * @returns {Promise<number>} 加入队列的数量
+   */
+  async queueAnalysis(tweetIds) {
+    const queuedAt = new Date().toISOString();
+    for (let i = 0; i < tweetIds.length; i += BATCH_SIZE) {
+      const batch = tweetIds.slice(i, i + BATCH_SIZE);
+      await database.run(
+        `UPDATE tweets SET analysis_queued_at = ? WHERE id IN (${batch.map(() => '?').join(', ')})`,
+        [queuedAt, ...batch]
+      );
+    }
+    this.processAnalysisQueue();
+    return tweetIds.length;
+  }
+
+  /**
+   * 开始处理分析队列，已在处理时返回正在进行的处理
+   * @returns {Promise<void>} 队列清空时完成
+   */
+  processAnalysisQueue() {
+    if (!this.analysisRun) {
+      this.analysisRun = this._drainAnalysisQueue().finally(() => {
+        this.analysisRun = null;
+      });
+    }
+    return this.analysisRun;
+  }
+
+  /**
+   * 按加入队列的顺序逐条分析推文，直到队列为空；分析失败的推文同样移出队列，不重复尝试
+   * 导入的是历史推文，只保存分析结果，不评估告警规则
+   * @private
+   */
+  async _drainAnalysisQueue() {
+    while (true) {
+      let tweet;
+      try {
+        tweet = await database.get(
+          'SELECT * FROM tweets WHERE analysis_queued_at IS NOT NULL ORDER BY analysis_queued_at, id LIMIT 1'
+        );
+      } catch (error) {
+        logger.error(`读取分析队列失败: ${error.message}`);
+        return;
+      }
+      if (!tweet) {
+        return;
+      }
+
+      try {
+        await analysisService.analyzeTweet(tweet);
+        // 添加延迟以避免API限制
+        await analysisService.delay(1000);
+      } catch (error) {
+        logger.error(`分析导入的推文失败: ${tweet.id}`, { error: error.message });
+      }
+
+      try {
+        await database.run('UPDATE tweets SET analysis_queued_at = NULL WHERE id = ?', [tweet.id]);
+      } catch (error) {
+        logger.error(`更新分析队列失败: ${error.message}`);
+        return;
+      }
+    }
+  }
+
+  /**
+   * 获取分析队列状态
+   * @returns {Promise<Object>} { pending, isAnalyzing }
+   */
+  async getStatus() {
+    const row = await database.get('SELECT COUNT(*) AS count FROM tweets WHERE analysis_queued_at IS NOT NULL');
+    return {
+      pending: row.count,
+      isAnalyzing: Boolean(this.analysisRun)
+    };
+  }
+}
+
+module.exports = new ImportService();
@@ -1,60 +1,116 @@
 // /usr/local/app/workspace/plan_1f0ec8ac1ae3e7e00c0f05bdfe1b450e/stage_5/src/services/integrated-service.js
-const monitorService = require('./monitor-service');
+const MonitorService = require('./monitor-service');
 const analysisService = require('./analysis-service');
-const notificationService = require('./notification-service');
+const alertService = require('./alert-service');
 const db = require('../db/database');
 const logger = require('../utils/logger');
 
 class IntegratedService {
     constructor() {
-        this.isMonitoring = false;
+        // 正在执行的轮询数量
+        this.activeRuns = 0;
+        // 延迟创建：TwitterClient 在缺少凭据时会抛出异常
+        this.monitorService = null;
     }
 
-    async startMonitoringAndAnalysis() {
-        if (this.isMonitoring) {
-            logger.info('Monitoring and analysis already running.');
-            return;
+    _getMonitorService() {
+        if (!this.monitorService) {
+            this.monitorService = new MonitorService();
         }
-        this.isMonitoring = true;
-        logger.info('Starting integrated monitoring and analysis service...');
-
-        // 获取所有配置的Twitter账号
-        const accounts = await db.getAllTwitterAccounts();
-        if (accounts.length === 0) {
-            logger.warn('No Twitter accounts configured. Please add accounts to start monitoring.');
-            this.isMonitoring = false;
-            return;
+        return this.monitorService;
+    }
+
+    /**
+     * 轮询单个账号：获取并保存新推文，分析后评估告警规则
+     * @param {object} account - 监控账号记录
+     * @param {object} [stats] - 执行统计，累加获取和保存的推文数、分析数、通知数和 API 调用次数
+     * @returns {Promise<number>} 新推文数量
+     */
+    async processAccount(account, stats = {}) {
+        this.activeRuns++;
+        try {
+            logger.info(`Monitoring tweets for @${account.username} (ID: ${account.user_id})...`);
+            // 1. 获取并存储最新推文
+            const newTweets = await this._getMonitorService().monitorAccount(account, stats);
+            logger.info(`Found ${newTweets.length} new tweets for @${account.username}.`);
+
+            for (const tweet of newTweets) {
+                await this._analyzeAndEvaluate(tweet, account, stats);
+            }
+            return newTweets.length;
+        } catch (error) {
+            // 连续失败达到 monitor.failureThreshold 次时由调度服务发送系统通知
+            logger.error(`Error during monitoring and analysis for @${account.username}: ${error.message}`);
+            throw error;
+        } finally {
+            this.activeRuns--;
         }
+    }
+
+    /**
+     * 轮询单个搜索
+     * @param {object} search - 搜索监控记录
+     * @param {object} [stats] - 执行统计
+     * @returns {Promise<number>} 新推文数量
+     */
+    async processSearch(search, stats = {}) {
+        this.activeRuns++;
+        try {
+            const newTweets = await this._getMonitorService().monitorSearch(search, stats);
+            logger.info(`Found ${newTweets.length} new tweets for search "${search.name}".`);
 
-        for (const account of accounts) {
-            logger.info(`Monitoring tweets for @${account.username} (ID: ${account.twitter_user_id})...`);
-            try {
-                // 1. 获取最新推文
-                const newTweets = await monitorService.getAndStoreLatestTweets(account.twitter_user_id, account.username);
-                logger.info(`Found ${newTweets.length} new tweets for @${account.username}.`);
-
-                for (const tweet of newTweets) {
-                    // 2. 发送新推文通知
-                    await notificationService.sendNewTweetNotification(tweet, account.username);
-
-                    // 3. 分析推文内容
-                    logger.info(`Analyzing tweet ID: ${tweet.tweet_id}`);
-                    const analysisResult = await analysisService.analyzeTweet(tweet.text);
-
-                    // 4. 存储分析结果
-                    await db.saveTweetAnalysis(tweet.tweet_id, analysisResult);
-                    logger.info(`Analysis saved for tweet ID: ${tweet.tweet_id}`);
-
-                    // 5. 发送分析结果通知
-                    await notificationService.sendAnalysisResultNotification(tweet, analysisResult);
-                }
-            } catch (error) {
-                logger.error(`Error during monitoring and analysis for @${account.username}: ${error.message}`);
-                await notificationService.sendSystemNotification('error', `Monitoring error for @${account.username}: ${error.message}`);
+            for (const tweet of newTweets) {
+                // 搜索结果的作者不一定是监控账号，分析时按推文作者查询账号设置
+                await this._analyzeAndEvaluate(tweet, null, stats);
             }
+            return newTweets.length;
+        } catch (error) {
+            logger.error(`Error during monitoring and analysis for search "${search.name}": ${error.message}`);
+            throw error;
+        } finally {
+            this.activeRuns--;
+        }
+    }
+
+    /**
+     * 分析新推文（analyzeTweet 会保存分析结果），再评估告警规则，只有匹配规则的推文才发送通知
+     * @param {object} tweet - 推文
+     * @param {object|null} account - 推文所属的监控账号，搜索结果为 null
+     * @param {object} stats - 执行统计
+     */
+    async _analyzeAndEvaluate(tweet, account, stats) {
+        logger.info(`Analyzing tweet ID: ${tweet.id}`);
+        const analysisResult = await analysisService.analyzeTweet(tweet, account ? { account } : {});
+        stats.analyses = (stats.analyses || 0) + 1;
+
+        const author = account || this._getMonitorService().getTweetAuthor(tweet);
+        const triggered = await alertService.evaluate(tweet, analysisResult, author);
+        stats.notifications = (stats.notifications || 0) + triggered.length;
+        if (triggered.length > 0) {
+            logger.info(`Tweet ${tweet.id} matched ${triggered.length} alert rule(s).`);
         }
-        this.isMonitoring = false;
-        logger.info('Integrated monitoring and analysis service finished a cycle.');
+    }
+
+    /**
+     * 按衰减间隔刷新近期推文的互动数据，检查账号资料变更和已删除的推文
+     */
+    async runMaintenance() {
+        const monitorService = this._getMonitorService();
+        await monitorService.refreshMetrics();
+        await monitorService.refreshProfiles();
+        await monitorService.verifyTweets();
+    }
+
+    /**
+     * 获取服务状态，包括 Twitter API 各端点的剩余额度
+     * @returns {object} 状态信息
+     */
+    getStatus() {
+        const monitorStatus = this.monitorService ? this.monitorService.getStatus() : null;
+        return {
+            isMonitoring: this.activeRuns > 0,
+            rateLimits: monitorStatus ? monitorStatus.rateLimits : {}
+        };
     }
 
     async getMonitoredAccounts() {
@@ -0,0 +1,281 @@
+/**
+ * 推文互动数据服务
+ * 负责记录互动数据快照、按衰减间隔刷新近期推文，以及计算互动曲线和增长速度
+ */
+
+const database = require('../db/database');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// 刷新间隔随推文发布时长递增：[发布时长上限（小时）, 刷新间隔（分钟）]
+const REFRESH_SCHEDULE = [
+  [1, 5],
+  [6, 15],
+  [24, 60],
+  [48, 180]
+];
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 解析时间字段，兼容 Twitter 的 ISO 8601 和 SQLite CURRENT_TIMESTAMP（UTC，无时区标记）
+ * @param {string} value - 时间字符串
+ * @returns {Date} 时间
+ */
+function parseTime(value) {
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  return new Date(value);
+}
+
+/**
+ * 计算快照的总互动数
+ * @param {Object} snapshot - 快照
+ * @returns {number} 点赞+转推+回复+引用
+ */
+function engagementOf(snapshot) {
+  return (snapshot.like_count || 0) + (snapshot.retweet_count || 0) +
+    (snapshot.reply_count || 0) + (snapshot.quote_count || 0);
+}
+
+class MetricsService {
+  /**
+   * @param {TwitterClient} [twitterClient] - 刷新互动数据时使用的客户端，只读取数据时可以不传
+   */
+  constructor(twitterClient = null) {
+    this.twitterClient = twitterClient;
+  }
+
+  /**
+   * 根据推文发布时长获取刷新间隔
+   * @param {number} ageHours - 发布时长（小时）
+   * @returns {number|null} 刷新间隔（毫秒），超出刷新窗口时返回 null
+   */
+  getRefreshInterval(ageHours) {
+    const windowHours = config.metrics.windowHours;
+    if (ageHours >= windowHours) {
+      return null;
+    }
+    const step = REFRESH_SCHEDULE.find(([maxAge]) => ageHours < maxAge);
+    const minutes = step ? step[1] : REFRESH_SCHEDULE[REFRESH_SCHEDULE.length - 1][1];
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * 记录推文的互动数据快照，同时更新 tweets 表中的当前数值
+   * @param {Object} tweet - Twitter API 返回的推文（含 public_metrics）
+   * @returns {Promise<boolean>} 是否记录（没有互动数据时跳过）
+   */
+  async recordSnapshot(tweet) {
+    const metrics = tweet.public_metrics;
+    if (!metrics) {
+      return false;
+    }
+
+    const values = [
+      metrics.retweet_count || 0,
+      metrics.like_count || 0,
+      metrics.reply_count || 0,
+      metrics.quote_count || 0
+    ];
+
+    await database.run(
+      `INSERT INTO tweet_metrics_history (tweet_id, retweet_count, like_count, reply_count, quote_count, impression_count)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [tweet.id, ...values, metrics.impression_count ?? null]
+    );
+    await database.run(
+      'UPDATE tweets SET retweet_count = ?, like_count = ?, reply_count = ?, quote_count = ? WHERE id = ?',
+      [...values, tweet.id]
+    );
+    return true;
+  }
+
+  /**
+   * 获取需要刷新互动数据的推文ID
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<Array<string>>} 按上次快照时间排序的推文ID
+   */
+  async getDueTweetIds(now = new Date()) {
+    const since = new Date(now.getTime() - config.metrics.windowHours * HOUR).toISOString();
+    const rows = await database.query(
+      `SELECT t.id, t.created_at, MAX(h.captured_at) AS last_captured_at
+       FROM tweets t
+       LEFT JOIN tweet_metrics_history h ON h.tweet_id = t.id
+       WHERE t.created_at >= ?
+       GROUP BY t.id`,
+      [since]
+    );
+
+    return rows
+      .map(row => {
+        const ageHours = (now - parseTime(row.created_at)) / HOUR;
+        const interval = this.getRefreshInterval(ageHours);
+        const last = row.last_captured_at ? parseTime(row.last_captured_at).getTime() : 0;
+        return { id: row.id, interval, last };
+      })
+      .filter(row => row.interval !== null && now.getTime() - row.last >= row.interval)
+      .sort((a, b) => a.last - b.last)
+      .map(row => row.id);
+  }
+
+  /**
+   * 刷新到期推文的互动数据
+   * 每批最多100条，每次最多刷新 metrics.maxPerCycle 条，剩余的留到下一轮
+   * @returns {Promise<Object>} 刷新结果 { due, refreshed, missing }
+   */
+  async refreshDue() {
+    if (!this.twitterClient) {
+      throw new Error('未配置Twitter客户端，无法刷新互动数据');
+    }
+
+    const dueIds = await this.getDueTweetIds();
+    const ids = dueIds.slice(0, config.metrics.maxPerCycle);
+    const result = { due: dueIds.length, refreshed: 0, missing: 0 };
+    if (ids.length === 0) {
+      return result;
+    }
+
+    for (let i = 0; i < ids.length; i += 100) {
+      const { tweets, errors } = await this.twitterClient.getTweetsByIds(ids.slice(i, i + 100));
+      for (const tweet of tweets) {
+        if (await this.recordSnapshot(tweet)) {
+          result.refreshed++;
+        }
+      }
+      result.missing += errors.length;
+    }
+
+    logger.info(`刷新推文互动数据: ${result.refreshed}/${result.due}`, { missing: result.missing });
+    return result;
+  }
+
+  /**
+   * 获取推文的互动数据快照
+   * @param {string} tweetId - 推文ID
+   * @returns {Promise<Array>} 按时间排序的快照
+   */
+  async getHistory(tweetId) {
+    return database.query(
+      'SELECT * FROM tweet_metrics_history WHERE tweet_id = ? ORDER BY captured_at, id',
+      [tweetId]
+    );
+  }
+
+  /**
+   * 计算推文的互动曲线和增长速度
+   * 速度为两次快照之间每小时新增的互动数
+   * @param {string} tweetId - 推文ID
+   * @returns {Promise<Object|null>} 互动曲线，推文不存在时返回 null
+   */
+  async getEngagement(tweetId) {
+    const tweet = await database.get(
+      'SELECT id, username, text, created_at FROM tweets WHERE id = ?',
+      [tweetId]
+    );
+    if (!tweet) {
+      return null;
+    }
+
+    const postedAt = parseTime(tweet.created_at);
+    const history = await this.getHistory(tweetId);
+
+    let previous = null;
+    const curve = history.map(snapshot => {
+      const capturedAt = parseTime(snapshot.captured_at);
+      const engagement = engagementOf(snapshot);
+
+      // 第一份快照相对发布时间计算
+      const base = previous || { time: postedAt, engagement: 0 };
+      const hours = (capturedAt - base.time) / HOUR;
+      const velocity = hours > 0 ? (engagement - base.engagement) / hours : null;
+
+      previous = { time: capturedAt, engagement };
+      return {
+        captured_at: capturedAt.toISOString(),
+        hours_since_post: Math.round(((capturedAt - postedAt) / HOUR) * 100) / 100,
+        like_count: snapshot.like_count,
+        retweet_count: snapshot.retweet_count,
+        reply_count: snapshot.reply_count,
+        quote_count: snapshot.quote_count,
+        impression_count: snapshot.impression_count,
+        engagement,
+        velocity: velocity === null ? null : Math.round(velocity * 100) / 100
+      };
+    });
+
+    const velocities = curve.map(point => point.velocity).filter(velocity => velocity !== null);
+    const latest = curve[curve.length - 1];
+
+    return {
+      tweet,
+      curve,
+      engagement: latest ? latest.engagement : 0,
+      velocity: velocities.length > 0 ? velocities[velocities.length - 1] : null,
+      peakVelocity: velocities.length > 0 ? Math.max(...velocities) : null
+    };
+  }
+
+  /**
+   * 获取最近发布且互动增长最快的推文
+   * 增长速度与 getEngagement 相同：相邻快照之间每小时新增的互动数（第一份快照相对发布时间），
+   * 当前速度为最近一次可计算的速度，峰值为其中最大值；在一次查询中用窗口函数计算所有推文
+   * @param {Object} [options] - 查询选项
+   * @param {number} [options.hours] - 发布时间范围（小时），默认为刷新窗口
+   * @param {number} [options.limit=20] - 最大条数
+   * @returns {Promise<Array>} 按当前增长速度排序的推文 { id, username, text, created_at, engagement, velocity, peakVelocity, snapshots }
+   */
+  async getRising(options = {}) {
+    const hours = parseFloat(options.hours) || config.metrics.windowHours;
+    const limit = parseInt(options.limit) || 20;
+    const since = new Date(Date.now() - hours * HOUR).toISOString();
+
+    const rows = await database.query(
+      `WITH points AS (
+         SELECT t.id, t.username, t.text, t.created_at, h.id AS snapshot_id, h.captured_at,
+                COALESCE(h.like_count, 0) + COALESCE(h.retweet_count, 0) +
+                  COALESCE(h.reply_count, 0) + COALESCE(h.quote_count, 0) AS engagement
+         FROM tweets t
+         JOIN tweet_metrics_history h ON h.tweet_id = t.id
+         WHERE t.created_at >= ?
+       ),
+       velocities AS (
+         SELECT *,
+                (julianday(captured_at) - julianday(LAG(captured_at, 1, created_at) OVER curve)) * 24 AS elapsed,
+                engagement - LAG(engagement, 1, 0) OVER curve AS gained
+         FROM points
+         WINDOW curve AS (PARTITION BY id ORDER BY captured_at, snapshot_id)
+       ),
+       ranked AS (
+         SELECT id, username, text, created_at,
+                CASE WHEN elapsed > 0 THEN gained / elapsed END AS velocity,
+                FIRST_VALUE(engagement) OVER latest AS engagement,
+                COUNT(*) OVER (PARTITION BY id) AS snapshots,
+                MAX(CASE WHEN elapsed > 0 THEN gained / elapsed END) OVER (PARTITION BY id) AS peak_velocity,
+                ROW_NUMBER() OVER (PARTITION BY id ORDER BY elapsed > 0 DESC, captured_at DESC, snapshot_id DESC) AS position
+         FROM velocities
+         WINDOW latest AS (PARTITION BY id ORDER BY captured_at DESC, snapshot_id DESC)
+       )
+       SELECT id, username, text, created_at, engagement, velocity, peak_velocity, snapshots
+       FROM ranked
+       WHERE position = 1 AND velocity IS NOT NULL
+       ORDER BY velocity DESC
+       LIMIT ?`,
+      [since, limit]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      username: row.username,
+      text: row.text,
+      created_at: row.created_at,
+      engagement: row.engagement,
+      velocity: Math.round(row.velocity * 100) / 100,
+      peakVelocity: Math.round(row.peak_velocity * 100) / 100,
+      snapshots: row.snapshots
+    }));
+  }
+}
+
+module.exports = MetricsService;
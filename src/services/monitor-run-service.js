@@ -0,0 +1,201 @@
+/**
+ * 轮询记录服务
+ * 记录调度服务每次轮询账号或搜索的过程和结果（monitor_runs），提供查询和按目标汇总的健康状况
+ */
+
+const database = require('../db/database');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { DAY, parseDate } = require('../utils/time-buckets');
+
+const TARGET_TYPES = ['account', 'search'];
+const STATUSES = ['running', 'success', 'failed', 'interrupted'];
+const MAX_LIMIT = 1000;
+
+class MonitorRunService {
+  /**
+   * 记录轮询开始
+   * @param {Object} schedule - 轮询计划
+   * @param {Date} startedAt - 开始时间
+   * @param {string} [triggeredBy=schedule] - schedule（按计划）或 manual（手动执行）
+   * @returns {Promise<number>} 记录ID
+   */
+  async start(schedule, startedAt, triggeredBy = 'schedule') {
+    const result = await database.run(
+      `INSERT INTO monitor_runs (schedule_id, target_type, target_id, triggered_by, status, started_at)
+       VALUES (?, ?, ?, ?, 'running', ?)`,
+      [schedule.id, schedule.target_type, schedule.target_id, triggeredBy, startedAt.toISOString()]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * 记录轮询结束
+   * @param {number} id - 记录ID
+   * @param {Object} result - 结果
+   * @param {string} result.status - success 或 failed
+   * @param {Date} result.startedAt - 开始时间
+   * @param {Date} result.finishedAt - 结束时间
+   * @param {Object} result.stats - { tweetsFetched, tweetsSaved, analyses, notifications, apiCalls }
+   * @param {Error} [result.error] - 失败原因
+   * @returns {Promise<void>}
+   */
+  async finish(id, { status, startedAt, finishedAt, stats, error }) {
+    await database.run(
+      `UPDATE monitor_runs SET status = ?, finished_at = ?, duration_ms = ?, tweets_fetched = ?, tweets_saved = ?,
+         analyses = ?, notifications = ?, api_calls = ?, error = ?, error_code = ?
+       WHERE id = ?`,
+      [
+        status,
+        finishedAt.toISOString(),
+        finishedAt.getTime() - startedAt.getTime(),
+        stats.tweetsFetched || 0,
+        stats.tweetsSaved || 0,
+        stats.analyses || 0,
+        stats.notifications || 0,
+        stats.apiCalls || 0,
+        error ? error.message : null,
+        error && error.code !== undefined ? String(error.code) : null,
+        id
+      ]
+    );
+  }
+
+  /**
+   * 将进程退出时未结束的记录标记为中断
+   * @returns {Promise<number>} 更新的数量
+   */
+  async markInterrupted() {
+    const result = await database.run(
+      "UPDATE monitor_runs SET status = 'interrupted', finished_at = ? WHERE status = 'running'",
+      [new Date().toISOString()]
+    );
+    return result.changes;
+  }
+
+  /**
+   * 查询轮询记录，按开始时间倒序
+   * @param {Object} filters - 过滤条件
+   * @param {string} [filters.type] - account 或 search
+   * @param {number} [filters.targetId] - 账号或搜索ID
+   * @param {string} [filters.status] - running、success、failed 或 interrupted
+   * @param {string} [filters.since] - 开始时间下限（ISO 8601）
+   * @param {string} [filters.until] - 开始时间上限（ISO 8601）
+   * @param {number} [filters.limit=100] - 最大条数
+   * @param {number} [filters.offset=0] - 偏移量
+   * @returns {Promise<Array>} 记录列表
+   */
+  async listRuns(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.type) {
+      if (!TARGET_TYPES.includes(filters.type)) {
+        throw new Error(`无效的轮询目标类型: ${filters.type}`);
+      }
+      conditions.push('r.target_type = ?');
+      params.push(filters.type);
+    }
+    if (filters.targetId) {
+      conditions.push('r.target_id = ?');
+      params.push(parseInt(filters.targetId, 10));
+    }
+    if (filters.status) {
+      if (!STATUSES.includes(filters.status)) {
+        throw new Error(`无效的轮询状态: ${filters.status}`);
+      }
+      conditions.push('r.status = ?');
+      params.push(filters.status);
+    }
+    const since = parseDate(filters.since, 'since');
+    if (since) {
+      conditions.push('r.started_at >= ?');
+      params.push(since.toISOString());
+    }
+    const until = parseDate(filters.until, 'until');
+    if (until) {
+      conditions.push('r.started_at < ?');
+      params.push(until.toISOString());
+    }
+
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, MAX_LIMIT);
+    const offset = parseInt(filters.offset, 10) || 0;
+
+    let sql = `SELECT r.*, COALESCE(a.username, m.name) AS target_name FROM monitor_runs r
+               LEFT JOIN monitored_accounts a ON r.target_type = 'account' AND a.id = r.target_id
+               LEFT JOIN search_monitors m ON r.target_type = 'search' AND m.id = r.target_id`;
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY r.started_at DESC, r.id DESC LIMIT ? OFFSET ?';
+
+    return database.query(sql, [...params, limit, offset]);
+  }
+
+  /**
+   * 获取轮询记录
+   * @param {number} id - 记录ID
+   * @returns {Promise<Object|null>} 记录
+   */
+  async getRun(id) {
+    return database.get('SELECT * FROM monitor_runs WHERE id = ?', [id]);
+  }
+
+  /**
+   * 按账号和搜索汇总轮询健康状况：最近成功和失败时间、连续失败次数以及最近 24 小时的轮询次数
+   * 连续失败达到 monitor.failureThreshold 次为 failing，有失败但未达到为 degraded
+   * @param {Object} [filters] - 过滤条件
+   * @param {string} [filters.type] - account 或 search
+   * @returns {Promise<Array>} 健康状况列表，failing 在前
+   */
+  async getHealth(filters = {}) {
+    if (filters.type && !TARGET_TYPES.includes(filters.type)) {
+      throw new Error(`无效的轮询目标类型: ${filters.type}`);
+    }
+
+    const since = new Date(Date.now() - DAY).toISOString();
+    const runs = `FROM monitor_runs r WHERE r.target_type = s.target_type AND r.target_id = s.target_id`;
+    const rows = await database.query(
+      `SELECT s.id AS schedule_id, s.target_type, s.target_id, COALESCE(a.username, m.name) AS target_name,
+         s.is_paused, s.consecutive_failures, s.last_run_at, s.last_status, s.last_error, s.next_run_at,
+         (SELECT MAX(r.started_at) ${runs} AND r.status = 'success') AS last_success_at,
+         (SELECT MAX(r.started_at) ${runs} AND r.status = 'failed') AS last_failure_at,
+         (SELECT COUNT(*) ${runs} AND r.started_at >= ?) AS runs_24h,
+         (SELECT COUNT(*) ${runs} AND r.started_at >= ? AND r.status = 'failed') AS failures_24h
+       FROM poll_schedules s
+       LEFT JOIN monitored_accounts a ON s.target_type = 'account' AND a.id = s.target_id
+       LEFT JOIN search_monitors m ON s.target_type = 'search' AND m.id = s.target_id
+       ${filters.type ? 'WHERE s.target_type = ?' : ''}
+       ORDER BY s.consecutive_failures DESC, s.target_type, s.target_id`,
+      filters.type ? [since, since, filters.type] : [since, since]
+    );
+
+    const threshold = config.monitor.failureThreshold;
+    return rows.map(row => {
+      let health = 'unknown';
+      if (row.consecutive_failures >= threshold) {
+        health = 'failing';
+      } else if (row.consecutive_failures > 0) {
+        health = 'degraded';
+      } else if (row.last_success_at) {
+        health = 'healthy';
+      }
+      return { ...row, is_paused: Boolean(row.is_paused), health };
+    });
+  }
+
+  /**
+   * 删除超过保留天数（monitor.runRetentionDays）的记录
+   * @returns {Promise<number>} 删除的数量
+   */
+  async prune() {
+    const cutoff = new Date(Date.now() - config.monitor.runRetentionDays * DAY).toISOString();
+    const result = await database.run("DELETE FROM monitor_runs WHERE started_at < ? AND status != 'running'", [cutoff]);
+    if (result.changes > 0) {
+      logger.info(`已删除 ${result.changes} 条过期的轮询记录`);
+    }
+    return result.changes;
+  }
+}
+
+module.exports = MonitorRunService;
@@ -1,111 +1,90 @@
 /**
  * 监控服务
- * 负责定期监控Twitter账号并获取新推文
+ * 获取并保存监控账号和搜索的新推文，由调度服务（scheduler-service）按轮询计划调用
  */
 
-const cron = require('node-cron');
 const TwitterClient = require('../api/twitter');
 const AccountManager = require('./account-manager');
+const SearchManager = require('./search-manager');
+const MetricsService = require('./metrics-service');
+const ProfileService = require('./profile-service');
+const VerificationService = require('./verification-service');
+const eventBus = require('./event-bus');
 const database = require('../db/database');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
+/**
+ * 判断推文ID是否比当前游标更新
+ * 推文ID为雪花ID，长度不同时不能按字符串比较
+ * @param {string} id - 推文ID
+ * @param {string|null} current - 当前游标
+ * @returns {boolean}
+ */
+function isNewerId(id, current) {
+  return !current || BigInt(id) > BigInt(current);
+}
+
 class MonitorService {
-  constructor() {
-    this.twitterClient = new TwitterClient();
+  /**
+   * @param {Object} [options] - 选项
+   * @param {TwitterClient|null} [options.twitterClient] - 默认创建新的客户端；只保存推文（如导入）时可传 null，不需要 Twitter 凭据
+   */
+  constructor(options = {}) {
+    this.twitterClient = options.twitterClient !== undefined ? options.twitterClient : new TwitterClient();
     this.accountManager = new AccountManager();
-    this.isRunning = false;
-    this.cronJob = null;
+    this.searchManager = new SearchManager();
+    this.metricsService = new MetricsService(this.twitterClient);
+    this.profileService = new ProfileService(this.twitterClient);
+    this.verificationService = new VerificationService(this.twitterClient);
   }
 
   /**
-   * 启动监控服务
+   * 刷新近期推文的互动数据
    */
-  start() {
-    if (this.isRunning) {
-      logger.warn('监控服务已在运行中');
-      return;
+  async refreshMetrics() {
+    try {
+      await this.metricsService.refreshDue();
+    } catch (error) {
+      logger.error(`刷新互动数据失败: ${error.message}`, { error });
     }
-
-    // 每5分钟执行一次监控
-    this.cronJob = cron.schedule('*/5 * * * *', async () => {
-      await this.monitorAllAccounts();
-    }, {
-      scheduled: false
-    });
-
-    this.cronJob.start();
-    this.isRunning = true;
-    
-    logger.info('监控服务已启动');
-    
-    // 立即执行一次监控
-    this.monitorAllAccounts();
   }
 
   /**
-   * 停止监控服务
+   * 刷新到期账号的资料并检测变更
    */
-  stop() {
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
+  async refreshProfiles() {
+    try {
+      await this.profileService.refreshProfiles();
+    } catch (error) {
+      logger.error(`刷新账号资料失败: ${error.message}`, { error });
     }
-    this.isRunning = false;
-    logger.info('监控服务已停止');
   }
 
   /**
-   * 监控所有账号
+   * 复查已保存的推文是否已被删除
    */
-  async monitorAllAccounts() {
+  async verifyTweets() {
     try {
-      logger.info('开始监控所有账号...');
-      
-      const accounts = await this.accountManager.getAllAccounts();
-      
-      if (accounts.length === 0) {
-        logger.info('没有需要监控的账号');
-        return;
-      }
-
-      logger.info(`开始监控 ${accounts.length} 个账号`);
-
-      // 并发监控所有账号
-      const promises = accounts.map(account => this.monitorAccount(account));
-      const results = await Promise.allSettled(promises);
-
-      // 统计结果
-      let successCount = 0;
-      let errorCount = 0;
-      
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          successCount++;
-        } else {
-          errorCount++;
-          logger.error(`监控账号失败: ${accounts[index].username}`, { 
-            error: result.reason 
-          });
-        }
-      });
-
-      logger.info(`监控完成: 成功 ${successCount}, 失败 ${errorCount}`);
+      await this.verificationService.verifyTweets();
     } catch (error) {
-      logger.error(`监控服务执行失败: ${error.message}`, { error });
+      logger.error(`复查推文失败: ${error.message}`, { error });
     }
   }
 
   /**
    * 监控单个账号
    * @param {Object} account - 账号信息
+   * @param {Object} [stats] - 执行统计，累加 tweetsFetched、tweetsSaved 和 apiCalls
+   * @returns {Promise<Array>} 本次新保存的推文
    */
-  async monitorAccount(account) {
+  async monitorAccount(account, stats = {}) {
     try {
       logger.debug(`开始监控账号: ${account.username}`);
 
       const options = {
-        max_results: config.monitor.maxTweets
+        max_results: config.monitor.maxTweets,
+        usage: stats
       };
 
       // 如果有最后推文ID，只获取更新的推文
@@ -115,25 +94,27 @@ class MonitorService {
 
       // 获取推文
       const tweets = await this.twitterClient.getUserTweets(account.user_id, options);
+      stats.tweetsFetched = (stats.tweetsFetched || 0) + tweets.length;
 
       if (tweets.length === 0) {
         logger.debug(`账号 ${account.username} 没有新推文`);
-        return;
+        return [];
       }
 
       logger.info(`账号 ${account.username} 获取到 ${tweets.length} 条新推文`);
 
       // 保存推文到数据库
-      let savedCount = 0;
+      const savedTweets = [];
       let latestTweetId = account.last_tweet_id;
 
       for (const tweet of tweets) {
         try {
           const saved = await this.saveTweet(tweet, account);
           if (saved) {
-            savedCount++;
+            savedTweets.push(tweet);
+            stats.tweetsSaved = (stats.tweetsSaved || 0) + 1;
             // 更新最新推文ID
-            if (!latestTweetId || tweet.id > latestTweetId) {
+            if (isNewerId(tweet.id, latestTweetId)) {
               latestTweetId = tweet.id;
             }
           }
@@ -147,20 +128,96 @@ class MonitorService {
         await this.accountManager.updateLastTweetId(account.username, latestTweetId);
       }
 
-      logger.info(`账号 ${account.username} 成功保存 ${savedCount} 条推文`);
+      logger.info(`账号 ${account.username} 成功保存 ${savedTweets.length} 条推文`);
+      return savedTweets;
     } catch (error) {
       logger.error(`监控账号失败: ${account.username}`, { error });
       throw error;
     }
   }
 
+  /**
+   * 监控单个搜索
+   * @param {Object} search - 搜索监控信息
+   * @param {Object} [stats] - 执行统计，累加 tweetsFetched、tweetsSaved 和 apiCalls
+   * @returns {Promise<Array>} 本次新保存的推文
+   */
+  async monitorSearch(search, stats = {}) {
+    try {
+      logger.debug(`开始监控搜索: ${search.name}`);
+
+      const options = {
+        max_results: config.monitor.maxTweets,
+        usage: stats
+      };
+
+      if (search.since_id) {
+        options.since_id = search.since_id;
+      }
+
+      const tweets = await this.twitterClient.searchTweets(search.query, options);
+      stats.tweetsFetched = (stats.tweetsFetched || 0) + tweets.length;
+
+      const savedTweets = [];
+      let latestTweetId = search.since_id;
+
+      for (const tweet of tweets) {
+        try {
+          const saved = await this.saveTweet(tweet, this.getTweetAuthor(tweet));
+          if (saved) {
+            savedTweets.push(tweet);
+            stats.tweetsSaved = (stats.tweetsSaved || 0) + 1;
+          }
+
+          // 已存在的推文同样需要标记为该搜索命中
+          await this.searchManager.tagTweet(search.id, tweet.id);
+
+          if (isNewerId(tweet.id, latestTweetId)) {
+            latestTweetId = tweet.id;
+          }
+        } catch (error) {
+          logger.error(`保存推文失败: ${tweet.id}`, { error });
+        }
+      }
+
+      await this.searchManager.updateSinceId(
+        search.id,
+        latestTweetId !== search.since_id ? latestTweetId : null
+      );
+
+      if (tweets.length > 0) {
+        logger.info(`搜索 ${search.name} 获取到 ${tweets.length} 条推文，新保存 ${savedTweets.length} 条`);
+      } else {
+        logger.debug(`搜索 ${search.name} 没有新推文`);
+      }
+      return savedTweets;
+    } catch (error) {
+      logger.error(`监控搜索失败: ${search.name}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取搜索结果推文的作者：作者不一定在监控账号中，使用推文中的作者信息
+   * @param {Object} tweet - 推文数据
+   * @returns {Object} { user_id, username }
+   */
+  getTweetAuthor(tweet) {
+    return {
+      user_id: tweet.author_id,
+      username: tweet.author?.username || tweet.author_id
+    };
+  }
+
   /**
    * 保存推文到数据库
    * @param {Object} tweet - 推文数据
    * @param {Object} account - 账号信息
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.publish=true] - 是否发布 tweet.saved 事件，批量导入时关闭
    * @returns {Promise<boolean>} 是否成功保存
    */
-  async saveTweet(tweet, account) {
+  async saveTweet(tweet, account, options = {}) {
     try {
       // 检查推文是否已存在
       const existingTweet = await database.query(
@@ -169,7 +226,9 @@ class MonitorService {
       );
 
       if (existingTweet.length > 0) {
+        // 已存在的推文不再保存，但记录本次获取到的互动数据
         logger.debug(`推文已存在: ${tweet.id}`);
+        await this.metricsService.recordSnapshot(tweet);
         return false;
       }
 
@@ -214,7 +273,18 @@ class MonitorService {
       ];
 
       await database.run(sql, params);
+      await this.metricsService.recordSnapshot(tweet);
       logger.debug(`推文保存成功: ${tweet.id}`);
+      if (options.publish !== false) {
+        eventBus.publish('tweet.saved', {
+          id: tweet.id,
+          user_id: account.user_id,
+          username: account.username,
+          text: tweet.text,
+          created_at: tweet.created_at,
+          has_media: Boolean(tweet.media)
+        });
+      }
       return true;
     } catch (error) {
       logger.error(`保存推文失败: ${tweet.id}`, { error });
@@ -228,21 +298,9 @@ class MonitorService {
    */
   getStatus() {
     return {
-      isRunning: this.isRunning,
-      nextRun: this.cronJob ? this.cronJob.nextDate() : null
+      rateLimits: this.twitterClient.getRateLimitStatus()
     };
   }
-
-  /**
-   * 手动触发监控
-   */
-  async triggerMonitor() {
-    if (this.isRunning) {
-      await this.monitorAllAccounts();
-    } else {
-      throw new Error('监控服务未启动');
-    }
-  }
 }
 
 module.exports = MonitorService;
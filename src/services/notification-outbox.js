@@ -0,0 +1,208 @@
+/**
+ * 通知发件箱
+ * 负责 notifications 表的读写：入队、领取待投递通知、记录投递结果
+ *
+ * 状态流转：pending -> sending -> sent
+ *                              -> pending（失败，等待重试）
+ *                              -> dead（达到最大尝试次数）
+ */
+
+const database = require('../db/database');
+const logger = require('../utils/logger');
+
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+class NotificationOutbox {
+  /**
+   * 写入一条待投递通知
+   * @param {Object} notification - 通知内容 { type, tweetId, title, message, priority, tags }
+   * @param {Object} channel - 目标渠道 { id, name, type }
+   * @returns {Promise<number>} 通知ID
+   */
+  async enqueue(notification, channel) {
+    const result = await database.run(
+      `INSERT INTO notifications
+       (tweet_id, type, title, message, priority, tags, channel_id, channel_name, channel_type,
+        status, attempts, next_attempt_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, datetime('now'), CURRENT_TIMESTAMP)`,
+      [
+        notification.tweetId || null,
+        notification.type || 'general',
+        notification.title,
+        notification.message,
+        notification.priority || 'default',
+        notification.tags || '',
+        channel.id,
+        channel.name,
+        channel.type
+      ]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * 领取一条通知用于投递
+   * 通过条件更新保证同一通知不会被并发投递两次
+   * @param {number} id - 通知ID
+   * @returns {Promise<boolean>} 是否领取成功
+   */
+  async claim(id) {
+    const result = await database.run(
+      `UPDATE notifications SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * 获取已到重试时间的待投递通知ID
+   * @param {number} [limit=50] - 最大条数
+   * @returns {Promise<Array<number>>} 通知ID列表
+   */
+  async getDueIds(limit = 50) {
+    const rows = await database.query(
+      `SELECT id FROM notifications
+       WHERE status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+       ORDER BY id
+       LIMIT ?`,
+      [limit]
+    );
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * 标记投递成功
+   * @param {number} id - 通知ID
+   */
+  async markSent(id) {
+    await database.run(
+      `UPDATE notifications
+       SET status = 'sent', attempts = attempts + 1, last_error = NULL,
+           sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * 记录投递失败
+   * @param {number} id - 通知ID
+   * @param {string} error - 错误信息
+   * @param {number|null} retryDelayMs - 下次重试的延迟，为 null 时进入 dead 状态
+   */
+  async markFailed(id, error, retryDelayMs) {
+    if (retryDelayMs === null) {
+      await database.run(
+        `UPDATE notifications
+         SET status = 'dead', attempts = attempts + 1, last_error = ?,
+             next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [error, id]
+      );
+      return;
+    }
+
+    await database.run(
+      `UPDATE notifications
+       SET status = 'pending', attempts = attempts + 1, last_error = ?,
+           next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [error, `+${Math.ceil(retryDelayMs / 1000)} seconds`, id]
+    );
+  }
+
+  /**
+   * 将中断投递（进程退出时处于 sending 状态）的通知恢复为待投递
+   * @returns {Promise<number>} 恢复的条数
+   */
+  async recoverInterrupted() {
+    const result = await database.run(
+      `UPDATE notifications SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'sending'`
+    );
+    if (result.changes > 0) {
+      logger.warn(`恢复 ${result.changes} 条中断投递的通知`);
+    }
+    return result.changes;
+  }
+
+  /**
+   * 获取通知
+   * @param {number} id - 通知ID
+   * @returns {Promise<Object|null>} 通知
+   */
+  async get(id) {
+    return database.get('SELECT * FROM notifications WHERE id = ?', [id]);
+  }
+
+  /**
+   * 查询通知
+   * @param {Object} filters - 过滤条件
+   * @param {string} [filters.status] - 状态
+   * @param {string} [filters.type] - 通知类型（alert、system、test 等）
+   * @param {string} [filters.channel] - 渠道名称或类型
+   * @param {string} [filters.tweetId] - 推文ID
+   * @param {string} [filters.since] - 创建时间下限
+   * @param {string} [filters.until] - 创建时间上限
+   * @param {number} [filters.limit=50] - 最大条数
+   * @param {number} [filters.offset=0] - 偏移量
+   * @returns {Promise<Array>} 通知列表
+   */
+  async list(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      if (!STATUSES.includes(filters.status)) {
+        throw new Error(`无效的通知状态: ${filters.status}`);
+      }
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.type) {
+      conditions.push('type = ?');
+      params.push(filters.type);
+    }
+    if (filters.channel) {
+      conditions.push('(channel_name = ? OR channel_type = ?)');
+      params.push(filters.channel, filters.channel);
+    }
+    if (filters.tweetId) {
+      conditions.push('tweet_id = ?');
+      params.push(filters.tweetId);
+    }
+    if (filters.since) {
+      conditions.push('created_at >= ?');
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      conditions.push('created_at <= ?');
+      params.push(filters.until);
+    }
+
+    let sql = 'SELECT * FROM notifications';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(filters.limit) || 50, parseInt(filters.offset) || 0);
+
+    return database.query(sql, params);
+  }
+
+  /**
+   * 按状态统计通知数量
+   * @returns {Promise<Object>} 各状态的数量
+   */
+  async getStats() {
+    const rows = await database.query('SELECT status, COUNT(*) as count FROM notifications GROUP BY status');
+    const stats = { pending: 0, sending: 0, sent: 0, dead: 0 };
+    rows.forEach(row => {
+      stats[row.status] = row.count;
+    });
+    return stats;
+  }
+}
+
+module.exports = NotificationOutbox;
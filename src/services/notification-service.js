@@ -1,46 +1,318 @@
 // /usr/local/app/workspace/plan_1f0ec8ac1ae3e7e00c0f05bdfe1b450e/stage_5/src/services/notification-service.js
-const axios = require('axios');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const ChannelManager = require('./channel-manager');
+const NotificationOutbox = require('./notification-outbox');
+const eventBus = require('./event-bus');
+const { createChannel } = require('./channels');
 
 class NotificationService {
     constructor() {
-        this.ntfyServer = config.get('NTFY_SERVER');
-        this.ntfyTopic = config.get('NTFY_TOPIC');
-        if (!this.ntfyServer || !this.ntfyTopic) {
-            logger.warn('NTFY_SERVER or NTFY_TOPIC not configured. Notifications will be disabled.');
+        this.channelManager = new ChannelManager();
+        this.outbox = new NotificationOutbox();
+        this.workerTimer = null;
+        this.isProcessing = false;
+        if (!config.get('ntfy.server') || !config.get('ntfy.topic')) {
+            logger.warn('NTFY_SERVER or NTFY_TOPIC not configured. The built-in ntfy channel will be disabled.');
         }
+        // 投递间隔修改后重新启动投递任务
+        config.onChange(key => {
+            if (key === 'notifications.workerInterval' && this.workerTimer) {
+                clearInterval(this.workerTimer);
+                this.workerTimer = setInterval(() => this.processOutbox(), config.notifications.workerInterval);
+                logger.info(`Notification outbox worker interval changed to ${config.notifications.workerInterval}ms.`);
+            }
+        });
     }
 
     /**
-     * 发送通知到ntfy
+     * 获取所有可用的通知渠道：系统设置中的 ntfy 以及 notification_channels 中启用的渠道
+     * @returns {Promise<Array>} 渠道列表 { id, name, type, channel }
+     */
+    async getProviders() {
+        const providers = [];
+
+        const settingsProvider = this.getSettingsProvider();
+        if (settingsProvider) {
+            providers.push(settingsProvider);
+        }
+
+        try {
+            providers.push(...await this.channelManager.getActiveProviders());
+        } catch (error) {
+            logger.error(`Failed to load notification channels: ${error.message}`);
+        }
+
+        return providers;
+    }
+
+    /**
+     * 获取系统设置中的 ntfy 渠道
+     * @returns {object|null} 渠道 { id, name, type, channel }，服务器或主题未设置时返回 null
+     */
+    getSettingsProvider() {
+        const ntfyServer = config.get('ntfy.server');
+        const ntfyTopic = config.get('ntfy.topic');
+        if (!ntfyServer || !ntfyTopic) {
+            return null;
+        }
+        return {
+            id: null,
+            name: 'ntfy (settings)',
+            type: 'ntfy',
+            channel: createChannel('ntfy', { server: ntfyServer, topic: ntfyTopic, token: config.get('ntfy.token') })
+        };
+    }
+
+    /**
+     * 发送通知到所有渠道
+     * 通知先按渠道写入发件箱再立即尝试投递，失败的通知由后台任务按指数退避重试
      * @param {string} title 通知标题
      * @param {string} message 通知内容
      * @param {string} priority 通知优先级 (e.g., 'default', 'high', 'urgent')
      * @param {string} tags 通知标签 (e.g., 'bell', 'warning')
+     * @param {object} meta 附加信息 { type, tweetId }
+     * @returns {Promise<Array>} 每个渠道的首次投递结果 { id, name, type, success, error }
      */
-    async sendNotification(title, message, priority = 'default', tags = '') {
-        if (!this.ntfyServer || !this.ntfyTopic) {
-            logger.info('NTFY notifications are disabled due to missing configuration.');
-            return;
+    async sendNotification(title, message, priority = 'default', tags = '', meta = {}) {
+        const providers = await this.getProviders();
+        if (providers.length === 0) {
+            logger.info('Notifications are disabled: no channel configured.');
+            return [];
+        }
+
+        const notification = { title, message, priority, tags, type: meta.type, tweetId: meta.tweetId };
+        const ids = [];
+        for (const provider of providers) {
+            ids.push(await this.outbox.enqueue(notification, provider));
+        }
+
+        const results = (await Promise.all(ids.map(id => this.deliverOutboxItem(id)))).filter(Boolean);
+
+        const sent = results.filter(result => result.success).length;
+        logger.info(`Notification sent: ${title} (${sent}/${results.length} channels)`);
+        return results;
+    }
+
+    /**
+     * 投递发件箱中的一条通知并记录结果
+     * @param {number} id 通知ID
+     * @returns {Promise<object|null>} 投递结果，通知已被其他任务领取时返回 null
+     */
+    async deliverOutboxItem(id) {
+        if (!(await this.outbox.claim(id))) {
+            return null;
         }
 
-        const url = `${this.ntfyServer}/${this.ntfyTopic}`;
+        const row = await this.outbox.get(id);
+        let channel;
         try {
-            await axios.post(url, message, {
-                headers: {
-                    'Title': title,
-                    'Priority': priority,
-                    'Tags': tags,
-                    'Content-Type': 'text/plain'
-                }
+            channel = await this.resolveChannel(row);
+        } catch (error) {
+            // 渠道已删除或配置失效，重试没有意义
+            logger.error(`Notification ${id} cannot be delivered: ${error.message}`);
+            await this.outbox.markFailed(id, error.message, null);
+            this.publishDelivery(row, { success: false, error: error.message }, false);
+            return { id, name: row.channel_name, type: row.channel_type, success: false, error: error.message };
+        }
+
+        const result = await this.deliver({ name: row.channel_name, type: row.channel_type, channel }, row);
+        let willRetry = false;
+        if (result.success) {
+            await this.outbox.markSent(id);
+        } else {
+            const delay = this.getRetryDelay(row.attempts + 1);
+            await this.outbox.markFailed(id, result.error, delay);
+            willRetry = delay !== null;
+            if (delay === null) {
+                logger.error(`Notification ${id} moved to dead letter after ${row.attempts + 1} attempts.`);
+            }
+        }
+        this.publishDelivery(row, result, willRetry);
+        return { id, ...result };
+    }
+
+    /**
+     * 发布投递结果事件
+     * @param {object} row 发件箱记录
+     * @param {object} result 投递结果 { success, error }
+     * @param {boolean} willRetry 失败后是否会重试
+     */
+    publishDelivery(row, result, willRetry) {
+        eventBus.publish(result.success ? 'notification.sent' : 'notification.failed', {
+            id: row.id,
+            title: row.title,
+            type: row.type,
+            priority: row.priority,
+            channel: row.channel_name,
+            channelType: row.channel_type,
+            attempts: row.attempts + 1,
+            error: result.success ? null : result.error,
+            willRetry
+        });
+    }
+
+    /**
+     * 根据发件箱记录创建渠道实例
+     * channel_id 为空表示系统设置中的 ntfy
+     * @param {object} row 发件箱记录
+     * @returns {Promise<object>} 渠道实例
+     */
+    async resolveChannel(row) {
+        if (row.channel_id === null) {
+            return createChannel('ntfy', {
+                server: config.get('ntfy.server'),
+                topic: config.get('ntfy.topic'),
+                token: config.get('ntfy.token')
             });
-            logger.info(`Notification sent: ${title}`);
+        }
+
+        const channel = await this.channelManager.getChannel(row.channel_id);
+        if (!channel) {
+            throw new Error(`Channel ${row.channel_id} no longer exists`);
+        }
+        if (!channel.is_active) {
+            throw new Error(`Channel ${channel.name} is disabled`);
+        }
+        return createChannel(channel.type, channel.config);
+    }
+
+    /**
+     * 计算重试延迟（指数退避）
+     * @param {number} attempts 已尝试次数（含本次）
+     * @returns {number|null} 延迟毫秒数，达到最大尝试次数时返回 null
+     */
+    getRetryDelay(attempts) {
+        const { maxAttempts, retryBaseDelay, retryMaxDelay } = config.notifications;
+        if (attempts >= maxAttempts) {
+            return null;
+        }
+        return Math.min(retryBaseDelay * Math.pow(2, attempts - 1), retryMaxDelay);
+    }
+
+    /**
+     * 投递所有已到重试时间的通知
+     */
+    async processOutbox() {
+        if (this.isProcessing) {
+            return;
+        }
+        this.isProcessing = true;
+
+        try {
+            const ids = await this.outbox.getDueIds();
+            for (const id of ids) {
+                await this.deliverOutboxItem(id);
+            }
+        } catch (error) {
+            logger.error(`Failed to process notification outbox: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * 启动发件箱投递任务
+     */
+    async startWorker() {
+        if (this.workerTimer) {
+            return;
+        }
+        await this.outbox.recoverInterrupted();
+        this.workerTimer = setInterval(() => this.processOutbox(), config.notifications.workerInterval);
+        logger.info('Notification outbox worker started.');
+        this.processOutbox();
+    }
+
+    /**
+     * 停止发件箱投递任务
+     */
+    stopWorker() {
+        if (this.workerTimer) {
+            clearInterval(this.workerTimer);
+            this.workerTimer = null;
+            logger.info('Notification outbox worker stopped.');
+        }
+    }
+
+    /**
+     * 重新发送通知：复制为新的发件箱记录并立即投递，原记录保留用于审计
+     * @param {number} id 原通知ID
+     * @returns {Promise<object|null>} 新通知记录，原通知不存在时返回 null
+     */
+    async resend(id) {
+        const original = await this.outbox.get(id);
+        if (!original) {
+            return null;
+        }
+
+        const newId = await this.outbox.enqueue({
+            type: original.type,
+            tweetId: original.tweet_id,
+            title: original.title,
+            message: original.message,
+            priority: original.priority,
+            tags: original.tags
+        }, { id: original.channel_id, name: original.channel_name, type: original.channel_type });
+
+        await this.deliverOutboxItem(newId);
+        return this.outbox.get(newId);
+    }
+
+    /**
+     * 通过单个渠道发送通知，失败时记录日志而不抛出
+     * @param {object} provider 渠道 { name, type, channel }
+     * @param {object} notification 通知内容
+     * @returns {Promise<object>} 发送结果
+     */
+    async deliver(provider, notification) {
+        try {
+            await provider.channel.send(notification);
+            return { name: provider.name, type: provider.type, success: true };
         } catch (error) {
-            logger.error(`Failed to send notification: ${error.message}`);
+            logger.error(`Failed to send notification via ${provider.name} (${provider.type}): ${error.message}`);
+            return { name: provider.name, type: provider.type, success: false, error: error.message };
         }
     }
 
+    /**
+     * 通过指定渠道发送测试通知
+     * @param {number} channelId 渠道ID
+     * @returns {Promise<object|null>} 发送结果，渠道不存在时返回 null
+     */
+    async testChannel(channelId) {
+        const row = await this.channelManager.getChannel(channelId);
+        if (!row) {
+            return null;
+        }
+
+        const provider = { name: row.name, type: row.type, channel: createChannel(row.type, row.config) };
+        return this.deliver(provider, {
+            title: 'Test Notification',
+            message: `This is a test notification from your Twitter Monitor System (${row.name}).`,
+            priority: 'default',
+            tags: 'tada'
+        });
+    }
+
+    /**
+     * 通过系统设置中的 ntfy 渠道发送测试通知，不写入发件箱
+     * @returns {Promise<object|null>} 发送结果，ntfy 未设置时返回 null
+     */
+    async testSettingsChannel() {
+        const provider = this.getSettingsProvider();
+        if (!provider) {
+            return null;
+        }
+
+        return this.deliver(provider, {
+            title: 'Test Notification',
+            message: 'This is a test notification from your Twitter Monitor System.',
+            priority: 'default',
+            tags: 'tada'
+        });
+    }
+
     /**
      * 发送新推文通知
      * @param {object} tweet 推文对象
@@ -49,7 +321,7 @@ class NotificationService {
     async sendNewTweetNotification(tweet, monitorAccountName) {
         const title = `New Tweet from ${monitorAccountName}`;
         const message = `User: @${tweet.author_username}\nText: ${tweet.text}\nLink: ${tweet.tweet_url}`;
-        await this.sendNotification(title, message, 'default', 'bird');
+        await this.sendNotification(title, message, 'default', 'bird', { type: 'tweet', tweetId: tweet.id });
     }
 
     /**
@@ -71,7 +343,32 @@ class NotificationService {
         }
         message += `Link: ${tweet.tweet_url}`;
 
-        await this.sendNotification(title, message, 'high', 'chart_with_upwards_trend');
+        await this.sendNotification(title, message, 'high', 'chart_with_upwards_trend', { type: 'analysis', tweetId: tweet.id });
+    }
+
+    /**
+     * 发送告警规则命中通知
+     * @param {object} rule 告警规则
+     * @param {object} context 规则评估上下文（见 AlertService.buildContext）
+     */
+    async sendAlertNotification(rule, context) {
+        const title = `[${rule.name}] @${context.username}`;
+        let message = `${context.text}\n\n`;
+        if (context.sentiment) {
+            message += `Sentiment: ${context.sentiment}\n`;
+        }
+        if (context.keywords.length > 0) {
+            message += `Keywords: ${context.keywords.join(', ')}\n`;
+        }
+        if (context.summary) {
+            message += `Summary: ${context.summary}\n`;
+        }
+        message += `Link: ${context.url}`;
+
+        await this.sendNotification(title, message, rule.priority || 'default', rule.tags || 'bell', {
+            type: 'alert',
+            tweetId: context.id
+        });
     }
 
     /**
@@ -98,7 +395,7 @@ class NotificationService {
                 tags = 'information_source';
                 break;
         }
-        await this.sendNotification(title, message, priority, tags);
+        await this.sendNotification(title, message, priority, tags, { type: 'system' });
     }
 }
 
@@ -0,0 +1,278 @@
+/**
+ * 账号资料跟踪服务
+ * 定期刷新监控账号的资料，保存快照并检测变更（用户名、名称、简介、头像、粉丝数突变），检测到变更时发送通知
+ * 资料变更往往是账号被盗用的最早信号
+ */
+
+const database = require('../db/database');
+const notificationService = require('./notification-service');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// 文本类字段：监控账号列名 -> 显示名称
+const TEXT_FIELDS = {
+  username: 'Username',
+  display_name: 'Name',
+  description: 'Bio',
+  profile_image_url: 'Avatar'
+};
+
+// 计数类字段：超过阈值的变化才视为变更
+const COUNT_FIELDS = {
+  followers_count: 'Followers',
+  following_count: 'Following'
+};
+
+class ProfileService {
+  /**
+   * @param {TwitterClient} [twitterClient] - 刷新资料时使用的客户端，只读取数据时可以不传
+   */
+  constructor(twitterClient = null) {
+    this.twitterClient = twitterClient;
+  }
+
+  /**
+   * 将 Twitter 用户对象转换为资料快照
+   * @param {Object} user - Twitter API 返回的用户
+   * @returns {Object} 资料快照
+   */
+  toProfile(user) {
+    return {
+      username: user.username,
+      display_name: user.name,
+      description: user.description || '',
+      profile_image_url: user.profile_image_url || '',
+      followers_count: user.public_metrics?.followers_count ?? null,
+      following_count: user.public_metrics?.following_count ?? null,
+      tweet_count: user.public_metrics?.tweet_count ?? null
+    };
+  }
+
+  /**
+   * 比较两份资料，返回变更列表
+   * @param {Object} previous - 上一份资料
+   * @param {Object} current - 当前资料
+   * @returns {Array<Object>} 变更 { field, old_value, new_value, delta }
+   */
+  diffProfiles(previous, current) {
+    const changes = [];
+
+    for (const field of Object.keys(TEXT_FIELDS)) {
+      const oldValue = previous[field] || '';
+      const newValue = current[field] || '';
+      if (oldValue !== newValue) {
+        changes.push({ field, old_value: oldValue, new_value: newValue, delta: null });
+      }
+    }
+
+    const { countChangePercent, countChangeMin } = config.profiles;
+    for (const field of Object.keys(COUNT_FIELDS)) {
+      const oldValue = previous[field];
+      const newValue = current[field];
+      if (typeof oldValue !== 'number' || typeof newValue !== 'number') {
+        continue;
+      }
+
+      const delta = newValue - oldValue;
+      const percent = oldValue > 0 ? Math.abs(delta) / oldValue * 100 : Infinity;
+      if (Math.abs(delta) >= countChangeMin && percent >= countChangePercent) {
+        changes.push({ field, old_value: String(oldValue), new_value: String(newValue), delta });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * 获取账号上一份资料：最近的快照，没有快照时使用添加账号时保存的资料
+   * @private
+   * @param {Object} account - 监控账号
+   * @returns {Promise<Object|null>} 资料，从未获取过资料时返回 null
+   */
+  async _getPreviousProfile(account) {
+    const snapshot = await database.get(
+      'SELECT * FROM account_profile_history WHERE account_id = ? ORDER BY captured_at DESC, id DESC LIMIT 1',
+      [account.id]
+    );
+    if (snapshot) {
+      return snapshot;
+    }
+    // 只有 username 的账号（未从 Twitter 获取过资料）不作比较
+    return account.display_name ? account : null;
+  }
+
+  /**
+   * 保存账号的最新资料并检测变更
+   * @param {Object} account - 监控账号
+   * @param {Object} user - Twitter API 返回的用户
+   * @returns {Promise<Array<Object>>} 检测到的变更
+   */
+  async recordProfile(account, user) {
+    const current = this.toProfile(user);
+    const previous = await this._getPreviousProfile(account);
+    const changes = previous ? this.diffProfiles(previous, current) : [];
+
+    await database.run(
+      `INSERT INTO account_profile_history
+       (account_id, username, display_name, description, profile_image_url, followers_count, following_count, tweet_count)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        account.id,
+        current.username,
+        current.display_name,
+        current.description,
+        current.profile_image_url,
+        current.followers_count,
+        current.following_count,
+        current.tweet_count
+      ]
+    );
+
+    for (const change of changes) {
+      await database.run(
+        'INSERT INTO account_profile_changes (account_id, field, old_value, new_value, delta) VALUES (?, ?, ?, ?, ?)',
+        [account.id, change.field, change.old_value, change.new_value, change.delta]
+      );
+    }
+
+    await database.run(
+      `UPDATE monitored_accounts
+       SET username = ?, display_name = ?, description = ?, profile_image_url = ?,
+           followers_count = ?, following_count = ?, tweet_count = ?,
+           profile_checked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        current.username,
+        current.display_name,
+        current.description,
+        current.profile_image_url,
+        current.followers_count,
+        current.following_count,
+        current.tweet_count,
+        account.id
+      ]
+    );
+
+    if (changes.length > 0) {
+      logger.warn(`账号 ${account.username} 资料发生变更: ${changes.map(change => change.field).join(', ')}`);
+      await this.notifyChanges(account, changes);
+    }
+
+    return changes;
+  }
+
+  /**
+   * 发送资料变更通知
+   * 用户名、名称、简介、头像变更使用高优先级，粉丝数变化使用默认优先级
+   * @param {Object} account - 监控账号
+   * @param {Array<Object>} changes - 变更列表
+   */
+  async notifyChanges(account, changes) {
+    const lines = changes.map(change => {
+      if (change.field in COUNT_FIELDS) {
+        const sign = change.delta > 0 ? '+' : '';
+        return `${COUNT_FIELDS[change.field]}: ${change.old_value} -> ${change.new_value} (${sign}${change.delta})`;
+      }
+      return `${TEXT_FIELDS[change.field]}: "${change.old_value}" -> "${change.new_value}"`;
+    });
+
+    const identityChanged = changes.some(change => change.field in TEXT_FIELDS);
+    try {
+      await notificationService.sendNotification(
+        `Profile change: @${account.username}`,
+        lines.join('\n'),
+        identityChanged ? 'high' : 'default',
+        identityChanged ? 'warning,bust_in_silhouette' : 'bust_in_silhouette',
+        { type: 'profile' }
+      );
+    } catch (error) {
+      logger.error(`发送资料变更通知失败: ${error.message}`, { username: account.username });
+    }
+  }
+
+  /**
+   * 刷新到期账号的资料
+   * 距离上次刷新超过 profiles.interval 的账号每批最多100个
+   * @returns {Promise<Object>} 刷新结果 { checked, changed, missing }
+   */
+  async refreshProfiles() {
+    if (!this.twitterClient) {
+      throw new Error('未配置Twitter客户端，无法刷新账号资料');
+    }
+
+    const intervalSeconds = Math.round(config.profiles.interval / 1000);
+    const accounts = await database.query(
+      `SELECT * FROM monitored_accounts
+       WHERE is_active = 1 AND user_id IS NOT NULL
+         AND (profile_checked_at IS NULL OR profile_checked_at <= datetime('now', ?))
+       ORDER BY profile_checked_at`,
+      [`-${intervalSeconds} seconds`]
+    );
+
+    const result = { checked: 0, changed: 0, missing: 0 };
+    for (let i = 0; i < accounts.length; i += 100) {
+      const batch = accounts.slice(i, i + 100);
+      const { users, errors } = await this.twitterClient.getUsersByIds(batch.map(account => account.user_id));
+
+      for (const account of batch) {
+        const user = users.find(item => item.id === account.user_id);
+        if (!user) {
+          continue;
+        }
+        const changes = await this.recordProfile(account, user);
+        result.checked++;
+        if (changes.length > 0) {
+          result.changed++;
+        }
+      }
+
+      // 无法获取的账号（停用、封禁、改为受保护）本身就值得关注
+      for (const error of errors) {
+        const account = batch.find(item => item.user_id === error.resource_id || item.user_id === error.value);
+        if (account) {
+          result.missing++;
+          logger.warn(`无法获取账号 ${account.username} 的资料: ${error.detail || error.title}`);
+          await database.run(
+            'UPDATE monitored_accounts SET profile_checked_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [account.id]
+          );
+        }
+      }
+    }
+
+    if (accounts.length > 0) {
+      logger.info(`刷新账号资料: ${result.checked}/${accounts.length}，有变更 ${result.changed} 个`);
+    }
+    return result;
+  }
+
+  /**
+   * 获取账号的资料变更时间线
+   * @param {number} accountId - 账号ID
+   * @param {Object} [options] - 查询选项
+   * @param {number} [options.limit=100] - 最大条数
+   * @returns {Promise<Array>} 按时间倒序的变更
+   */
+  async getChanges(accountId, options = {}) {
+    return database.query(
+      'SELECT * FROM account_profile_changes WHERE account_id = ? ORDER BY detected_at DESC, id DESC LIMIT ?',
+      [accountId, parseInt(options.limit) || 100]
+    );
+  }
+
+  /**
+   * 获取账号的资料快照
+   * @param {number} accountId - 账号ID
+   * @param {Object} [options] - 查询选项
+   * @param {number} [options.limit=100] - 最大条数
+   * @returns {Promise<Array>} 按时间倒序的快照
+   */
+  async getHistory(accountId, options = {}) {
+    return database.query(
+      'SELECT * FROM account_profile_history WHERE account_id = ? ORDER BY captured_at DESC, id DESC LIMIT ?',
+      [accountId, parseInt(options.limit) || 100]
+    );
+  }
+}
+
+module.exports = ProfileService;
@@ -0,0 +1,751 @@
+/**
+ * 摘要报告服务
+ * 汇总一个时间窗口内（全部账号、单个账号或一组账号）的推文和分析结果，
+ * 请模型生成整体简报：主要话题、值得关注的推文、与上一周期相比的情感变化
+ * 报告保存到 reports 表，可按计划（每日/每周，指定时区）自动生成并通过通知渠道投递
+ */
+
+const database = require('../db/database');
+const notificationService = require('./notification-service');
+const { getProvider } = require('../api/llm');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { parseCron, nextCronRun } = require('../utils/cron-expression');
+
+const PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+/**
+ * 转义 HTML 文本
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class ReportService {
+  constructor() {
+    // 报告计划ID -> 定时任务 { cron, timezone, nextRun, timer }
+    this.tasks = new Map();
+    // 默认时区修改后重新注册未指定时区的报告计划
+    config.onChange(key => {
+      if (key === 'reports.timezone' && this.tasks.size > 0) {
+        this.start();
+      }
+    });
+  }
+
+  /**
+   * 校验时区
+   * @param {string} timezone - IANA 时区名称
+   * @returns {string} 时区
+   */
+  validateTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      throw new Error(`无效的时区: ${timezone}`);
+    }
+  }
+
+  /**
+   * 校验并规范化账号范围
+   * @param {Array<number>|null} accountIds - 账号ID，为空表示全部账号
+   * @returns {Array<number>|null} 账号ID
+   */
+  normalizeAccountIds(accountIds) {
+    if (accountIds === undefined || accountIds === null || accountIds === '') {
+      return null;
+    }
+    const ids = (Array.isArray(accountIds) ? accountIds : String(accountIds).split(','))
+      .map(id => parseInt(id, 10));
+    if (ids.some(id => !(id > 0))) {
+      throw new Error(`无效的账号ID: ${accountIds}`);
+    }
+    return ids.length > 0 ? [...new Set(ids)] : null;
+  }
+
+  /**
+   * 校验报告计划
+   * @param {Object} data - 报告计划
+   * @param {Object} [existing] - 更新时的原计划
+   * @returns {Object} 规范化后的计划
+   */
+  normalizeSchedule(data, existing = {}) {
+    const schedule = {
+      name: data.name !== undefined ? data.name : existing.name,
+      period: data.period !== undefined ? data.period : (existing.period || 'daily'),
+      account_ids: data.accountIds !== undefined ? this.normalizeAccountIds(data.accountIds) : existing.account_ids || null,
+      time: data.time !== undefined ? data.time : (existing.time || '08:00'),
+      weekday: data.weekday !== undefined ? parseInt(data.weekday, 10) : (existing.weekday ?? 1),
+      timezone: data.timezone !== undefined ? data.timezone || null : existing.timezone || null,
+      is_active: data.isActive !== undefined ? Boolean(data.isActive) : (existing.is_active ?? true)
+    };
+
+    if (!schedule.name || !String(schedule.name).trim()) {
+      throw new Error('报告计划名称不能为空');
+    }
+    if (!PERIODS[schedule.period]) {
+      throw new Error(`无效的报告周期: ${schedule.period}`);
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time)) {
+      throw new Error(`无效的报告时间: ${schedule.time}，格式为 HH:MM`);
+    }
+    if (!(schedule.weekday >= 0 && schedule.weekday <= 6)) {
+      throw new Error(`无效的星期: ${schedule.weekday}，0 为周日`);
+    }
+    if (schedule.timezone) {
+      this.validateTimezone(schedule.timezone);
+    }
+    return schedule;
+  }
+
+  /**
+   * 格式化报告计划记录
+   * @private
+   */
+  _formatSchedule(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      account_ids: row.account_ids ? JSON.parse(row.account_ids) : null,
+      is_active: Boolean(row.is_active),
+      timezone: row.timezone || null,
+      next_run_at: this._nextRun(row)
+    };
+  }
+
+  /**
+   * 创建报告计划
+   * @param {Object} data - 报告计划 { name, period, accountIds, time, weekday, timezone, isActive }
+   * @returns {Promise<Object>} 创建的计划
+   */
+  async createSchedule(data = {}) {
+    const schedule = this.normalizeSchedule(data);
+    const result = await database.run(
+      `INSERT INTO report_schedules (name, period, account_ids, time, weekday, timezone, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        schedule.name.trim(),
+        schedule.period,
+        schedule.account_ids ? JSON.stringify(schedule.account_ids) : null,
+        schedule.time,
+        schedule.weekday,
+        schedule.timezone,
+        schedule.is_active ? 1 : 0
+      ]
+    );
+
+    logger.info(`创建报告计划: ${schedule.name}`, { id: result.lastID, period: schedule.period });
+    const created = await database.get('SELECT * FROM report_schedules WHERE id = ?', [result.lastID]);
+    this._register(created);
+    return this._formatSchedule(created);
+  }
+
+  /**
+   * 更新报告计划
+   * @param {number} id - 计划ID
+   * @param {Object} data - 要更新的字段
+   * @returns {Promise<Object|null>} 更新后的计划，不存在时返回 null
+   */
+  async updateSchedule(id, data = {}) {
+    const existing = await this.getSchedule(id);
+    if (!existing) {
+      return null;
+    }
+
+    const schedule = this.normalizeSchedule(data, existing);
+    await database.run(
+      `UPDATE report_schedules
+       SET name = ?, period = ?, account_ids = ?, time = ?, weekday = ?, timezone = ?, is_active = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        String(schedule.name).trim(),
+        schedule.period,
+        schedule.account_ids ? JSON.stringify(schedule.account_ids) : null,
+        schedule.time,
+        schedule.weekday,
+        schedule.timezone,
+        schedule.is_active ? 1 : 0,
+        id
+      ]
+    );
+
+    const updated = await database.get('SELECT * FROM report_schedules WHERE id = ?', [id]);
+    this._register(updated);
+    return this._formatSchedule(updated);
+  }
+
+  /**
+   * 删除报告计划，已生成的报告保留
+   * @param {number} id - 计划ID
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async deleteSchedule(id) {
+    this._unregister(parseInt(id, 10));
+    const result = await database.run('DELETE FROM report_schedules WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  /**
+   * 获取报告计划
+   * @param {number} id - 计划ID
+   * @returns {Promise<Object|null>} 计划
+   */
+  async getSchedule(id) {
+    const row = await database.get('SELECT * FROM report_schedules WHERE id = ?', [id]);
+    return this._formatSchedule(row);
+  }
+
+  /**
+   * 获取所有报告计划
+   * @returns {Promise<Array>} 计划列表
+   */
+  async listSchedules() {
+    const rows = await database.query('SELECT * FROM report_schedules ORDER BY id');
+    return rows.map(row => this._formatSchedule(row));
+  }
+
+  /**
+   * 注册所有启用的报告计划，应在数据库初始化后调用
+   */
+  async start() {
+    try {
+      const rows = await database.query('SELECT * FROM report_schedules WHERE is_active = 1');
+      rows.forEach(row => this._register(row));
+      if (rows.length > 0) {
+        logger.info(`已注册 ${rows.length} 个报告计划`);
+      }
+    } catch (error) {
+      logger.error(`注册报告计划失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 停止所有报告计划
+   */
+  stop() {
+    for (const id of [...this.tasks.keys()]) {
+      this._unregister(id);
+    }
+  }
+
+  /**
+   * 按计划的周期、时间和时区注册定时任务，已注册的任务先移除
+   * @private
+   * @param {Object} row - 报告计划记录
+   */
+  _register(row) {
+    this._unregister(row.id);
+    if (!row.is_active) {
+      return;
+    }
+
+    const [hour, minute] = row.time.split(':').map(value => parseInt(value, 10));
+    // 每周报告只在指定的星期执行，weekday 与 Cron 相同，0 为周日
+    const task = {
+      cron: parseCron(`${minute} ${hour} * * ${row.period === 'weekly' ? row.weekday : '*'}`),
+      timezone: row.timezone || config.reports.timezone,
+      nextRun: null,
+      timer: null
+    };
+    this.tasks.set(row.id, task);
+    this._scheduleNext(row.id, task);
+  }
+
+  /**
+   * 设置定时器在下次执行时间生成报告，执行完成后再计算下一次，同一计划不会重叠执行
+   * @private
+   * @param {number} id - 计划ID
+   * @param {Object} task - 定时任务
+   */
+  _scheduleNext(id, task) {
+    // 定时器可能略早于预定时间触发，从预定时间之后计算，避免同一时间执行两次
+    const now = new Date();
+    const after = task.nextRun && task.nextRun > now ? task.nextRun : now;
+    task.nextRun = nextCronRun(task.cron, after, task.timezone);
+    task.timer = setTimeout(async () => {
+      try {
+        await this.runSchedule(id);
+      } catch (error) {
+        // runSchedule 已记录错误
+      }
+      if (this.tasks.get(id) === task) {
+        this._scheduleNext(id, task);
+      }
+    }, task.nextRun.getTime() - now.getTime());
+  }
+
+  /**
+   * 计算报告计划的下次执行时间
+   * @private
+   */
+  _nextRun(row) {
+    const task = this.tasks.get(row.id);
+    return task ? new Date(task.nextRun) : null;
+  }
+
+  /**
+   * 移除报告计划的定时任务
+   * @private
+   * @param {number} id - 计划ID
+   */
+  _unregister(id) {
+    const task = this.tasks.get(id);
+    if (task) {
+      clearTimeout(task.timer);
+      this.tasks.delete(id);
+    }
+  }
+
+  /**
+   * 执行报告计划：生成报告并投递
+   * @param {number} id - 计划ID
+   * @returns {Promise<Object|null>} 生成的报告，计划不存在时返回 null
+   */
+  async runSchedule(id) {
+    const schedule = await this.getSchedule(id);
+    if (!schedule) {
+      return null;
+    }
+
+    try {
+      const report = await this.generateReport({
+        scheduleId: schedule.id,
+        title: schedule.name,
+        period: schedule.period,
+        accountIds: schedule.account_ids,
+        timezone: schedule.timezone
+      });
+      await database.run(
+        'UPDATE report_schedules SET last_run_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [schedule.id]
+      );
+      if (report.status === 'completed') {
+        await this.deliver(report);
+      }
+      return this.getReport(report.id);
+    } catch (error) {
+      logger.error(`执行报告计划失败: ${error.message}`, { id });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询时间窗口内的推文和最新分析结果
+   * @private
+   * @param {Array<number>|null} accountIds - 账号ID，为空表示全部账号
+   * @param {Date} start - 开始时间（含）
+   * @param {Date} end - 结束时间（不含）
+   * @returns {Promise<Array>} 推文列表
+   */
+  async _getTweets(accountIds, start, end) {
+    const conditions = ['t.created_at >= ?', 't.created_at < ?'];
+    const values = [start.toISOString(), end.toISOString()];
+    if (accountIds) {
+      conditions.push(`t.user_id IN (SELECT user_id FROM monitored_accounts WHERE id IN (${accountIds.map(() => '?').join(', ')}))`);
+      values.push(...accountIds);
+    }
+
+    return database.query(
+      `SELECT t.id, t.username, t.text, t.created_at, t.deleted_at,
+              t.like_count, t.retweet_count, t.reply_count, t.quote_count,
+              a.sentiment_label, a.sentiment_score, a.keywords, a.summary
+       FROM tweets t
+       LEFT JOIN tweet_analysis a ON a.id = (SELECT MAX(id) FROM tweet_analysis WHERE tweet_id = t.id)
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY t.created_at`,
+      values
+    );
+  }
+
+  /**
+   * 统计推文数量、情感分布、平均情感分数、高频关键词和最活跃的账号
+   * @param {Array} tweets - 推文列表
+   * @returns {Object} 统计数据
+   */
+  summarize(tweets) {
+    const sentiments = Object.fromEntries(SENTIMENTS.map(label => [label, 0]));
+    const keywords = {};
+    const accounts = {};
+    const scores = [];
+
+    for (const tweet of tweets) {
+      if (sentiments[tweet.sentiment_label] !== undefined) {
+        sentiments[tweet.sentiment_label]++;
+      }
+      if (typeof tweet.sentiment_score === 'number') {
+        scores.push(tweet.sentiment_score);
+      }
+      for (const keyword of (tweet.keywords || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        keywords[keyword] = (keywords[keyword] || 0) + 1;
+      }
+      accounts[tweet.username] = (accounts[tweet.username] || 0) + 1;
+    }
+
+    const top = (counts, limit) => Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([name, count]) => ({ name, count }));
+
+    return {
+      tweets: tweets.length,
+      analyzed: tweets.filter(tweet => tweet.sentiment_label).length,
+      sentiments,
+      averageSentiment: scores.length > 0
+        ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 1000) / 1000
+        : null,
+      topKeywords: top(keywords, 10),
+      topAccounts: top(accounts, 10)
+    };
+  }
+
+  /**
+   * 生成摘要报告
+   * @param {Object} options - 报告选项
+   * @param {string} [options.period=daily] - daily 或 weekly，决定时间窗口长度
+   * @param {Array<number>} [options.accountIds] - 账号ID，为空表示全部账号
+   * @param {string} [options.until] - 时间窗口结束时间，默认为当前时间
+   * @param {string} [options.title] - 报告标题
+   * @param {string} [options.timezone] - 显示时间使用的时区
+   * @param {number} [options.scheduleId] - 所属报告计划
+   * @returns {Promise<Object>} 报告
+   */
+  async generateReport(options = {}) {
+    const period = options.period || 'daily';
+    if (!PERIODS[period]) {
+      throw new Error(`无效的报告周期: ${period}`);
+    }
+    const accountIds = this.normalizeAccountIds(options.accountIds);
+    const timezone = this.validateTimezone(options.timezone || config.reports.timezone);
+
+    const end = options.until ? new Date(options.until) : new Date();
+    if (isNaN(end.getTime())) {
+      throw new Error(`无效的结束时间: ${options.until}`);
+    }
+    const start = new Date(end.getTime() - PERIODS[period]);
+    const previousStart = new Date(start.getTime() - PERIODS[period]);
+
+    const tweets = await this._getTweets(accountIds, start, end);
+    const stats = {
+      current: this.summarize(tweets),
+      previous: this.summarize(await this._getTweets(accountIds, previousStart, start))
+    };
+    const scope = await this._describeScope(accountIds);
+    const title = options.title || `${period === 'weekly' ? 'Weekly' : 'Daily'} digest: ${scope}`;
+
+    let content = null;
+    let status = 'completed';
+    let error = null;
+    let provider = null;
+
+    if (tweets.length > 0) {
+      try {
+        provider = getProvider();
+        content = await this._askModel(provider, { tweets, stats, scope, period });
+      } catch (modelError) {
+        status = 'failed';
+        error = modelError.message;
+        logger.error(`生成摘要报告失败: ${modelError.message}`, { title });
+      }
+    } else {
+      content = {
+        headline: '本周期没有新推文',
+        briefing: '',
+        themes: [],
+        notablePosts: [],
+        sentimentShift: ''
+      };
+    }
+
+    const result = await database.run(
+      `INSERT INTO reports
+       (schedule_id, title, period, account_ids, timezone, window_start, window_end, status,
+        tweet_count, stats, content, provider, model, error)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        options.scheduleId || null,
+        title,
+        period,
+        accountIds ? JSON.stringify(accountIds) : null,
+        timezone,
+        start.toISOString(),
+        end.toISOString(),
+        status,
+        tweets.length,
+        JSON.stringify(stats),
+        content ? JSON.stringify(content) : null,
+        provider ? provider.name : null,
+        provider ? provider.model : null,
+        error
+      ]
+    );
+
+    logger.info(`生成摘要报告: ${title}`, { id: result.lastID, tweets: tweets.length, status });
+    return this.getReport(result.lastID);
+  }
+
+  /**
+   * 描述报告范围
+   * @private
+   */
+  async _describeScope(accountIds) {
+    if (!accountIds) {
+      return 'all accounts';
+    }
+    const accounts = await database.query(
+      `SELECT username FROM monitored_accounts WHERE id IN (${accountIds.map(() => '?').join(', ')}) ORDER BY username`,
+      accountIds
+    );
+    return accounts.map(account => `@${account.username}`).join(', ') || `accounts ${accountIds.join(', ')}`;
+  }
+
+  /**
+   * 请模型生成简报
+   * 推文超过 reports.maxTweets 时只提供互动数最高的部分，统计数据始终基于全部推文
+   * @private
+   * @returns {Promise<Object>} { headline, briefing, themes, notablePosts, sentimentShift }
+   */
+  async _askModel(provider, { tweets, stats, scope, period }) {
+    const engagement = tweet => (tweet.like_count || 0) + (tweet.retweet_count || 0) +
+      (tweet.reply_count || 0) + (tweet.quote_count || 0);
+    const selected = [...tweets]
+      .sort((a, b) => engagement(b) - engagement(a))
+      .slice(0, config.reports.maxTweets)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    const lines = selected.map(tweet => {
+      const parts = [
+        `[${tweet.id}] @${tweet.username} ${tweet.created_at}`,
+        `互动 ${engagement(tweet)}`,
+        tweet.sentiment_label ? `情感 ${tweet.sentiment_label}` : null,
+        tweet.deleted_at ? '已删除' : null
+      ].filter(Boolean);
+      const text = tweet.text.replace(/\s+/g, ' ').slice(0, 280);
+      return `${parts.join(' | ')}\n${text}${tweet.summary ? `\n摘要: ${tweet.summary}` : ''}`;
+    });
+
+    const prompt = `你是社交媒体分析师。以下是${scope}在过去${period === 'weekly' ? '一周' : '一天'}发布的推文（共${tweets.length}条，列出其中${selected.length}条）及其分析结果。
+
+本周期统计：${JSON.stringify(stats.current)}
+上一周期统计：${JSON.stringify(stats.previous)}
+
+推文：
+${lines.join('\n\n')}
+
+请生成整体简报，以JSON对象格式返回，包含以下字段：
+- headline: 一句话概括本周期最重要的内容
+- briefing: 200到400字的整体简报
+- themes: 主要话题数组，每项包含 title 和 summary
+- notable_posts: 值得关注的推文数组（最多5条），每项包含 tweet_id（方括号中的ID）和 reason
+- sentiment_shift: 与上一周期相比的情感变化说明`;
+
+    const content = await provider.chat([{ role: 'user', content: prompt }], { json: true });
+    let parsed;
+    try {
+      // 部分模型会用 markdown 代码块包裹 JSON
+      parsed = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+      throw new Error(`模型返回的简报不是有效的JSON: ${error.message}`);
+    }
+    if (!parsed || typeof parsed.briefing !== 'string') {
+      throw new Error('模型返回的简报缺少 briefing 字段');
+    }
+
+    const byId = new Map(tweets.map(tweet => [tweet.id, tweet]));
+    return {
+      headline: String(parsed.headline || ''),
+      briefing: parsed.briefing,
+      themes: (Array.isArray(parsed.themes) ? parsed.themes : [])
+        .filter(theme => theme && theme.title)
+        .map(theme => ({ title: String(theme.title), summary: String(theme.summary || '') })),
+      // 只保留窗口内存在的推文，避免模型编造的ID
+      notablePosts: (Array.isArray(parsed.notable_posts) ? parsed.notable_posts : [])
+        .filter(post => post && byId.has(String(post.tweet_id)))
+        .map(post => {
+          const tweet = byId.get(String(post.tweet_id));
+          return {
+            tweet_id: tweet.id,
+            username: tweet.username,
+            text: tweet.text,
+            url: `https://twitter.com/${tweet.username}/status/${tweet.id}`,
+            reason: String(post.reason || '')
+          };
+        }),
+      sentimentShift: String(parsed.sentiment_shift || '')
+    };
+  }
+
+  /**
+   * 通过通知渠道投递报告
+   * @param {Object} report - 报告
+   */
+  async deliver(report) {
+    const { content, stats } = report;
+    const lines = [];
+    if (content.headline) {
+      lines.push(content.headline, '');
+    }
+    if (content.briefing) {
+      lines.push(content.briefing, '');
+    }
+    if (content.sentimentShift) {
+      lines.push(`Sentiment: ${content.sentimentShift}`, '');
+    }
+    lines.push(`Tweets: ${stats.current.tweets} (previous period: ${stats.previous.tweets})`);
+    lines.push(`Full report: /api/reports/${report.id}/html`);
+
+    try {
+      await notificationService.sendNotification(
+        report.title,
+        lines.join('\n').slice(0, 3500),
+        'default',
+        'newspaper',
+        { type: 'report' }
+      );
+      await database.run('UPDATE reports SET delivered_at = CURRENT_TIMESTAMP WHERE id = ?', [report.id]);
+    } catch (error) {
+      logger.error(`投递摘要报告失败: ${error.message}`, { id: report.id });
+    }
+  }
+
+  /**
+   * 格式化报告记录
+   * @private
+   */
+  _formatReport(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      account_ids: row.account_ids ? JSON.parse(row.account_ids) : null,
+      stats: row.stats ? JSON.parse(row.stats) : null,
+      content: row.content ? JSON.parse(row.content) : null
+    };
+  }
+
+  /**
+   * 获取报告
+   * @param {number} id - 报告ID
+   * @returns {Promise<Object|null>} 报告
+   */
+  async getReport(id) {
+    const row = await database.get('SELECT * FROM reports WHERE id = ?', [id]);
+    return this._formatReport(row);
+  }
+
+  /**
+   * 查询报告
+   * @param {Object} [filters] - 过滤条件
+   * @param {number} [filters.scheduleId] - 报告计划ID
+   * @param {number} [filters.limit=20] - 最大条数（不超过100）
+   * @param {number} [filters.offset=0] - 偏移量
+   * @returns {Promise<Array>} 按生成时间倒序的报告（不含完整内容）
+   */
+  async listReports(filters = {}) {
+    const conditions = [];
+    const values = [];
+    if (filters.scheduleId) {
+      conditions.push('schedule_id = ?');
+      values.push(filters.scheduleId);
+    }
+
+    const rows = await database.query(
+      `SELECT id, schedule_id, title, period, account_ids, timezone, window_start, window_end,
+              status, tweet_count, provider, model, error, delivered_at, created_at,
+              json_extract(content, '$.headline') AS headline
+       FROM reports
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...values, Math.min(parseInt(filters.limit) || 20, 100), parseInt(filters.offset) || 0]
+    );
+    return rows.map(row => ({ ...row, account_ids: row.account_ids ? JSON.parse(row.account_ids) : null }));
+  }
+
+  /**
+   * 将报告渲染为 HTML 页面
+   * @param {Object} report - 报告
+   * @returns {string} HTML
+   */
+  renderHtml(report) {
+    const format = value => new Date(value).toLocaleString('zh-CN', { timeZone: report.timezone || config.reports.timezone });
+    const content = report.content || {};
+    const { current, previous } = report.stats || { current: this.summarize([]), previous: this.summarize([]) };
+
+    const statRow = (label, a, b) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(a)}</td><td>${escapeHtml(b)}</td></tr>`;
+    const list = items => items.map(item => `${escapeHtml(item.name)} (${item.count})`).join(', ') || '-';
+
+    const sections = [];
+    if (report.status === 'failed') {
+      sections.push(`<p class="error">生成失败: ${escapeHtml(report.error)}</p>`);
+    }
+    if (content.headline) {
+      sections.push(`<p class="headline">${escapeHtml(content.headline)}</p>`);
+    }
+    if (content.briefing) {
+      sections.push('<h2>简报</h2>', ...content.briefing.split(/\n+/).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`));
+    }
+    if (content.themes && content.themes.length > 0) {
+      sections.push('<h2>主要话题</h2><ul>', ...content.themes.map(theme =>
+        `<li><strong>${escapeHtml(theme.title)}</strong>：${escapeHtml(theme.summary)}</li>`), '</ul>');
+    }
+    if (content.notablePosts && content.notablePosts.length > 0) {
+      sections.push('<h2>值得关注的推文</h2>', ...content.notablePosts.map(post =>
+        `<blockquote><p>${escapeHtml(post.text)}</p><footer><a href="${escapeHtml(post.url)}">@${escapeHtml(post.username)}</a> — ${escapeHtml(post.reason)}</footer></blockquote>`));
+    }
+    if (content.sentimentShift) {
+      sections.push('<h2>情感变化</h2>', `<p>${escapeHtml(content.sentimentShift)}</p>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", "PingFang SC", sans-serif; max-width: 820px; margin: 2em auto; padding: 0 1em; line-height: 1.6; color: #222; }
+  .meta { color: #666; }
+  .headline { font-size: 1.2em; font-weight: bold; }
+  .error { color: #b00020; }
+  table { border-collapse: collapse; margin: 1em 0; }
+  th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+  blockquote { border-left: 4px solid #1da1f2; margin: 1em 0; padding: 0 1em; }
+  blockquote footer { color: #666; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">${escapeHtml(format(report.window_start))} – ${escapeHtml(format(report.window_end))}（${escapeHtml(report.timezone || config.reports.timezone)}）${report.model ? ` · ${escapeHtml(report.provider)} / ${escapeHtml(report.model)}` : ''}</p>
+${sections.join('\n')}
+<h2>统计</h2>
+<table>
+<tr><th></th><th>本周期</th><th>上一周期</th></tr>
+${statRow('推文数', current.tweets, previous.tweets)}
+${statRow('已分析', current.analyzed, previous.analyzed)}
+${SENTIMENTS.map(label => statRow(label, current.sentiments[label], previous.sentiments[label])).join('\n')}
+${statRow('平均情感分数', current.averageSentiment ?? '-', previous.averageSentiment ?? '-')}
+</table>
+<p><strong>高频关键词：</strong>${list(current.topKeywords)}</p>
+<p><strong>活跃账号：</strong>${list(current.topAccounts)}</p>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new ReportService();
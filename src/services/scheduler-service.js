@@ -0,0 +1,603 @@
+/**
+ * 轮询调度服务
+ * 为每个监控账号和搜索维护一条轮询计划（poll_schedules），按 Cron 表达式或固定间隔执行，
+ * 都未设置时使用 monitor.interval，下次执行时间再加上随机抖动。互动数据、账号资料和推文删除的复查
+ * 按 monitor.interval 统一执行
+ *
+ * 执行前将 running_since 从空更新为开始时间，更新不成功表示该目标正在执行，因此同一账号或搜索不会重叠执行。
+ * 计划、暂停状态和调度器的启停状态保存在数据库中，重启后恢复。每次轮询记录在 monitor_runs 中，
+ * 同一目标连续失败达到 monitor.failureThreshold 次时发送系统通知
+ */
+
+const integratedService = require('./integrated-service');
+const notificationService = require('./notification-service');
+const SearchManager = require('./search-manager');
+const MonitorRunService = require('./monitor-run-service');
+const eventBus = require('./event-bus');
+const database = require('../db/database');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { parseCron, nextCronRun } = require('../utils/cron-expression');
+
+const TARGET_TYPES = ['account', 'search'];
+// 调度器启停状态在 system_config 中的键
+const ENABLED_KEY = 'scheduler.enabled';
+// 检查到期计划的间隔
+const TICK_INTERVAL = 15000;
+const MIN_INTERVAL_SECONDS = 60;
+
+class SchedulerService {
+  constructor() {
+    this.enabled = false;
+    this.timer = null;
+    this.isTicking = false;
+    this.lastMaintenanceAt = null;
+    this.searchManager = new SearchManager();
+    this.monitorRunService = new MonitorRunService();
+    // 默认间隔或抖动修改后重新计算使用默认间隔的计划
+    config.onChange(key => {
+      if (key === 'monitor.interval' || key === 'monitor.jitter') {
+        this._rescheduleDefaults().catch(error => {
+          logger.error(`重新计算轮询计划失败: ${error.message}`, { error });
+        });
+      }
+    });
+  }
+
+  /**
+   * 初始化：清理上次进程退出时中断的执行，恢复调度器的启停状态
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const interrupted = await database.run(
+      `UPDATE poll_schedules SET running_since = NULL, last_status = 'interrupted', updated_at = CURRENT_TIMESTAMP
+       WHERE running_since IS NOT NULL`
+    );
+    if (interrupted.changes > 0) {
+      logger.warn(`${interrupted.changes} 个轮询在上次退出时中断`);
+    }
+    await this.monitorRunService.markInterrupted();
+
+    await this.sync();
+
+    const row = await database.get('SELECT value FROM system_config WHERE key = ?', [ENABLED_KEY]);
+    if (row && row.value === 'true') {
+      this._startTimer();
+      logger.info('调度服务已恢复运行');
+    }
+  }
+
+  /**
+   * 启动调度器，状态保存到数据库
+   * @returns {Promise<Object>} 调度器状态
+   */
+  async start() {
+    await this._saveEnabled(true);
+    if (!this.enabled) {
+      this._startTimer();
+      logger.info('调度服务已启动');
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * 停止调度器，状态保存到数据库；正在执行的轮询会继续完成
+   * @returns {Promise<Object>} 调度器状态
+   */
+  async stop() {
+    await this._saveEnabled(false);
+    if (this.enabled) {
+      this._stopTimer();
+      logger.info('调度服务已停止');
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * 进程退出时停止定时器，不修改保存的启停状态
+   */
+  shutdown() {
+    this._stopTimer();
+  }
+
+  /**
+   * @private
+   */
+  _startTimer() {
+    this.enabled = true;
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    this.tick();
+  }
+
+  /**
+   * @private
+   */
+  _stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.enabled = false;
+  }
+
+  /**
+   * @private
+   */
+  async _saveEnabled(enabled) {
+    await database.run(
+      `INSERT INTO system_config (key, value, description, updated_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+      [ENABLED_KEY, String(enabled), '轮询调度器是否运行']
+    );
+  }
+
+  /**
+   * 为新增的账号和搜索创建轮询计划，删除已不存在的目标的计划
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    await database.run(
+      "DELETE FROM poll_schedules WHERE target_type = 'account' AND target_id NOT IN (SELECT id FROM monitored_accounts)"
+    );
+    await database.run(
+      "DELETE FROM poll_schedules WHERE target_type = 'search' AND target_id NOT IN (SELECT id FROM search_monitors)"
+    );
+
+    const missing = await database.query(
+      `SELECT 'account' AS target_type, id AS target_id FROM monitored_accounts
+       WHERE id NOT IN (SELECT target_id FROM poll_schedules WHERE target_type = 'account')
+       UNION ALL
+       SELECT 'search' AS target_type, id AS target_id FROM search_monitors
+       WHERE id NOT IN (SELECT target_id FROM poll_schedules WHERE target_type = 'search')`
+    );
+    for (const target of missing) {
+      // 新目标在抖动范围内尽快执行第一次轮询
+      const nextRunAt = new Date(Date.now() + Math.floor(Math.random() * config.monitor.jitter)).toISOString();
+      await database.run(
+        'INSERT OR IGNORE INTO poll_schedules (target_type, target_id, next_run_at) VALUES (?, ?, ?)',
+        [target.target_type, target.target_id, nextRunAt]
+      );
+    }
+    if (missing.length > 0) {
+      logger.debug(`创建 ${missing.length} 个轮询计划`);
+    }
+  }
+
+  /**
+   * 执行到期的轮询，以及到期的互动数据、账号资料和推文删除复查
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    if (!this.enabled || this.isTicking) {
+      return;
+    }
+
+    this.isTicking = true;
+    try {
+      await this.sync();
+
+      const due = await database.query(
+        `SELECT s.* FROM poll_schedules s
+         LEFT JOIN monitored_accounts a ON s.target_type = 'account' AND a.id = s.target_id
+         LEFT JOIN search_monitors m ON s.target_type = 'search' AND m.id = s.target_id
+         WHERE s.is_paused = 0 AND s.running_since IS NULL AND s.next_run_at <= ?
+           AND COALESCE(a.is_active, m.is_active) = 1
+         ORDER BY s.next_run_at`,
+        [new Date().toISOString()]
+      );
+
+      // 逐个执行，额度用完时后续请求会等待窗口重置而不是同时失败
+      for (const schedule of due) {
+        if (!this.enabled) {
+          break;
+        }
+        try {
+          const startedAt = await this._claim(schedule.id);
+          if (startedAt) {
+            await this._execute(schedule, startedAt);
+          }
+        } catch (error) {
+          logger.error(`执行轮询计划失败: ${error.message}`, { id: schedule.id, error });
+        }
+      }
+
+      if (this.enabled && (!this.lastMaintenanceAt || Date.now() - this.lastMaintenanceAt >= config.monitor.interval)) {
+        this.lastMaintenanceAt = Date.now();
+        try {
+          await integratedService.runMaintenance();
+        } catch (error) {
+          logger.error(`刷新互动数据和账号资料失败: ${error.message}`);
+        }
+        await this.monitorRunService.prune();
+      }
+    } catch (error) {
+      logger.error(`轮询调度失败: ${error.message}`, { error });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * 标记计划开始执行
+   * @private
+   * @returns {Promise<Date|null>} 开始时间，计划正在执行时返回 null
+   */
+  async _claim(id) {
+    const startedAt = new Date();
+    const result = await database.run(
+      'UPDATE poll_schedules SET running_since = ? WHERE id = ? AND running_since IS NULL',
+      [startedAt.toISOString(), id]
+    );
+    return result.changes > 0 ? startedAt : null;
+  }
+
+  /**
+   * 执行轮询，记录结果并计算下次执行时间
+   * @private
+   * @param {Object} schedule - 计划记录
+   * @param {Date} startedAt - 开始时间
+   * @param {string} [triggeredBy=schedule] - schedule 或 manual
+   */
+  async _execute(schedule, startedAt, triggeredBy = 'schedule') {
+    try {
+      const runId = await this.monitorRunService.start(schedule, startedAt, triggeredBy);
+      const run = {
+        id: runId,
+        scheduleId: schedule.id,
+        targetType: schedule.target_type,
+        targetId: schedule.target_id,
+        triggeredBy,
+        startedAt: startedAt.toISOString()
+      };
+      eventBus.publish('run.started', run);
+      const stats = { tweetsFetched: 0, tweetsSaved: 0, analyses: 0, notifications: 0, apiCalls: 0 };
+      let target = null;
+      let failure = null;
+      try {
+        target = await this._getTarget(schedule);
+        if (!target) {
+          throw new Error(`轮询目标不存在: ${schedule.target_type} ${schedule.target_id}`);
+        }
+        if (schedule.target_type === 'account') {
+          await integratedService.processAccount(target, stats);
+        } else {
+          await integratedService.processSearch(target, stats);
+        }
+      } catch (error) {
+        failure = error;
+        logger.error(`轮询失败: ${schedule.target_type} ${schedule.target_id}: ${error.message}`);
+      }
+
+      const finishedAt = new Date();
+      const status = failure ? 'failed' : 'success';
+      await this.monitorRunService.finish(runId, { status, startedAt, finishedAt, stats, error: failure });
+      eventBus.publish('run.finished', {
+        ...run,
+        targetName: target ? target.username || target.name : null,
+        status,
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt.getTime() - startedAt.getTime(),
+        ...stats,
+        error: failure ? failure.message : null
+      });
+
+      // 执行期间计划可能被修改或删除，按最新的计划计算下次执行时间
+      const current = await database.get('SELECT * FROM poll_schedules WHERE id = ?', [schedule.id]);
+      if (!current) {
+        return;
+      }
+      const failures = failure ? (current.consecutive_failures || 0) + 1 : 0;
+      await database.run(
+        `UPDATE poll_schedules SET running_since = NULL, last_run_at = ?, last_status = ?, last_error = ?,
+           last_duration_ms = ?, consecutive_failures = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          startedAt.toISOString(),
+          status,
+          failure ? failure.message : null,
+          finishedAt.getTime() - startedAt.getTime(),
+          failures,
+          this._computeNextRun(current, finishedAt),
+          schedule.id
+        ]
+      );
+
+      await this._notifyHealth(current, target, failures, failure);
+    } finally {
+      // 记录结果前出错时同样清除执行标记，否则计划会一直处于执行中而不再被调度
+      await database.run(
+        'UPDATE poll_schedules SET running_since = NULL WHERE id = ? AND running_since = ?',
+        [schedule.id, startedAt.toISOString()]
+      );
+    }
+  }
+
+  /**
+   * 连续失败次数达到阈值时发送一次系统通知，之后首次成功时发送恢复通知
+   * @private
+   */
+  async _notifyHealth(schedule, target, failures, failure) {
+    const threshold = config.monitor.failureThreshold;
+    const previous = schedule.consecutive_failures || 0;
+    const name = schedule.target_type === 'account'
+      ? `@${target ? target.username : schedule.target_id}`
+      : `search "${target ? target.name : schedule.target_id}"`;
+
+    try {
+      if (failure && failures === threshold) {
+        await notificationService.sendSystemNotification(
+          'error',
+          `Polling ${name} failed ${failures} times in a row: ${failure.message}`
+        );
+      } else if (!failure && previous >= threshold) {
+        await notificationService.sendSystemNotification('info', `Polling ${name} recovered after ${previous} failures.`);
+      }
+    } catch (error) {
+      logger.error(`发送轮询失败通知失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 获取计划对应的账号或搜索
+   * @private
+   */
+  async _getTarget(schedule) {
+    if (schedule.target_type === 'account') {
+      return database.get('SELECT * FROM monitored_accounts WHERE id = ?', [schedule.target_id]);
+    }
+    return this.searchManager.getSearch(schedule.target_id);
+  }
+
+  /**
+   * 计算下次执行时间：Cron 表达式、固定间隔或 monitor.interval，加上随机抖动
+   * @private
+   * @param {Object} schedule - 计划记录
+   * @param {Date} [from] - 起始时间
+   * @returns {string} ISO 8601 时间
+   */
+  _computeNextRun(schedule, from = new Date()) {
+    let next;
+    if (schedule.cron) {
+      next = nextCronRun(schedule.cron, from, schedule.timezone || 'UTC').getTime();
+    } else {
+      next = from.getTime() + (schedule.interval_seconds ? schedule.interval_seconds * 1000 : config.monitor.interval);
+    }
+    const jitter = schedule.jitter_seconds !== null && schedule.jitter_seconds !== undefined
+      ? schedule.jitter_seconds * 1000
+      : config.monitor.jitter;
+    return new Date(next + Math.floor(Math.random() * jitter)).toISOString();
+  }
+
+  /**
+   * 重新计算使用默认间隔的计划的下次执行时间
+   * @private
+   */
+  async _rescheduleDefaults() {
+    const rows = await database.query(
+      'SELECT * FROM poll_schedules WHERE cron IS NULL AND interval_seconds IS NULL AND running_since IS NULL'
+    );
+    const now = new Date();
+    for (const row of rows) {
+      const base = row.last_run_at ? new Date(row.last_run_at) : now;
+      const nextRunAt = this._computeNextRun(row, base);
+      await database.run(
+        'UPDATE poll_schedules SET next_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND running_since IS NULL',
+        [nextRunAt < now.toISOString() ? now.toISOString() : nextRunAt, row.id]
+      );
+    }
+    if (rows.length > 0) {
+      logger.info(`已按新的默认间隔重新计算 ${rows.length} 个轮询计划`);
+    }
+  }
+
+  /**
+   * 格式化计划记录
+   * @private
+   */
+  _format(row) {
+    if (!row) {
+      return null;
+    }
+    const { target_active: targetActive, ...schedule } = row;
+    return {
+      ...schedule,
+      mode: row.cron ? 'cron' : row.interval_seconds ? 'interval' : 'default',
+      is_paused: Boolean(row.is_paused),
+      is_running: Boolean(row.running_since),
+      target_active: Boolean(targetActive)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _select(where) {
+    return `SELECT s.*, COALESCE(a.username, m.name) AS target_name, COALESCE(a.is_active, m.is_active) AS target_active
+      FROM poll_schedules s
+      LEFT JOIN monitored_accounts a ON s.target_type = 'account' AND a.id = s.target_id
+      LEFT JOIN search_monitors m ON s.target_type = 'search' AND m.id = s.target_id
+      ${where}`;
+  }
+
+  /**
+   * 查询轮询计划，按下次执行时间排序
+   * @param {Object} [filters] - 过滤条件
+   * @param {string} [filters.type] - account 或 search
+   * @returns {Promise<Array>} 计划列表
+   */
+  async list(filters = {}) {
+    if (filters.type && !TARGET_TYPES.includes(filters.type)) {
+      throw new Error(`无效的轮询目标类型: ${filters.type}`);
+    }
+    await this.sync();
+    const rows = filters.type
+      ? await database.query(this._select('WHERE s.target_type = ? ORDER BY s.next_run_at'), [filters.type])
+      : await database.query(this._select('ORDER BY s.next_run_at'));
+    return rows.map(row => this._format(row));
+  }
+
+  /**
+   * 获取轮询计划
+   * @param {number} id - 计划ID
+   * @returns {Promise<Object|null>} 计划
+   */
+  async get(id) {
+    return this._format(await database.get(this._select('WHERE s.id = ?'), [id]));
+  }
+
+  /**
+   * 校验并规范化轮询计划
+   * 设置 Cron 表达式时清除固定间隔，反之亦然；两者都清除时使用 monitor.interval
+   * @param {Object} data - { cron, intervalSeconds, jitterSeconds, timezone }，null 表示清除
+   * @param {Object} existing - 原计划
+   * @returns {Object} 规范化后的计划
+   */
+  normalizeSchedule(data, existing) {
+    const toInteger = value => (value === null || value === '' ? null : Number(value));
+    const schedule = {
+      cron: data.cron !== undefined ? (data.cron ? String(data.cron).trim() : null) : existing.cron,
+      interval_seconds: data.intervalSeconds !== undefined ? toInteger(data.intervalSeconds) : existing.interval_seconds,
+      jitter_seconds: data.jitterSeconds !== undefined ? toInteger(data.jitterSeconds) : existing.jitter_seconds,
+      timezone: data.timezone !== undefined ? data.timezone || null : existing.timezone
+    };
+    if (data.cron && data.intervalSeconds === undefined) {
+      schedule.interval_seconds = null;
+    }
+    if (data.intervalSeconds && data.cron === undefined) {
+      schedule.cron = null;
+    }
+
+    if (schedule.cron && schedule.interval_seconds !== null) {
+      throw new Error('Cron 表达式和轮询间隔只能设置其中一个');
+    }
+    if (schedule.interval_seconds !== null &&
+        (!Number.isInteger(schedule.interval_seconds) || schedule.interval_seconds < MIN_INTERVAL_SECONDS)) {
+      throw new Error(`无效的轮询间隔: ${data.intervalSeconds}，最小为 ${MIN_INTERVAL_SECONDS} 秒`);
+    }
+    if (schedule.jitter_seconds !== null && (!Number.isInteger(schedule.jitter_seconds) || schedule.jitter_seconds < 0)) {
+      throw new Error(`无效的抖动: ${data.jitterSeconds}`);
+    }
+    if (schedule.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+      } catch (error) {
+        throw new Error(`无效的时区: ${schedule.timezone}`);
+      }
+    }
+    if (schedule.cron) {
+      // 同时检查是否存在匹配的时间
+      nextCronRun(parseCron(schedule.cron), new Date(), schedule.timezone || 'UTC');
+    }
+    return schedule;
+  }
+
+  /**
+   * 更新轮询计划并重新计算下次执行时间
+   * @param {number} id - 计划ID
+   * @param {Object} data - { cron, intervalSeconds, jitterSeconds, timezone }
+   * @returns {Promise<Object|null>} 更新后的计划，不存在时返回 null
+   */
+  async update(id, data = {}) {
+    const existing = await database.get('SELECT * FROM poll_schedules WHERE id = ?', [id]);
+    if (!existing) {
+      return null;
+    }
+
+    const schedule = this.normalizeSchedule(data, existing);
+    await database.run(
+      `UPDATE poll_schedules SET cron = ?, interval_seconds = ?, jitter_seconds = ?, timezone = ?, next_run_at = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        schedule.cron,
+        schedule.interval_seconds,
+        schedule.jitter_seconds,
+        schedule.timezone,
+        this._computeNextRun(schedule),
+        id
+      ]
+    );
+    logger.info(`更新轮询计划: ${id}`, { cron: schedule.cron, intervalSeconds: schedule.interval_seconds });
+    return this.get(id);
+  }
+
+  /**
+   * 暂停轮询计划
+   * @param {number} id - 计划ID
+   * @returns {Promise<Object|null>} 计划，不存在时返回 null
+   */
+  async pause(id) {
+    const result = await database.run(
+      'UPDATE poll_schedules SET is_paused = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+    if (result.changes === 0) {
+      return null;
+    }
+    logger.info(`轮询计划已暂停: ${id}`);
+    return this.get(id);
+  }
+
+  /**
+   * 恢复轮询计划，从当前时间重新计算下次执行时间
+   * @param {number} id - 计划ID
+   * @returns {Promise<Object|null>} 计划，不存在时返回 null
+   */
+  async resume(id) {
+    const existing = await database.get('SELECT * FROM poll_schedules WHERE id = ?', [id]);
+    if (!existing) {
+      return null;
+    }
+    await database.run(
+      'UPDATE poll_schedules SET is_paused = 0, next_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [this._computeNextRun(existing), id]
+    );
+    logger.info(`轮询计划已恢复: ${id}`);
+    return this.get(id);
+  }
+
+  /**
+   * 立即执行一次轮询（在后台执行，暂停的计划和停止的调度器也可以执行），完成后重新计算下次执行时间
+   * @param {number} id - 计划ID
+   * @returns {Promise<Object|null>} 计划，不存在时返回 null
+   */
+  async runNow(id) {
+    const schedule = await database.get('SELECT * FROM poll_schedules WHERE id = ?', [id]);
+    if (!schedule) {
+      return null;
+    }
+    const startedAt = await this._claim(schedule.id);
+    if (!startedAt) {
+      throw new Error(`轮询计划 ${id} 正在执行`);
+    }
+
+    logger.info(`手动执行轮询计划: ${id}`);
+    this._execute(schedule, startedAt, 'manual').catch(error => {
+      logger.error(`执行轮询计划失败: ${error.message}`, { id, error });
+    });
+    return this.get(id);
+  }
+
+  /**
+   * 获取调度器状态
+   * @returns {Promise<Object>} { enabled, running, nextRunAt, lastMaintenanceAt }
+   */
+  async getStatus() {
+    const row = await database.get(
+      `SELECT COUNT(s.running_since) AS running,
+         MIN(CASE WHEN s.is_paused = 0 AND COALESCE(a.is_active, m.is_active) = 1 THEN s.next_run_at END) AS next_run_at
+       FROM poll_schedules s
+       LEFT JOIN monitored_accounts a ON s.target_type = 'account' AND a.id = s.target_id
+       LEFT JOIN search_monitors m ON s.target_type = 'search' AND m.id = s.target_id`
+    );
+    return {
+      enabled: this.enabled,
+      running: row.running,
+      nextRunAt: this.enabled ? row.next_run_at : null,
+      lastMaintenanceAt: this.lastMaintenanceAt ? new Date(this.lastMaintenanceAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,212 @@
+/**
+ * 搜索监控管理服务
+ * 负责管理保存的搜索查询（关键词、话题标签、搜索运算符）
+ */
+
+const database = require('../db/database');
+const logger = require('../utils/logger');
+
+class SearchManager {
+  /**
+   * 添加搜索监控
+   * @param {Object} data - 搜索监控信息
+   * @param {string} data.query - 搜索查询，支持 from:、-is:retweet 等运算符
+   * @param {string} [data.name] - 显示名称，默认为查询本身
+   * @param {boolean} [data.is_active=true] - 是否启用
+   * @returns {Promise<Object>} 添加的搜索监控
+   */
+  async addSearch(data = {}) {
+    try {
+      const query = typeof data.query === 'string' ? data.query.trim() : '';
+      if (!query) {
+        throw new Error('缺少搜索查询参数');
+      }
+
+      const name = (data.name && data.name.trim()) || query;
+      const isActive = data.is_active === undefined ? 1 : (data.is_active ? 1 : 0);
+
+      const sql = `
+        INSERT INTO search_monitors (name, query, is_active)
+        VALUES (?, ?, ?)
+      `;
+      const result = await database.run(sql, [name, query, isActive]);
+
+      logger.info(`成功添加搜索监控: ${name}`, { query });
+
+      return this.getSearch(result.lastID);
+    } catch (error) {
+      logger.error(`添加搜索监控失败: ${error.message}`, { data, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取所有搜索监控
+   * @param {Object} options - 查询选项
+   * @param {boolean} [options.activeOnly=false] - 是否只返回启用的搜索
+   * @returns {Promise<Array>} 搜索监控列表
+   */
+  async getAllSearches(options = {}) {
+    try {
+      let sql = 'SELECT * FROM search_monitors';
+      if (options.activeOnly) {
+        sql += ' WHERE is_active = 1';
+      }
+      sql += ' ORDER BY created_at DESC';
+      return await database.query(sql);
+    } catch (error) {
+      logger.error(`获取搜索监控列表失败: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 根据ID获取搜索监控
+   * @param {number} id - 搜索监控ID
+   * @returns {Promise<Object|null>} 搜索监控信息
+   */
+  async getSearch(id) {
+    try {
+      const rows = await database.query('SELECT * FROM search_monitors WHERE id = ?', [id]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error(`获取搜索监控失败: ${error.message}`, { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新搜索监控
+   * 修改查询时会重置 since_id，避免沿用旧查询的游标
+   * @param {number} id - 搜索监控ID
+   * @param {Object} data - 要更新的字段（name、query、is_active）
+   * @returns {Promise<Object|null>} 更新后的搜索监控
+   */
+  async updateSearch(id, data = {}) {
+    try {
+      const existing = await this.getSearch(id);
+      if (!existing) {
+        return null;
+      }
+
+      const fields = [];
+      const params = [];
+
+      if (data.name !== undefined) {
+        fields.push('name = ?');
+        params.push(data.name);
+      }
+
+      if (data.query !== undefined) {
+        const query = typeof data.query === 'string' ? data.query.trim() : '';
+        if (!query) {
+          throw new Error('搜索查询不能为空');
+        }
+        if (query !== existing.query) {
+          fields.push('query = ?', 'since_id = NULL');
+          params.push(query);
+        }
+      }
+
+      if (data.is_active !== undefined) {
+        fields.push('is_active = ?');
+        params.push(data.is_active ? 1 : 0);
+      }
+
+      if (fields.length > 0) {
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(id);
+        await database.run(`UPDATE search_monitors SET ${fields.join(', ')} WHERE id = ?`, params);
+        logger.info(`搜索监控更新成功: ${id}`);
+      }
+
+      return this.getSearch(id);
+    } catch (error) {
+      logger.error(`更新搜索监控失败: ${error.message}`, { id, data, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除搜索监控
+   * 已保存的推文保留，仅删除与该搜索的关联
+   * @param {number} id - 搜索监控ID
+   * @returns {Promise<boolean>} 是否成功删除
+   */
+  async removeSearch(id) {
+    try {
+      await database.run('DELETE FROM search_monitor_tweets WHERE monitor_id = ?', [id]);
+      const result = await database.run('DELETE FROM search_monitors WHERE id = ?', [id]);
+
+      if (result.changes > 0) {
+        logger.info(`成功删除搜索监控: ${id}`);
+        return true;
+      }
+      logger.warn(`搜索监控不存在: ${id}`);
+      return false;
+    } catch (error) {
+      logger.error(`删除搜索监控失败: ${error.message}`, { id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新搜索监控的 since_id 游标
+   * @param {number} id - 搜索监控ID
+   * @param {string|null} sinceId - 最新推文ID
+   * @returns {Promise<boolean>} 是否成功更新
+   */
+  async updateSinceId(id, sinceId) {
+    try {
+      const sql = `
+        UPDATE search_monitors
+        SET since_id = COALESCE(?, since_id), last_checked_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      const result = await database.run(sql, [sinceId, id]);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`更新搜索游标失败: ${error.message}`, { id, sinceId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 将推文标记为由某个搜索监控发现
+   * @param {number} monitorId - 搜索监控ID
+   * @param {string} tweetId - 推文ID
+   * @returns {Promise<boolean>} 是否为新的关联
+   */
+  async tagTweet(monitorId, tweetId) {
+    const result = await database.run(
+      'INSERT OR IGNORE INTO search_monitor_tweets (monitor_id, tweet_id) VALUES (?, ?)',
+      [monitorId, tweetId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * 获取搜索监控命中的推文
+   * @param {number} id - 搜索监控ID
+   * @param {number} [limit=50] - 最大条数
+   * @returns {Promise<Array>} 推文列表
+   */
+  async getSearchTweets(id, limit = 50) {
+    try {
+      const sql = `
+        SELECT t.*, smt.found_at
+        FROM search_monitor_tweets smt
+        JOIN tweets t ON smt.tweet_id = t.id
+        WHERE smt.monitor_id = ?
+        ORDER BY t.created_at DESC
+        LIMIT ?
+      `;
+      return await database.query(sql, [id, limit]);
+    } catch (error) {
+      logger.error(`获取搜索监控推文失败: ${error.message}`, { id, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = SearchManager;
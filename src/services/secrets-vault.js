@@ -0,0 +1,291 @@
+/**
+ * 密钥存储
+ * 将 API 凭据、渠道令牌等密钥以 AES-256-GCM 加密保存在 secrets 表中，密钥名称作为附加认证数据，
+ * 密文不能被挪用到其他名称下。主密钥取自 SECRETS_MASTER_KEY 环境变量或密钥文件（SECRETS_KEY_FILE），
+ * 两者都没有时自动生成密钥文件。轮换主密钥时所有密钥在同一事务中重新加密
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const database = require('../db/database');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { registerSecret } = require('../utils/redact');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const NAME_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * 解析主密钥：64 位十六进制或 Base64 编码的 32 字节
+ * @param {string} text - 主密钥
+ * @returns {Buffer} 主密钥
+ */
+function parseKey(text) {
+  const value = String(text || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error('主密钥必须是 32 字节（64 位十六进制或 Base64 编码）');
+  }
+  return key;
+}
+
+/**
+ * 计算主密钥指纹
+ * @param {Buffer} key - 主密钥
+ * @returns {string} 指纹
+ */
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+class SecretsVault {
+  constructor() {
+    this.key = null;
+    this.keyId = null;
+    // env 或 file
+    this.keySource = null;
+  }
+
+  /**
+   * 生成新的主密钥
+   * @returns {string} Base64 编码的主密钥
+   */
+  generateKey() {
+    return crypto.randomBytes(KEY_BYTES).toString('base64');
+  }
+
+  /**
+   * 加载主密钥，密钥文件不存在时生成
+   * @private
+   * @param {boolean} [reload=false] - 是否重新读取（密钥文件可能已被轮换）
+   */
+  _loadKey(reload = false) {
+    if (this.key && !reload) {
+      return;
+    }
+
+    let text;
+    if (config.secrets.masterKey) {
+      text = config.secrets.masterKey;
+      this.keySource = 'env';
+    } else {
+      const keyFile = path.resolve(config.secrets.keyFile);
+      if (!fs.existsSync(keyFile)) {
+        fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+        fs.writeFileSync(keyFile, `${this.generateKey()}\n`, { mode: 0o600, flag: 'wx' });
+        logger.warn(`已生成主密钥文件 ${keyFile}，请妥善备份；丢失后已保存的密钥无法解密`);
+      }
+      text = fs.readFileSync(keyFile, 'utf8');
+      this.keySource = 'file';
+    }
+
+    this.key = parseKey(text);
+    this.keyId = fingerprint(this.key);
+  }
+
+  /**
+   * 加密
+   * @private
+   */
+  _encrypt(name, value, key = this.key) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(name));
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return {
+      key_id: fingerprint(key),
+      iv: iv.toString('base64'),
+      auth_tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  /**
+   * 解密，加密所用的主密钥与当前主密钥不同时报错
+   * @private
+   */
+  _decrypt(row, key = this.key) {
+    if (row.key_id !== fingerprint(key)) {
+      throw new Error(`密钥 ${row.name} 使用其他主密钥加密（${row.key_id}），无法解密`);
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(row.iv, 'base64'));
+    decipher.setAAD(Buffer.from(row.name));
+    decipher.setAuthTag(Buffer.from(row.auth_tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(row.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * 解密记录，主密钥来自文件且指纹不一致时重新读取文件（可能已被命令行工具轮换）
+   * @private
+   */
+  _open(row) {
+    this._loadKey();
+    if (row.key_id !== this.keyId && this.keySource === 'file') {
+      this._loadKey(true);
+    }
+    const value = this._decrypt(row);
+    registerSecret(value);
+    return value;
+  }
+
+  /**
+   * 保存密钥
+   * @param {string} name - 名称，如 deepseek.apiKey
+   * @param {string|null} value - 值，为空时删除
+   * @returns {Promise<void>}
+   */
+  async set(name, value) {
+    if (!NAME_PATTERN.test(name || '')) {
+      throw new Error(`无效的密钥名称: ${name}`);
+    }
+    if (value === undefined || value === null || value === '') {
+      await this.delete(name);
+      return;
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`密钥 ${name} 必须是字符串`);
+    }
+
+    this._loadKey();
+    const encrypted = this._encrypt(name, value);
+    await database.run(
+      `INSERT INTO secrets (name, key_id, iv, auth_tag, ciphertext, updated_at)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(name) DO UPDATE SET key_id = excluded.key_id, iv = excluded.iv, auth_tag = excluded.auth_tag,
+         ciphertext = excluded.ciphertext, updated_at = CURRENT_TIMESTAMP`,
+      [name, encrypted.key_id, encrypted.iv, encrypted.auth_tag, encrypted.ciphertext]
+    );
+    registerSecret(value);
+  }
+
+  /**
+   * 读取密钥
+   * @param {string} name - 名称
+   * @returns {Promise<string|null>} 值，不存在时返回 null
+   */
+  async get(name) {
+    const row = await database.get('SELECT * FROM secrets WHERE name = ?', [name]);
+    return row ? this._open(row) : null;
+  }
+
+  /**
+   * 读取指定前缀下的所有密钥，无法解密的密钥记录日志后跳过
+   * @param {string} prefix - 名称前缀，如 channels.3.
+   * @returns {Promise<Object>} 名称 -> 值
+   */
+  async getAll(prefix) {
+    const rows = await database.query('SELECT * FROM secrets WHERE substr(name, 1, length(?)) = ? ORDER BY name', [prefix, prefix]);
+    const values = {};
+    for (const row of rows) {
+      try {
+        values[row.name] = this._open(row);
+      } catch (error) {
+        logger.error(`读取密钥失败: ${error.message}`);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * 删除密钥
+   * @param {string} name - 名称
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async delete(name) {
+    const result = await database.run('DELETE FROM secrets WHERE name = ?', [name]);
+    return result.changes > 0;
+  }
+
+  /**
+   * 删除指定前缀下的所有密钥
+   * @param {string} prefix - 名称前缀
+   * @returns {Promise<number>} 删除的数量
+   */
+  async deleteAll(prefix) {
+    const result = await database.run('DELETE FROM secrets WHERE substr(name, 1, length(?)) = ?', [prefix, prefix]);
+    return result.changes;
+  }
+
+  /**
+   * 列出已保存的密钥，不包含值
+   * @returns {Promise<Array<Object>>} { name, key_id, created_at, updated_at }
+   */
+  async list() {
+    return database.query('SELECT name, key_id, created_at, updated_at FROM secrets ORDER BY name');
+  }
+
+  /**
+   * 获取当前主密钥的来源和指纹
+   * @returns {Object} { source, keyId, keyFile }
+   */
+  getKeyInfo() {
+    this._loadKey();
+    return {
+      source: this.keySource,
+      keyId: this.keyId,
+      keyFile: this.keySource === 'file' ? path.resolve(config.secrets.keyFile) : null
+    };
+  }
+
+  /**
+   * 轮换主密钥：用新主密钥重新加密所有密钥
+   * 主密钥来自文件时写入新主密钥；来自环境变量时需要随后将 SECRETS_MASTER_KEY 更新为返回的新主密钥
+   * @param {string} [newKeyText] - 新主密钥，默认自动生成
+   * @returns {Promise<Object>} { count, key, keyId, source }
+   */
+  async rotate(newKeyText) {
+    this._loadKey(true);
+    const keyText = newKeyText || this.generateKey();
+    const newKey = parseKey(keyText);
+    if (fingerprint(newKey) === this.keyId) {
+      throw new Error('新主密钥与当前主密钥相同');
+    }
+
+    // 先全部解密，任何一个无法解密时不做修改
+    const rows = await database.query('SELECT * FROM secrets ORDER BY name');
+    const values = rows.map(row => ({ name: row.name, value: this._decrypt(row) }));
+
+    // 主密钥来自文件时先写入临时文件，提交后再替换，避免密钥已重新加密而新主密钥丢失
+    const keyFile = this.keySource === 'file' ? path.resolve(config.secrets.keyFile) : null;
+    const tempFile = keyFile ? `${keyFile}.${process.pid}.tmp` : null;
+    if (tempFile) {
+      fs.writeFileSync(tempFile, `${keyText.trim()}\n`, { mode: 0o600 });
+    }
+
+    await database.run('BEGIN TRANSACTION');
+    try {
+      for (const { name, value } of values) {
+        const encrypted = this._encrypt(name, value, newKey);
+        await database.run(
+          'UPDATE secrets SET key_id = ?, iv = ?, auth_tag = ?, ciphertext = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?',
+          [encrypted.key_id, encrypted.iv, encrypted.auth_tag, encrypted.ciphertext, name]
+        );
+      }
+      await database.run('COMMIT');
+    } catch (error) {
+      await database.run('ROLLBACK').catch(() => {});
+      if (tempFile) {
+        fs.rmSync(tempFile, { force: true });
+      }
+      throw error;
+    }
+
+    if (tempFile) {
+      try {
+        fs.renameSync(tempFile, keyFile);
+      } catch (error) {
+        throw new Error(`密钥已重新加密，但无法写入主密钥文件 ${keyFile}（新主密钥保存在 ${tempFile}）: ${error.message}`);
+      }
+    }
+
+    this.key = newKey;
+    this.keyId = fingerprint(newKey);
+    logger.info(`主密钥已轮换，重新加密 ${values.length} 个密钥`);
+    return { count: values.length, key: keyText.trim(), keyId: this.keyId, source: this.keySource };
+  }
+}
+
+module.exports = new SecretsVault();
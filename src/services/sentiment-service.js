@@ -0,0 +1,201 @@
+/**
+ * 情感时间序列服务
+ * 按小时、天或周统计推文（最新一次分析结果）的情感分布和平均情感分数，
+ * 支持按账号或账号组筛选、滑动平均，以及多个账号之间的对比，输出可直接用于图表
+ */
+
+const database = require('../db/database');
+const { validateBucket, listBuckets, bucketSql, parseRange } = require('../utils/time-buckets');
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const MAX_COMPARE_ACCOUNTS = 20;
+
+/**
+ * 解析以逗号分隔的账号用户名
+ * @param {string|Array<string>} value - 用户名（可带 @）
+ * @returns {Array<string>} 用户名
+ */
+function parseUsernames(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(username => String(username).trim().replace(/^@/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * 保留三位小数
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+class SentimentService {
+  /**
+   * 获取情感时间序列，账号为多个时合并统计（账号组）
+   * @param {Object} [params] - 查询参数
+   * @param {string} [params.account] - 账号用户名，多个账号以逗号分隔，为空表示全部账号
+   * @param {string} [params.since] - 开始时间，默认为结束时间前 30 天
+   * @param {string} [params.until] - 结束时间，默认为当前时间
+   * @param {string} [params.bucket=day] - 时间段：hour、day 或 week（UTC，周一开始）
+   * @param {number} [params.rolling=1] - 滑动平均包含的时间段数量，1 表示不平滑
+   * @returns {Promise<Object>} { since, until, bucket, rolling, buckets, summary, points }
+   */
+  async getSeries(params = {}) {
+    const options = this._parseOptions(params);
+    const usernames = parseUsernames(params.account);
+    const rows = await this._aggregate(options, usernames, false);
+
+    return {
+      since: options.since.toISOString(),
+      until: options.until.toISOString(),
+      bucket: options.bucket,
+      rolling: options.rolling,
+      accounts: usernames.length > 0 ? usernames : null,
+      buckets: options.buckets,
+      ...this._buildSeries(rows, options)
+    };
+  }
+
+  /**
+   * 对比多个账号的情感时间序列，每个账号一条序列，时间段一致
+   * @param {Object} params - 查询参数，同 getSeries
+   * @param {string} params.accounts - 要对比的账号用户名，以逗号分隔
+   * @returns {Promise<Object>} { since, until, bucket, rolling, buckets, series: [{ account, summary, points }] }
+   */
+  async compare(params = {}) {
+    const usernames = parseUsernames(params.accounts);
+    if (usernames.length < 2) {
+      throw new Error('至少需要两个账号进行对比');
+    }
+    if (usernames.length > MAX_COMPARE_ACCOUNTS) {
+      throw new Error(`最多对比 ${MAX_COMPARE_ACCOUNTS} 个账号`);
+    }
+
+    const options = this._parseOptions(params);
+    const rows = await this._aggregate(options, usernames, true);
+
+    return {
+      since: options.since.toISOString(),
+      until: options.until.toISOString(),
+      bucket: options.bucket,
+      rolling: options.rolling,
+      buckets: options.buckets,
+      series: usernames.map(username => ({
+        account: username,
+        ...this._buildSeries(
+          rows.filter(row => row.username.toLowerCase() === username.toLowerCase()),
+          options
+        )
+      }))
+    };
+  }
+
+  /**
+   * 校验查询参数
+   * @private
+   */
+  _parseOptions(params) {
+    const bucket = validateBucket(params.bucket);
+    const { since, until } = parseRange(params, 30);
+
+    const rolling = params.rolling === undefined || params.rolling === '' ? 1 : Number(params.rolling);
+    if (!Number.isInteger(rolling) || rolling < 1 || rolling > 100) {
+      throw new Error(`无效的滑动平均窗口: ${params.rolling}`);
+    }
+
+    return { bucket, since, until, rolling, buckets: listBuckets(since, until, bucket) };
+  }
+
+  /**
+   * 按时间段（和账号）汇总情感数量和情感分数
+   * @private
+   */
+  async _aggregate({ bucket, since, until }, usernames, byAccount) {
+    const conditions = ['t.created_at >= ?', 't.created_at < ?'];
+    const values = [since.toISOString(), until.toISOString()];
+    if (usernames.length > 0) {
+      conditions.push(`t.username COLLATE NOCASE IN (${usernames.map(() => '?').join(', ')})`);
+      values.push(...usernames);
+    }
+
+    const groupBy = byAccount ? 'bucket, t.username' : 'bucket';
+    return database.query(
+      `SELECT ${bucketSql('t.created_at', bucket)} AS bucket,
+              ${byAccount ? 't.username' : 'NULL'} AS username,
+              COUNT(*) AS tweets,
+              COUNT(a.id) AS analyzed,
+              ${SENTIMENTS.map(label => `SUM(CASE WHEN a.sentiment_label = '${label}' THEN 1 ELSE 0 END) AS ${label}`).join(',\n              ')},
+              COUNT(a.sentiment_score) AS scored,
+              COALESCE(SUM(a.sentiment_score), 0) AS score_sum
+       FROM tweets t
+       LEFT JOIN tweet_analysis a ON a.id = (SELECT MAX(id) FROM tweet_analysis WHERE tweet_id = t.id)
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY ${groupBy}`,
+      values
+    );
+  }
+
+  /**
+   * 将汇总结果按时间段补齐为序列，计算平均分数、滑动平均和整体统计
+   * 滑动平均按情感分数数量加权，即最近 rolling 个时间段内所有分数的平均值
+   * @private
+   */
+  _buildSeries(rows, { buckets, rolling }) {
+    const byBucket = new Map();
+    for (const row of rows) {
+      // 按账号对比时同一账号的用户名大小写可能不同，合并到同一时间段
+      const existing = byBucket.get(row.bucket);
+      if (existing) {
+        for (const key of ['tweets', 'analyzed', ...SENTIMENTS, 'scored', 'score_sum']) {
+          existing[key] += row[key];
+        }
+      } else {
+        byBucket.set(row.bucket, { ...row });
+      }
+    }
+
+    const summary = { tweets: 0, analyzed: 0, positive: 0, negative: 0, neutral: 0, scored: 0, scoreSum: 0 };
+    const points = buckets.map(bucket => {
+      const row = byBucket.get(bucket) || {};
+      const point = {
+        bucket,
+        tweets: row.tweets || 0,
+        analyzed: row.analyzed || 0,
+        positive: row.positive || 0,
+        negative: row.negative || 0,
+        neutral: row.neutral || 0,
+        scored: row.scored || 0,
+        scoreSum: row.score_sum || 0
+      };
+      for (const key of Object.keys(summary)) {
+        summary[key] += point[key];
+      }
+      return point;
+    });
+
+    const series = points.map((point, i) => {
+      const window = points.slice(Math.max(0, i - rolling + 1), i + 1);
+      const scored = window.reduce((sum, item) => sum + item.scored, 0);
+      const scoreSum = window.reduce((sum, item) => sum + item.scoreSum, 0);
+      const { scored: pointScored, scoreSum: pointSum, ...counts } = point;
+      return {
+        ...counts,
+        averageScore: pointScored > 0 ? round(pointSum / pointScored) : null,
+        rollingAverage: scored > 0 ? round(scoreSum / scored) : null
+      };
+    });
+
+    // 情感漂移：序列中最后一个与第一个滑动平均值之差
+    const averages = series.map(point => point.rollingAverage).filter(value => value !== null);
+    const { scored, scoreSum, ...totals } = summary;
+    return {
+      summary: {
+        ...totals,
+        averageScore: scored > 0 ? round(scoreSum / scored) : null,
+        drift: averages.length > 1 ? round(averages[averages.length - 1] - averages[0]) : null
+      },
+      points: series
+    };
+  }
+}
+
+module.exports = SentimentService;
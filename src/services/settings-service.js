@@ -0,0 +1,240 @@
+/**
+ * 运行时配置服务
+ * 通过设置接口修改的配置项保存在 system_config 表中，密钥类配置项加密保存在密钥存储中，启动时加载；
+ * 修改后立即更新内存中的配置并通知订阅者（config.onChange），无需重启
+ * 取值优先级：环境变量 > 数据库 > 默认值，由环境变量设置的配置项不能通过接口修改
+ */
+
+const database = require('../db/database');
+const config = require('../utils/config');
+const secretsVault = require('./secrets-vault');
+const logger = require('../utils/logger');
+const { SECRET_PLACEHOLDER } = require('../utils/redact');
+
+// 早期 twitter_accounts 表（迁移 002 后为 legacy_twitter_accounts）中按账号保存的 API 凭据列
+const LEGACY_CREDENTIAL_COLUMNS = ['consumer_key', 'consumer_secret', 'access_token', 'access_secret'];
+
+class SettingsService {
+  /**
+   * 从 system_config 和密钥存储加载已保存的配置项，应在数据库初始化后调用
+   * 未知或无效的记录会被忽略；旧版本以明文保存在 system_config 和 legacy_twitter_accounts 中的密钥会移入密钥存储
+   */
+  async load() {
+    await this._moveLegacyCredentials();
+
+    const rows = await database.query('SELECT key, value FROM system_config');
+    let loaded = 0;
+    for (const row of rows) {
+      const definition = config.getDefinition(row.key);
+      // 跳过其他用途的记录和已移除的配置项
+      if (!definition) {
+        continue;
+      }
+      try {
+        if (definition.secret) {
+          await this._moveToVault(row);
+          continue;
+        }
+        if (config.getSource(row.key) !== 'env') {
+          config.apply(row.key, config.parse(row.key, row.value), 'db');
+          loaded++;
+        }
+      } catch (error) {
+        logger.warn(`忽略无效的已保存配置 ${row.key}: ${error.message}`);
+      }
+    }
+
+    for (const definition of config.listDefinitions()) {
+      if (!definition.secret || config.getSource(definition.key) === 'env') {
+        continue;
+      }
+      try {
+        const value = await secretsVault.get(definition.key);
+        if (value !== null) {
+          config.apply(definition.key, value, 'vault');
+          loaded++;
+        }
+      } catch (error) {
+        logger.error(`加载密钥 ${definition.key} 失败: ${error.message}`);
+      }
+    }
+
+    if (loaded > 0) {
+      logger.info(`已加载 ${loaded} 项已保存的配置`);
+    }
+  }
+
+  /**
+   * 将明文保存在 system_config 中的密钥移入密钥存储
+   * @private
+   */
+  async _moveToVault(row) {
+    if (row.value && !(await secretsVault.get(row.key))) {
+      await secretsVault.set(row.key, row.value);
+    }
+    await database.run('DELETE FROM system_config WHERE key = ?', [row.key]);
+    logger.info(`已将配置项 ${row.key} 移入密钥存储`);
+  }
+
+  /**
+   * 将 legacy_twitter_accounts 中明文保存的账号凭据移入密钥存储（名称为 legacyAccounts.<id>.<列名>），并清空这些列
+   * @private
+   */
+  async _moveLegacyCredentials() {
+    if (!(await database.tableExists('legacy_twitter_accounts'))) {
+      return;
+    }
+    const columns = (await database.getColumns('legacy_twitter_accounts'))
+      .filter(column => LEGACY_CREDENTIAL_COLUMNS.includes(column));
+    if (columns.length === 0) {
+      return;
+    }
+
+    const rows = await database.query(
+      `SELECT id, ${columns.join(', ')} FROM legacy_twitter_accounts
+       WHERE ${columns.map(column => `${column} IS NOT NULL`).join(' OR ')}`
+    );
+    for (const row of rows) {
+      for (const column of columns) {
+        if (row[column]) {
+          await secretsVault.set(`legacyAccounts.${row.id}.${column}`, String(row[column]));
+        }
+      }
+      await database.run(
+        `UPDATE legacy_twitter_accounts SET ${columns.map(column => `${column} = NULL`).join(', ')} WHERE id = ?`,
+        [row.id]
+      );
+    }
+    if (rows.length > 0) {
+      logger.info(`已将 ${rows.length} 个旧版 Twitter 账号的凭据移入密钥存储`);
+    }
+  }
+
+  /**
+   * 列出所有可在运行时修改的配置项
+   * @returns {Array<Object>} 配置项 { key, type, description, value, default, source, env, secret, ... }
+   */
+  list() {
+    return config.listDefinitions().map(definition => this._describe(definition));
+  }
+
+  /**
+   * 获取配置项
+   * @param {string} key - 配置项路径，如 ntfy.server
+   * @returns {Object|null} 配置项，不存在时返回 null
+   */
+  get(key) {
+    const definition = config.getDefinition(key);
+    return definition ? this._describe(definition) : null;
+  }
+
+  /**
+   * 修改并保存配置项，全部校验通过后才会保存
+   * 密钥配置项的值为占位符时保留原值；由环境变量设置的配置项只能提交与当前值相同的值
+   * @param {Object} values - 配置项路径 -> 值
+   * @returns {Promise<Array<Object>>} 修改后的配置项
+   */
+  async update(values) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('配置必须是对象');
+    }
+
+    const changes = [];
+    for (const [key, value] of Object.entries(values)) {
+      const definition = config.getDefinition(key);
+      if (!definition) {
+        throw new Error(`未知的配置项: ${key}`);
+      }
+      if (definition.secret && value === SECRET_PLACEHOLDER) {
+        continue;
+      }
+      const parsed = config.parse(key, value);
+      if (config.getSource(key) === 'env') {
+        if (this._serialize(parsed) !== this._serialize(config.get(key))) {
+          throw new Error(`配置项 ${key} 由环境变量 ${definition.env} 设置，无法修改`);
+        }
+        continue;
+      }
+      changes.push({ definition, value: parsed });
+    }
+
+    for (const { definition, value } of changes) {
+      if (definition.secret) {
+        await secretsVault.set(definition.key, value);
+        config.apply(definition.key, value, value === null ? 'default' : 'vault');
+        logger.info(`密钥已更新: ${definition.key}`);
+        continue;
+      }
+      await database.run(
+        `INSERT INTO system_config (key, value, description, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, description = excluded.description, updated_at = CURRENT_TIMESTAMP`,
+        [definition.key, this._serialize(value), definition.description]
+      );
+      config.apply(definition.key, value, 'db');
+      logger.info(`配置已更新: ${definition.key}`);
+    }
+
+    return changes.map(({ definition }) => this._describe(definition));
+  }
+
+  /**
+   * 删除已保存的配置项，恢复为默认值（设置了环境变量时仍使用环境变量）
+   * @param {string} key - 配置项路径
+   * @returns {Promise<Object>} 配置项
+   */
+  async reset(key) {
+    const definition = config.getDefinition(key);
+    if (!definition) {
+      throw new Error(`未知的配置项: ${key}`);
+    }
+
+    if (definition.secret) {
+      await secretsVault.delete(key);
+    } else {
+      await database.run('DELETE FROM system_config WHERE key = ?', [key]);
+    }
+    if (config.getSource(key) !== 'env') {
+      config.apply(key, definition.default, 'default');
+    }
+    logger.info(`配置已恢复默认值: ${key}`);
+    return this._describe(definition);
+  }
+
+  /**
+   * 转换为 system_config 中保存的字符串，json 配置项保存为 JSON
+   * @private
+   */
+  _serialize(value) {
+    if (value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * 格式化配置项，密钥只返回是否已设置
+   * @private
+   */
+  _describe(definition) {
+    const value = config.get(definition.key);
+    const item = {
+      key: definition.key,
+      type: definition.type,
+      description: definition.description,
+      value: definition.secret && value ? SECRET_PLACEHOLDER : value,
+      default: definition.default,
+      source: config.getSource(definition.key),
+      env: definition.env,
+      secret: Boolean(definition.secret)
+    };
+    for (const name of ['min', 'max', 'options']) {
+      if (definition[name] !== undefined) {
+        item[name] = definition[name];
+      }
+    }
+    return item;
+  }
+}
+
+module.exports = new SettingsService();
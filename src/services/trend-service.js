@@ -0,0 +1,396 @@
+/**
+ * 关键词趋势服务
+ * 汇总分析结果中的关键词（tweet_analysis.keywords，逗号分隔），规范化后按时间段统计频次，
+ * 通过比较当前窗口和基线窗口发现新兴关键词，并按共现关系将相关关键词聚合为话题
+ */
+
+const database = require('../db/database');
+const config = require('../utils/config');
+const { HOUR, DAY, validateBucket, bucketStart, listBuckets, parseRange, parseDate } = require('../utils/time-buckets');
+
+// 两个关键词共同出现的推文数至少为 2，且占较少一方出现次数的比例达到该值时视为相关
+const MIN_OVERLAP = 0.5;
+// 参与话题聚合的关键词数量上限
+const MAX_TOPIC_KEYWORDS = 100;
+
+class TrendService {
+  /**
+   * 规范化关键词：全角转半角、统一小写、去掉话题标签符号和首尾标点、合并空白
+   * @param {string} keyword - 关键词
+   * @returns {string} 规范化后的关键词，无效时为空字符串
+   */
+  normalizeKeyword(keyword) {
+    return String(keyword || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^[#$@]+/, '')
+      .replace(/^["'“”‘’「」『』《》()（）[\]【】]+|["'“”‘’「」『』《》()（）[\]【】。、,.!?:;…]+$/g, '')
+      .trim();
+  }
+
+  /**
+   * 获取同义词映射
+   * @returns {Promise<Map<string, string>>} 别名 -> 规范关键词
+   */
+  async getSynonymMap() {
+    const rows = await database.query('SELECT alias, canonical FROM keyword_synonyms');
+    return new Map(rows.map(row => [row.alias, row.canonical]));
+  }
+
+  /**
+   * 获取同义词，按规范关键词分组
+   * @returns {Promise<Array>} [{ canonical, aliases }]
+   */
+  async getSynonyms() {
+    const rows = await database.query('SELECT alias, canonical FROM keyword_synonyms ORDER BY canonical, alias');
+    const groups = new Map();
+    for (const row of rows) {
+      if (!groups.has(row.canonical)) {
+        groups.set(row.canonical, []);
+      }
+      groups.get(row.canonical).push(row.alias);
+    }
+    return [...groups].map(([canonical, aliases]) => ({ canonical, aliases }));
+  }
+
+  /**
+   * 添加同义词，已存在的别名改为指向新的规范关键词
+   * @param {string} canonical - 规范关键词，如 bitcoin
+   * @param {Array<string>|string} aliases - 别名，如 ['btc', '比特币']
+   * @returns {Promise<Object>} { canonical, aliases }
+   */
+  async addSynonyms(canonical, aliases) {
+    const target = this.normalizeKeyword(canonical);
+    if (!target) {
+      throw new Error('规范关键词不能为空');
+    }
+    const list = (Array.isArray(aliases) ? aliases : String(aliases || '').split(','))
+      .map(alias => this.normalizeKeyword(alias))
+      .filter(alias => alias && alias !== target);
+    if (list.length === 0) {
+      throw new Error('别名不能为空');
+    }
+
+    const synonyms = await this.getSynonymMap();
+    if (synonyms.has(target)) {
+      throw new Error(`${target} 已是 ${synonyms.get(target)} 的别名`);
+    }
+
+    for (const alias of list) {
+      await database.run(
+        'INSERT OR REPLACE INTO keyword_synonyms (alias, canonical) VALUES (?, ?)',
+        [alias, target]
+      );
+      // 原来以该别名为规范关键词的同义词一并指向新的规范关键词
+      await database.run('UPDATE keyword_synonyms SET canonical = ? WHERE canonical = ?', [target, alias]);
+    }
+
+    const rows = await database.query('SELECT alias FROM keyword_synonyms WHERE canonical = ? ORDER BY alias', [target]);
+    return { canonical: target, aliases: rows.map(row => row.alias) };
+  }
+
+  /**
+   * 删除同义词
+   * @param {string} alias - 别名
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async removeSynonym(alias) {
+    const result = await database.run('DELETE FROM keyword_synonyms WHERE alias = ?', [this.normalizeKeyword(alias)]);
+    return result.changes > 0;
+  }
+
+  /**
+   * 统计时间范围内各关键词在每个时间段的推文数
+   * @param {Object} [params] - 查询参数
+   * @param {string} [params.account] - 账号用户名，多个账号以逗号分隔
+   * @param {string} [params.since] - 开始时间，默认为结束时间前 7 天
+   * @param {string} [params.until] - 结束时间，默认为当前时间
+   * @param {string} [params.bucket=day] - 时间段：hour、day 或 week（UTC，周一开始）
+   * @param {number} [params.limit=20] - 返回出现次数最多的关键词数量（不超过100）
+   * @returns {Promise<Object>} { since, until, bucket, tweets, buckets, keywords: [{ keyword, total, counts }] }
+   */
+  async getKeywordSeries(params = {}) {
+    const bucket = validateBucket(params.bucket);
+    const { since, until } = parseRange(params);
+    const buckets = listBuckets(since, until, bucket);
+    const index = new Map(buckets.map((key, i) => [key, i]));
+
+    const tweets = await this._loadKeywords(params.account, since, until);
+    const totals = new Map();
+    const counts = new Map();
+    for (const tweet of tweets) {
+      const position = index.get(bucketStart(new Date(tweet.created_at), bucket).toISOString());
+      for (const keyword of tweet.keywords) {
+        totals.set(keyword, (totals.get(keyword) || 0) + 1);
+        if (!counts.has(keyword)) {
+          counts.set(keyword, new Array(buckets.length).fill(0));
+        }
+        counts.get(keyword)[position]++;
+      }
+    }
+
+    const limit = Math.min(parseInt(params.limit) || 20, 100);
+    return {
+      since: since.toISOString(),
+      until: until.toISOString(),
+      bucket,
+      tweets: tweets.length,
+      buckets,
+      keywords: this._top(totals, limit).map(([keyword, total]) => ({
+        keyword,
+        total,
+        counts: counts.get(keyword)
+      }))
+    };
+  }
+
+  /**
+   * 发现新兴关键词：比较当前窗口与之前基线窗口的出现次数（按窗口长度折算）
+   * @param {Object} [params] - 查询参数
+   * @param {string} [params.account] - 账号用户名，多个账号以逗号分隔
+   * @param {string} [params.until] - 当前窗口结束时间，默认为当前时间
+   * @param {number} [params.windowHours] - 当前窗口长度（小时），默认 trends.windowHours
+   * @param {number} [params.baselineDays] - 基线窗口长度（天），默认 trends.baselineDays
+   * @param {number} [params.minCount] - 当前窗口出现次数下限，默认 trends.minCount
+   * @param {boolean} [params.cluster=false] - 是否将新兴关键词聚合为话题
+   * @param {number} [params.limit=20] - 最大条数（不超过100）
+   * @returns {Promise<Object>} { window, baseline, terms, topics }
+   */
+  async getEmerging(params = {}) {
+    const windowHours = this._positive(params.windowHours, 'windowHours') || config.trends.windowHours;
+    const baselineDays = this._positive(params.baselineDays, 'baselineDays') || config.trends.baselineDays;
+    const minCount = this._positive(params.minCount, 'minCount') || config.trends.minCount;
+
+    const end = parseDate(params.until, 'until') || new Date();
+    const windowStart = new Date(end.getTime() - windowHours * HOUR);
+    const baselineStart = new Date(windowStart.getTime() - baselineDays * DAY);
+
+    const tweets = await this._loadKeywords(params.account, baselineStart, end);
+    const currentTweets = tweets.filter(tweet => tweet.created_at >= windowStart.toISOString());
+    const current = this._count(currentTweets);
+    const baseline = this._count(tweets.filter(tweet => tweet.created_at < windowStart.toISOString()));
+
+    const accounts = new Map();
+    for (const tweet of currentTweets) {
+      for (const keyword of tweet.keywords) {
+        if (!accounts.has(keyword)) {
+          accounts.set(keyword, new Set());
+        }
+        accounts.get(keyword).add(tweet.username);
+      }
+    }
+
+    const ratio = windowHours / (baselineDays * 24);
+    const terms = [];
+    for (const [keyword, count] of current) {
+      if (count < minCount) {
+        continue;
+      }
+      const baselineCount = baseline.get(keyword) || 0;
+      const expected = baselineCount * ratio;
+      // 平滑处理，避免基线很小时增长倍数失真
+      const growth = (count + 1) / (expected + 1);
+      if (growth < config.trends.minGrowth) {
+        continue;
+      }
+      terms.push({
+        keyword,
+        current: count,
+        baseline: baselineCount,
+        expected: Math.round(expected * 100) / 100,
+        growth: Math.round(growth * 100) / 100,
+        score: Math.round((count - expected) / Math.sqrt(expected + 1) * 100) / 100,
+        isNew: baselineCount === 0,
+        accounts: [...accounts.get(keyword)].sort()
+      });
+    }
+    terms.sort((a, b) => b.score - a.score || b.current - a.current);
+
+    const limit = Math.min(parseInt(params.limit) || 20, 100);
+    const result = {
+      window: { start: windowStart.toISOString(), end: end.toISOString(), tweets: currentTweets.length },
+      baseline: { start: baselineStart.toISOString(), end: windowStart.toISOString(), tweets: tweets.length - currentTweets.length },
+      terms: terms.slice(0, limit)
+    };
+    if (params.cluster) {
+      result.topics = this.clusterTopics(currentTweets, result.terms.map(term => term.keyword), { includeSingletons: true });
+    }
+    return result;
+  }
+
+  /**
+   * 获取时间范围内的话题：出现次数最多的关键词按共现关系聚合
+   * @param {Object} [params] - 查询参数
+   * @param {string} [params.account] - 账号用户名，多个账号以逗号分隔
+   * @param {string} [params.since] - 开始时间，默认为结束时间前 7 天
+   * @param {string} [params.until] - 结束时间，默认为当前时间
+   * @param {number} [params.limit=10] - 最大话题数（不超过50）
+   * @returns {Promise<Object>} { since, until, tweets, topics }
+   */
+  async getTopics(params = {}) {
+    const { since, until } = parseRange(params);
+
+    const tweets = await this._loadKeywords(params.account, since, until);
+    const candidates = this._top(this._count(tweets), MAX_TOPIC_KEYWORDS).map(([keyword]) => keyword);
+
+    return {
+      since: since.toISOString(),
+      until: until.toISOString(),
+      tweets: tweets.length,
+      topics: this.clusterTopics(tweets, candidates).slice(0, Math.min(parseInt(params.limit) || 10, 50))
+    };
+  }
+
+  /**
+   * 按共现关系聚合关键词：共同出现足够多的关键词连通为同一话题
+   * @param {Array} tweets - 推文，keywords 为规范化后的关键词
+   * @param {Array<string>} candidates - 参与聚合的关键词
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.includeSingletons=false] - 是否保留只有一个关键词的话题
+   * @returns {Array} [{ label, keywords: [{ keyword, count }], tweets }]，按推文数倒序
+   */
+  clusterTopics(tweets, candidates, options = {}) {
+    const allowed = new Set(candidates);
+    const counts = new Map();
+    const pairs = new Map();
+
+    for (const tweet of tweets) {
+      const keywords = tweet.keywords.filter(keyword => allowed.has(keyword)).sort();
+      for (let i = 0; i < keywords.length; i++) {
+        counts.set(keywords[i], (counts.get(keywords[i]) || 0) + 1);
+        for (let j = i + 1; j < keywords.length; j++) {
+          const pair = `${keywords[i]}\u0000${keywords[j]}`;
+          pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+      }
+    }
+
+    // 并查集
+    const parent = new Map([...counts.keys()].map(keyword => [keyword, keyword]));
+    const find = keyword => {
+      while (parent.get(keyword) !== keyword) {
+        parent.set(keyword, parent.get(parent.get(keyword)));
+        keyword = parent.get(keyword);
+      }
+      return keyword;
+    };
+    for (const [pair, together] of pairs) {
+      const [a, b] = pair.split('\u0000');
+      if (together >= 2 && together / Math.min(counts.get(a), counts.get(b)) >= MIN_OVERLAP) {
+        parent.set(find(a), find(b));
+      }
+    }
+
+    const groups = new Map();
+    for (const keyword of counts.keys()) {
+      const root = find(keyword);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(keyword);
+    }
+
+    const topics = [];
+    for (const keywords of groups.values()) {
+      if (keywords.length < 2 && !options.includeSingletons) {
+        continue;
+      }
+      const members = new Set(keywords);
+      const sorted = keywords
+        .map(keyword => ({ keyword, count: counts.get(keyword) }))
+        .sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword));
+      topics.push({
+        label: sorted[0].keyword,
+        keywords: sorted,
+        tweets: tweets.filter(tweet => tweet.keywords.some(keyword => members.has(keyword))).length
+      });
+    }
+    return topics.sort((a, b) => b.tweets - a.tweets || a.label.localeCompare(b.label));
+  }
+
+  /**
+   * 查询时间范围内有分析结果的推文，关键词规范化、归并同义词并去重
+   * @private
+   * @param {string} [account] - 账号用户名，多个账号以逗号分隔
+   * @param {Date} since - 开始时间（含）
+   * @param {Date} until - 结束时间（不含）
+   * @returns {Promise<Array>} [{ id, username, created_at, keywords }]
+   */
+  async _loadKeywords(account, since, until) {
+    const conditions = ['t.created_at >= ?', 't.created_at < ?', "a.keywords IS NOT NULL AND a.keywords != ''"];
+    const values = [since.toISOString(), until.toISOString()];
+
+    const usernames = String(account || '').split(',')
+      .map(username => username.trim().replace(/^@/, ''))
+      .filter(Boolean);
+    if (usernames.length > 0) {
+      conditions.push(`t.username COLLATE NOCASE IN (${usernames.map(() => '?').join(', ')})`);
+      values.push(...usernames);
+    }
+
+    const rows = await database.query(
+      `SELECT t.id, t.username, t.created_at, a.keywords
+       FROM tweets t
+       JOIN tweet_analysis a ON a.id = (SELECT MAX(id) FROM tweet_analysis WHERE tweet_id = t.id)
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY t.created_at`,
+      values
+    );
+
+    const synonyms = await this.getSynonymMap();
+    return rows.map(row => {
+      const keywords = new Set();
+      for (const raw of row.keywords.split(',')) {
+        const keyword = this.normalizeKeyword(raw);
+        if (keyword) {
+          keywords.add(synonyms.get(keyword) || keyword);
+        }
+      }
+      return { ...row, keywords: [...keywords] };
+    });
+  }
+
+  /**
+   * 统计每个关键词出现的推文数
+   * @private
+   */
+  _count(tweets) {
+    const counts = new Map();
+    for (const tweet of tweets) {
+      for (const keyword of tweet.keywords) {
+        counts.set(keyword, (counts.get(keyword) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * 按出现次数倒序取前若干个
+   * @private
+   */
+  _top(counts, limit) {
+    return [...counts]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit);
+  }
+
+  /**
+   * 校验正数参数
+   * @private
+   * @returns {number|null} 数值，未指定时为 null
+   */
+  _positive(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    if (!(number > 0)) {
+      throw new Error(`无效的参数 ${field}: ${value}`);
+    }
+    return number;
+  }
+}
+
+module.exports = TrendService;
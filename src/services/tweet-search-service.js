@@ -0,0 +1,200 @@
+/**
+ * 推文全文检索服务
+ * 基于 tweets_fts（FTS5）检索推文正文、分析摘要和关键词，支持 FTS5 查询语法：
+ *   "短语"、前缀*、AND / OR / NOT、NEAR(a b, 5)、列过滤（text: / summary: / keywords:）
+ * 不符合语法的查询（如 C++、U.S.、a AND）按空格拆分后逐个作为短语匹配
+ */
+
+const database = require('../db/database');
+const logger = require('../utils/logger');
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const SORTS = ['rank', 'date'];
+
+// bm25 列权重：tweet_id（不索引）、text、summary、keywords
+const RANK = 'bm25(tweets_fts, 0.0, 1.0, 0.5, 0.75)';
+
+class TweetSearchService {
+  /**
+   * 搜索推文
+   * @param {Object} params - 搜索参数
+   * @param {string} params.q - FTS5 查询
+   * @param {string} [params.account] - 账号用户名（可带 @）
+   * @param {string} [params.since] - 推文发布时间下限（ISO 8601）
+   * @param {string} [params.until] - 推文发布时间上限（ISO 8601）
+   * @param {string} [params.sentiment] - 情感标签
+   * @param {boolean} [params.hasMedia] - 是否包含媒体
+   * @param {boolean} [params.includeDeleted=true] - 是否包含已删除的推文
+   * @param {string} [params.sort=rank] - 排序方式：rank（相关度）或 date（发布时间）
+   * @param {number} [params.limit=20] - 最大条数（不超过100）
+   * @param {number} [params.offset=0] - 偏移量
+   * @returns {Promise<Object>} { total, results }，结果包含 score 以及 text_snippet、summary_snippet 高亮片段
+   */
+  async search(params = {}) {
+    const query = params.q ? String(params.q).trim() : '';
+    if (!query) {
+      throw new Error('缺少搜索关键词');
+    }
+
+    // 全文检索条件直接作用于 tweets_fts，bm25 和 snippet 才能使用匹配信息
+    const filters = this.buildFilters({ ...params, q: undefined });
+    const match = await this.prepareQuery(query);
+    const conditions = ['tweets_fts MATCH ?', ...filters.conditions];
+    const values = [match, ...filters.values];
+
+    const sort = params.sort || 'rank';
+    if (!SORTS.includes(sort)) {
+      throw new Error(`无效的排序方式: ${sort}`);
+    }
+
+    const from = `
+      FROM tweets_fts f
+      JOIN tweets t ON t.id = f.tweet_id
+      LEFT JOIN tweet_analysis a ON a.id = (SELECT MAX(id) FROM tweet_analysis WHERE tweet_id = t.id)
+      WHERE ${conditions.join(' AND ')}
+    `;
+    const limit = Math.min(parseInt(params.limit) || 20, 100);
+    const offset = parseInt(params.offset) || 0;
+
+    try {
+      const countRow = await database.get(`SELECT COUNT(*) AS count ${from}`, values);
+      const results = await database.query(
+        `SELECT t.id, t.user_id, t.username, t.text, t.created_at,
+                t.like_count, t.retweet_count, t.reply_count, t.quote_count, t.has_media,
+                t.deleted_at, t.deletion_reason,
+                a.sentiment_label AS sentiment, a.sentiment_score, a.summary, a.keywords,
+                ${RANK} AS score,
+                snippet(tweets_fts, 1, '<mark>', '</mark>', '…', 24) AS text_snippet,
+                snippet(tweets_fts, 2, '<mark>', '</mark>', '…', 24) AS summary_snippet
+         ${from}
+         ORDER BY ${sort === 'date' ? 't.created_at DESC' : 'score'}
+         LIMIT ? OFFSET ?`,
+        [...values, limit, offset]
+      );
+
+      return {
+        total: countRow.count,
+        results: results.map(row => ({
+          ...row,
+          has_media: Boolean(row.has_media),
+          keywords: row.keywords ? row.keywords.split(',') : [],
+          // bm25 越小越相关，取反后越大越相关
+          score: Math.round(-row.score * 1000) / 1000
+        }))
+      };
+    } catch (error) {
+      throw this._wrapQueryError(error, match);
+    }
+  }
+
+  /**
+   * 校验 FTS5 查询语法，不符合语法时将每个词作为短语重新查询，也用于在开始输出之前发现错误（如导出）
+   * @param {string} query - FTS5 查询
+   * @returns {Promise<string>} 可以直接用于 MATCH 的查询
+   */
+  async prepareQuery(query) {
+    try {
+      await database.get('SELECT 1 FROM tweets_fts WHERE tweets_fts MATCH ? LIMIT 1', [query]);
+      return query;
+    } catch (error) {
+      if (!this._isQueryError(error)) {
+        throw this._wrapQueryError(error, query);
+      }
+    }
+
+    const quoted = this._quoteTerms(query);
+    try {
+      await database.get('SELECT 1 FROM tweets_fts WHERE tweets_fts MATCH ? LIMIT 1', [quoted]);
+      return quoted;
+    } catch (error) {
+      throw this._wrapQueryError(error, quoted);
+    }
+  }
+
+  /**
+   * 根据搜索参数生成查询条件，也用于导出等需要相同筛选方式的场景
+   * 条件中的表别名：t 为 tweets，a 为最新一次分析，q 不为空时需要关联 tweets_fts
+   * @param {Object} params - 搜索参数，同 search，q 需要先经过 prepareQuery 处理
+   * @returns {{conditions: Array<string>, values: Array}} 查询条件和参数
+   */
+  buildFilters(params = {}) {
+    const conditions = [];
+    const values = [];
+
+    const query = params.q ? String(params.q).trim() : '';
+    if (query) {
+      conditions.push('t.id IN (SELECT tweet_id FROM tweets_fts WHERE tweets_fts MATCH ?)');
+      values.push(query);
+    }
+    if (params.account) {
+      conditions.push('t.username = ? COLLATE NOCASE');
+      values.push(String(params.account).replace(/^@/, ''));
+    }
+    if (params.since) {
+      conditions.push('t.created_at >= ?');
+      values.push(this._parseDate(params.since, 'since'));
+    }
+    if (params.until) {
+      conditions.push('t.created_at <= ?');
+      values.push(this._parseDate(params.until, 'until'));
+    }
+    if (params.sentiment) {
+      if (!SENTIMENTS.includes(params.sentiment)) {
+        throw new Error(`无效的情感标签: ${params.sentiment}`);
+      }
+      conditions.push('a.sentiment_label = ?');
+      values.push(params.sentiment);
+    }
+    if (params.hasMedia !== undefined) {
+      conditions.push('t.has_media = ?');
+      values.push(params.hasMedia ? 1 : 0);
+    }
+    if (params.includeDeleted === false) {
+      conditions.push('t.deleted_at IS NULL');
+    }
+
+    return { conditions, values };
+  }
+
+  /**
+   * FTS5 查询语法错误属于用户输入问题，转换为可读的错误信息
+   * @private
+   */
+  _wrapQueryError(error, query) {
+    if (this._isQueryError(error)) {
+      return new Error(`无效的搜索语法: ${error.message.replace(/^SQLITE_ERROR: /, '')}`);
+    }
+    logger.error(`全文检索失败: ${error.message}`, { query });
+    return error;
+  }
+
+  /**
+   * 判断是否为 FTS5 查询语法错误
+   * @private
+   */
+  _isQueryError(error) {
+    return /fts5|unterminated string|no such column/i.test(error.message);
+  }
+
+  /**
+   * 按空格拆分查询，每个词作为短语（双引号转义为两个双引号），多个短语之间为 AND
+   * @private
+   */
+  _quoteTerms(query) {
+    return query.split(/\s+/).map(term => `"${term.replace(/"/g, '""')}"`).join(' ');
+  }
+
+  /**
+   * 校验日期参数并转换为 ISO 8601，与推文 created_at 的格式一致
+   * @private
+   */
+  _parseDate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`无效的日期 ${field}: ${value}`);
+    }
+    return date.toISOString();
+  }
+}
+
+module.exports = TweetSearchService;
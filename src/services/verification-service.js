@@ -0,0 +1,137 @@
+/**
+ * 推文存在性复查服务
+ * 分批通过推文查询接口复查已保存的推文，无法获取（已删除、作者被封禁）的推文标记 deleted_at 并发送高优先级通知
+ * 推文原文和 raw_data 不会被修改，作为删除前内容的证据保留
+ */
+
+const database = require('../db/database');
+const notificationService = require('./notification-service');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+class VerificationService {
+  /**
+   * @param {TwitterClient} twitterClient - 查询推文使用的客户端
+   */
+  constructor(twitterClient) {
+    this.twitterClient = twitterClient;
+  }
+
+  /**
+   * 根据查询接口返回的错误判断删除原因
+   * @param {Object} error - 推文查询接口返回的单条错误
+   * @returns {string|null} suspended、not_found，不属于删除（如受保护）时返回 null
+   */
+  classifyError(error) {
+    const text = `${error.title || ''} ${error.detail || ''}`;
+    if (/suspended/i.test(text)) {
+      return 'suspended';
+    }
+    if ((error.type || '').endsWith('/resource-not-found') || /not found|could not find/i.test(text)) {
+      return 'not_found';
+    }
+    return null;
+  }
+
+  /**
+   * 获取需要复查的推文
+   * 只复查 verification.maxAgeDays 内发布、距离上次复查超过 verification.interval 的推文，从未复查过的优先
+   * @param {number} limit - 最大条数
+   * @returns {Promise<Array>} 推文列表
+   */
+  async getDueTweets(limit) {
+    const { interval, maxAgeDays } = config.verification;
+    const since = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+
+    return database.query(
+      `SELECT id, user_id, username, text, created_at FROM tweets
+       WHERE deleted_at IS NULL AND created_at >= ?
+         AND (verified_at IS NULL OR verified_at <= datetime('now', ?))
+       ORDER BY verified_at IS NOT NULL, verified_at, created_at DESC
+       LIMIT ?`,
+      [since, `-${Math.round(interval / 1000)} seconds`, limit]
+    );
+  }
+
+  /**
+   * 复查一批到期的推文
+   * @returns {Promise<Object>} 复查结果 { checked, deleted }
+   */
+  async verifyTweets() {
+    const tweets = await this.getDueTweets(config.verification.maxPerCycle);
+    const result = { checked: 0, deleted: 0 };
+
+    for (let i = 0; i < tweets.length; i += 100) {
+      const batch = tweets.slice(i, i + 100);
+      const { tweets: found, errors } = await this.twitterClient.getTweetsByIds(batch.map(tweet => tweet.id));
+
+      const foundIds = found.map(tweet => tweet.id);
+      if (foundIds.length > 0) {
+        await database.run(
+          `UPDATE tweets SET verified_at = CURRENT_TIMESTAMP WHERE id IN (${foundIds.map(() => '?').join(', ')})`,
+          foundIds
+        );
+      }
+      result.checked += batch.length;
+
+      for (const error of errors) {
+        const tweet = batch.find(item => item.id === error.value || item.id === error.resource_id);
+        if (!tweet) {
+          continue;
+        }
+
+        const reason = this.classifyError(error);
+        if (!reason) {
+          // 受保护等情况无法确认是否已删除，下次再查
+          logger.debug(`推文 ${tweet.id} 暂时无法获取: ${error.detail || error.title}`);
+          await database.run('UPDATE tweets SET verified_at = CURRENT_TIMESTAMP WHERE id = ?', [tweet.id]);
+          continue;
+        }
+
+        if (await this.markDeleted(tweet, reason)) {
+          result.deleted++;
+        }
+      }
+    }
+
+    if (tweets.length > 0) {
+      logger.info(`复查推文 ${result.checked} 条，发现已删除 ${result.deleted} 条`);
+    }
+    return result;
+  }
+
+  /**
+   * 标记推文已删除并发送通知
+   * @param {Object} tweet - 推文记录
+   * @param {string} reason - 删除原因（not_found、suspended）
+   * @returns {Promise<boolean>} 是否为首次标记
+   */
+  async markDeleted(tweet, reason) {
+    const result = await database.run(
+      `UPDATE tweets SET deleted_at = CURRENT_TIMESTAMP, deletion_reason = ?, verified_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND deleted_at IS NULL`,
+      [reason, tweet.id]
+    );
+    if (result.changes === 0) {
+      return false;
+    }
+
+    logger.warn(`检测到推文已删除: ${tweet.id}`, { username: tweet.username, reason });
+
+    try {
+      const label = reason === 'suspended' ? 'account suspended' : 'not found';
+      await notificationService.sendNotification(
+        `Tweet deleted: @${tweet.username}`,
+        `${tweet.text}\n\nPosted: ${tweet.created_at}\nReason: ${label}\nLink: https://twitter.com/${tweet.username}/status/${tweet.id}`,
+        'high',
+        'wastebasket',
+        { type: 'deletion', tweetId: tweet.id }
+      );
+    } catch (error) {
+      logger.error(`发送推文删除通知失败: ${error.message}`, { tweetId: tweet.id });
+    }
+    return true;
+  }
+}
+
+module.exports = VerificationService;
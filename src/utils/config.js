@@ -1,10 +1,173 @@
 /**
  * 配置管理模块
  * 负责加载和管理系统配置
+ *
+ * 以 setting() 声明的配置项可在运行时修改（见 services/settings-service.js），
+ * 取值优先级：环境变量 > 数据库（system_config，密钥保存在加密的 secrets 表中）> 默认值
  */
 
 require('dotenv').config();
 
+const logger = require('./logger');
+const { registerSecret } = require('./redact');
+
+const SETTING = Symbol('setting');
+const SETTING_TYPES = ['string', 'url', 'integer', 'number', 'boolean', 'enum', 'timezone', 'json'];
+
+// 配置项路径 -> 定义 / 当前值来源（env、db、vault、default）
+const definitions = new Map();
+const sources = new Map();
+const listeners = [];
+
+/**
+ * 声明可在运行时修改的配置项
+ * @param {Object} definition - 定义
+ * @param {string} definition.type - string、url、integer、number、boolean、enum、timezone 或 json（JSON 对象）
+ * @param {string} definition.env - 对应的环境变量
+ * @param {*} [definition.default] - 默认值，未指定时为 null
+ * @param {boolean} [definition.secret] - 是否为密钥，读取时不返回明文
+ * @param {number} [definition.min] - 最小值（integer、number）
+ * @param {number} [definition.max] - 最大值（integer、number）
+ * @param {Array<string>} [definition.options] - 可选值（enum）
+ * @param {string} definition.description - 说明
+ * @returns {Object} 配置项标记，模块加载时替换为实际取值
+ */
+function setting(definition) {
+  if (!SETTING_TYPES.includes(definition.type)) {
+    throw new Error(`无效的配置项类型: ${definition.type}`);
+  }
+  return { [SETTING]: true, default: null, ...definition };
+}
+
+/**
+ * 按定义解析并校验配置项的值，字符串形式的值（环境变量、数据库）会转换为对应类型
+ * 字符串类和 json 配置项的空值表示未设置（null），其他类型不能为空
+ * @param {Object} definition - 配置项定义
+ * @param {*} value - 值
+ * @returns {*} 解析后的值
+ */
+function parseSetting(definition, value) {
+  const { key, type } = definition;
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    if (['string', 'url', 'json'].includes(type)) {
+      return null;
+    }
+    throw new Error(`配置项 ${key} 不能为空`);
+  }
+
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+        throw new Error(`配置项 ${key} 必须是${type === 'integer' ? '整数' : '数字'}`);
+      }
+      if (definition.min !== undefined && number < definition.min) {
+        throw new Error(`配置项 ${key} 不能小于 ${definition.min}`);
+      }
+      if (definition.max !== undefined && number > definition.max) {
+        throw new Error(`配置项 ${key} 不能大于 ${definition.max}`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const text = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) {
+        return true;
+      }
+      if (['false', '0', 'no'].includes(text)) {
+        return false;
+      }
+      throw new Error(`配置项 ${key} 必须是布尔值`);
+    }
+    case 'enum': {
+      const text = String(value).trim();
+      if (!definition.options.includes(text)) {
+        throw new Error(`配置项 ${key} 必须是 ${definition.options.join('、')} 之一`);
+      }
+      return text;
+    }
+    case 'url': {
+      const text = String(value).trim();
+      let url;
+      try {
+        url = new URL(text);
+      } catch (error) {
+        throw new Error(`配置项 ${key} 不是有效的地址: ${text}`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`配置项 ${key} 只支持 http 或 https 地址`);
+      }
+      return text.replace(/\/+$/, '');
+    }
+    case 'timezone': {
+      const text = String(value).trim();
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: text });
+      } catch (error) {
+        throw new Error(`配置项 ${key} 不是有效的时区: ${text}`);
+      }
+      return text;
+    }
+    case 'json': {
+      let object = value;
+      if (typeof value === 'string') {
+        try {
+          object = JSON.parse(value);
+        } catch (error) {
+          throw new Error(`配置项 ${key} 不是有效的 JSON: ${error.message}`);
+        }
+      }
+      if (!object || typeof object !== 'object' || Array.isArray(object)) {
+        throw new Error(`配置项 ${key} 必须是 JSON 对象`);
+      }
+      return object;
+    }
+    default:
+      if (typeof value === 'object') {
+        throw new Error(`配置项 ${key} 必须是字符串`);
+      }
+      return String(value).trim();
+  }
+}
+
+/**
+ * 将配置对象中的配置项标记替换为环境变量或默认值，并记录定义
+ * 环境变量无效时忽略并使用默认值
+ * @param {Object} section - 配置段
+ * @param {string} prefix - 配置段路径
+ */
+function resolveSettings(section, prefix) {
+  for (const [name, value] of Object.entries(section)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && value[SETTING]) {
+      const { [SETTING]: marker, ...rest } = value;
+      const definition = Object.freeze({ key, ...rest });
+      definitions.set(key, definition);
+      section[name] = definition.default;
+      sources.set(key, 'default');
+
+      const envValue = process.env[definition.env];
+      if (envValue !== undefined && envValue !== '') {
+        try {
+          section[name] = parseSetting(definition, envValue);
+          sources.set(key, 'env');
+          if (definition.secret) {
+            registerSecret(section[name]);
+          }
+        } catch (error) {
+          logger.warn(`忽略无效的环境变量 ${definition.env}: ${error.message}`);
+        }
+      }
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      resolveSettings(value, key);
+    }
+  }
+}
+
 const config = {
   // 数据库配置
   database: {
@@ -13,30 +176,150 @@ const config = {
   
   // Twitter API配置
   twitter: {
-    bearerToken: process.env.TWITTER_BEARER_TOKEN,
-    apiKey: process.env.TWITTER_API_KEY,
-    apiSecret: process.env.TWITTER_API_SECRET,
-    accessToken: process.env.TWITTER_ACCESS_TOKEN,
-    accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET
+    bearerToken: setting({ type: 'string', env: 'TWITTER_BEARER_TOKEN', secret: true, description: 'Twitter Bearer Token' }),
+    apiKey: setting({ type: 'string', env: 'TWITTER_API_KEY', secret: true, description: 'Twitter API Key' }),
+    apiSecret: setting({ type: 'string', env: 'TWITTER_API_SECRET', secret: true, description: 'Twitter API Secret' }),
+    accessToken: setting({ type: 'string', env: 'TWITTER_ACCESS_TOKEN', secret: true, description: 'Twitter Access Token' }),
+    accessTokenSecret: setting({ type: 'string', env: 'TWITTER_ACCESS_TOKEN_SECRET', secret: true, description: 'Twitter Access Token Secret' }),
+    // 额度用完时最长等待窗口重置的时间，超过则直接报错
+    maxRateLimitWait: setting({ type: 'integer', env: 'TWITTER_MAX_RATE_LIMIT_WAIT', default: 960000, min: 0, description: '速率限制最长等待时间（毫秒）' }), // 16分钟，覆盖一个15分钟窗口
+    // 收到 429 后等待重置并重试的次数
+    rateLimitRetries: setting({ type: 'integer', env: 'TWITTER_RATE_LIMIT_RETRIES', default: 2, min: 0, max: 10, description: '速率限制重试次数' })
+  },
+  
+  // 分析模型配置
+  llm: {
+    // deepseek、openai、ollama、llamacpp，可在账号上单独覆盖
+    provider: setting({ type: 'enum', env: 'LLM_PROVIDER', default: 'deepseek', options: ['deepseek', 'openai', 'ollama', 'llamacpp'], description: '分析模型提供方' }),
+    // 为空时使用提供方配置中的模型
+    model: setting({ type: 'string', env: 'LLM_MODEL', description: '分析模型名称' }),
+    // combined：单次调用返回结构化结果；separate：分别调用情感、关键词、摘要
+    analysisMode: setting({ type: 'enum', env: 'LLM_ANALYSIS_MODE', default: 'combined', options: ['combined', 'separate'], description: '分析模式' })
   },
   
   // Deepseek API配置
   deepseek: {
-    apiKey: process.env.DEEPSEEK_API_KEY,
-    baseUrl: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com'
+    apiKey: setting({ type: 'string', env: 'DEEPSEEK_API_KEY', secret: true, description: 'Deepseek API Key' }),
+    baseUrl: setting({ type: 'url', env: 'DEEPSEEK_BASE_URL', default: 'https://api.deepseek.com', description: 'Deepseek API 地址' }),
+    model: setting({ type: 'string', env: 'DEEPSEEK_MODEL', default: 'deepseek-chat', description: 'Deepseek 模型' })
   },
   
-  // ntfy配置
+  // OpenAI 兼容接口配置（OpenAI、OpenRouter、vLLM 等）
+  openai: {
+    apiKey: setting({ type: 'string', env: 'OPENAI_API_KEY', secret: true, description: 'OpenAI 兼容接口 API Key' }),
+    baseUrl: setting({ type: 'url', env: 'OPENAI_BASE_URL', default: 'https://api.openai.com/v1', description: 'OpenAI 兼容接口地址' }),
+    model: setting({ type: 'string', env: 'OPENAI_MODEL', default: 'gpt-4o-mini', description: 'OpenAI 兼容接口模型' }),
+    // 额外请求头，如 OpenRouter 的 {"HTTP-Referer": "...", "X-Title": "..."}
+    headers: setting({ type: 'json', env: 'OPENAI_HEADERS', description: 'OpenAI 兼容接口额外请求头（JSON 对象）' })
+  },
+  
+  // Ollama 本地模型配置
+  ollama: {
+    baseUrl: setting({ type: 'url', env: 'OLLAMA_BASE_URL', default: 'http://localhost:11434', description: 'Ollama 服务地址' }),
+    model: setting({ type: 'string', env: 'OLLAMA_MODEL', default: 'llama3.1', description: 'Ollama 模型' })
+  },
+  
+  // llama.cpp 本地服务配置
+  llamacpp: {
+    baseUrl: setting({ type: 'url', env: 'LLAMACPP_BASE_URL', default: 'http://localhost:8080/v1', description: 'llama.cpp 服务地址' }),
+    model: setting({ type: 'string', env: 'LLAMACPP_MODEL', default: 'default', description: 'llama.cpp 模型' })
+  },
+  
+  // ntfy配置，服务器和主题都设置时启用内置的 ntfy 通知
   ntfy: {
-    server: process.env.NTFY_SERVER || 'https://ntfy.sh',
-    topic: process.env.NTFY_TOPIC || 'twitter-monitor',
+    server: setting({ type: 'url', env: 'NTFY_SERVER', default: 'https://ntfy.sh', description: 'ntfy 服务器地址' }),
+    topic: setting({ type: 'string', env: 'NTFY_TOPIC', description: 'ntfy 主题' }),
+    // 访问受保护主题的令牌
+    token: setting({ type: 'string', env: 'NTFY_TOKEN', secret: true, description: 'ntfy 访问令牌' }),
     priority: process.env.NTFY_PRIORITY || 'default'
   },
   
+  // 通知投递配置
+  notifications: {
+    maxAttempts: setting({ type: 'integer', env: 'NOTIFY_MAX_ATTEMPTS', default: 5, min: 1, max: 100, description: '通知最大投递次数' }),
+    retryBaseDelay: setting({ type: 'integer', env: 'NOTIFY_RETRY_BASE_DELAY', default: 30000, min: 1000, description: '通知首次重试延迟（毫秒）' }), // 30秒，每次失败后翻倍
+    retryMaxDelay: setting({ type: 'integer', env: 'NOTIFY_RETRY_MAX_DELAY', default: 3600000, min: 1000, description: '通知最长重试延迟（毫秒）' }), // 1小时
+    workerInterval: setting({ type: 'integer', env: 'NOTIFY_WORKER_INTERVAL', default: 15000, min: 1000, description: '发件箱投递间隔（毫秒）' })
+  },
+  
   // 监控配置
   monitor: {
-    interval: parseInt(process.env.MONITOR_INTERVAL) || 300000, // 5分钟
-    maxTweets: parseInt(process.env.MAX_TWEETS_PER_REQUEST) || 10
+    interval: setting({ type: 'integer', env: 'MONITOR_INTERVAL', default: 300000, min: 60000, description: '监控间隔（毫秒）' }), // 5分钟
+    // 未单独设置抖动的轮询计划在下次执行时间上增加 0 到该值之间的随机延迟，避免所有账号同时请求
+    jitter: setting({ type: 'integer', env: 'MONITOR_JITTER', default: 30000, min: 0, description: '轮询随机抖动上限（毫秒）' }),
+    maxTweets: setting({ type: 'integer', env: 'MAX_TWEETS_PER_REQUEST', default: 10, min: 5, max: 100, description: '每次请求获取的推文数量' }),
+    // 同一账号或搜索连续失败达到该次数时发送系统通知，恢复后再发送一次
+    failureThreshold: setting({ type: 'integer', env: 'MONITOR_FAILURE_THRESHOLD', default: 3, min: 1, description: '连续失败通知阈值（次）' }),
+    runRetentionDays: setting({ type: 'integer', env: 'MONITOR_RUN_RETENTION_DAYS', default: 30, min: 1, description: '轮询记录保留天数' })
+  },
+  
+  // 互动数据刷新配置
+  metrics: {
+    // 推文发布后持续刷新互动数据的时长（小时），刷新间隔随发布时长递增
+    windowHours: setting({ type: 'integer', env: 'METRICS_WINDOW_HOURS', default: 48, min: 1, description: '互动数据刷新时长（小时）' }),
+    maxPerCycle: setting({ type: 'integer', env: 'METRICS_MAX_PER_CYCLE', default: 300, min: 1, description: '每轮刷新互动数据的推文上限' })
+  },
+  
+  // 账号资料变更跟踪配置
+  profiles: {
+    interval: setting({ type: 'integer', env: 'PROFILE_REFRESH_INTERVAL', default: 3600000, min: 60000, description: '账号资料刷新间隔（毫秒）' }), // 1小时
+    // 粉丝数/关注数变化同时超过百分比和绝对值时视为突变
+    countChangePercent: setting({ type: 'number', env: 'PROFILE_COUNT_CHANGE_PERCENT', default: 10, min: 0, description: '粉丝数突变百分比' }),
+    countChangeMin: setting({ type: 'integer', env: 'PROFILE_COUNT_CHANGE_MIN', default: 100, min: 0, description: '粉丝数突变绝对值' })
+  },
+  
+  // 已删除推文复查配置
+  verification: {
+    interval: setting({ type: 'integer', env: 'VERIFY_INTERVAL', default: 21600000, min: 60000, description: '已删除推文复查间隔（毫秒）' }), // 6小时
+    maxAgeDays: setting({ type: 'integer', env: 'VERIFY_MAX_AGE_DAYS', default: 30, min: 1, description: '复查的推文最长发布天数' }),
+    maxPerCycle: setting({ type: 'integer', env: 'VERIFY_MAX_PER_CYCLE', default: 100, min: 1, description: '每轮复查的推文上限' })
+  },
+  
+  // 历史推文回填配置
+  backfill: {
+    // 新增账号时自动创建回填任务
+    onAccountAdd: setting({ type: 'boolean', env: 'BACKFILL_ON_ACCOUNT_ADD', default: true, description: '新增账号时自动回填' }),
+    days: setting({ type: 'integer', env: 'BACKFILL_DAYS', default: 30, min: 1, description: '默认回填天数' }),
+    maxTweets: setting({ type: 'integer', env: 'BACKFILL_MAX_TWEETS', default: 800, min: 1, max: 3200, description: '默认回填推文上限' }),
+    pageSize: setting({ type: 'integer', env: 'BACKFILL_PAGE_SIZE', default: 100, min: 5, max: 100, description: '回填每页推文数量' })
+  },
+  
+  // 摘要报告配置
+  reports: {
+    // 报告计划未指定时区时使用的时区（IANA 名称，如 Asia/Shanghai）
+    timezone: setting({ type: 'timezone', env: 'REPORT_TIMEZONE', default: 'UTC', description: '报告默认时区' }),
+    // 每份报告最多提供给模型的推文数量，超出时按互动数选取
+    maxTweets: setting({ type: 'integer', env: 'REPORT_MAX_TWEETS', default: 150, min: 1, max: 1000, description: '每份报告的推文上限' })
+  },
+  
+  // 关键词趋势配置
+  trends: {
+    // 新兴关键词：当前窗口（小时）与之前的基线窗口（天）比较
+    windowHours: setting({ type: 'integer', env: 'TREND_WINDOW_HOURS', default: 24, min: 1, description: '趋势当前窗口（小时）' }),
+    baselineDays: setting({ type: 'integer', env: 'TREND_BASELINE_DAYS', default: 7, min: 1, description: '趋势基线窗口（天）' }),
+    // 当前窗口出现次数下限，以及相对基线的最小增长倍数
+    minCount: setting({ type: 'integer', env: 'TREND_MIN_COUNT', default: 3, min: 1, description: '新兴关键词最少出现次数' }),
+    minGrowth: setting({ type: 'number', env: 'TREND_MIN_GROWTH', default: 2, min: 1, description: '新兴关键词最小增长倍数' })
+  },
+  
+  // 登录和 API 令牌配置
+  auth: {
+    // 数据库中没有用户时，使用以下账号密码创建管理员
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+    sessionTtlHours: parseInt(process.env.AUTH_SESSION_TTL_HOURS) || 168, // 7天
+    // 通过 HTTPS 访问时启用，会话 Cookie 只通过 HTTPS 发送
+    secureCookie: process.env.AUTH_SECURE_COOKIE === 'true',
+    // 连续登录失败达到次数后锁定该用户名一段时间
+    maxLoginAttempts: parseInt(process.env.AUTH_MAX_LOGIN_ATTEMPTS) || 5,
+    lockoutMinutes: parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15
+  },
+  
+  // 密钥存储配置
+  secrets: {
+    // 主密钥（32 字节，Base64 或十六进制），未设置时使用密钥文件，文件不存在时自动生成
+    masterKey: process.env.SECRETS_MASTER_KEY,
+    keyFile: process.env.SECRETS_KEY_FILE || './data/secrets.key'
   },
   
   // 服务器配置
@@ -61,7 +344,7 @@ const config = {
     return value;
   },
 
-  // 添加 set 方法
+  // 添加 set 方法，只修改内存中的值；需要持久化的配置项通过 settings-service 修改
   set: function(key, value) {
     const keys = key.split('.');
     let obj = this;
@@ -75,7 +358,90 @@ const config = {
     }
     
     obj[keys[keys.length - 1]] = value;
+  },
+
+  /**
+   * 获取可在运行时修改的配置项定义
+   * @param {string} key - 配置项路径，如 ntfy.server
+   * @returns {Object|null} 定义
+   */
+  getDefinition: function(key) {
+    return definitions.get(key) || null;
+  },
+
+  /**
+   * 列出所有可在运行时修改的配置项定义
+   * @returns {Array<Object>} 定义
+   */
+  listDefinitions: function() {
+    return [...definitions.values()];
+  },
+
+  /**
+   * 获取配置项当前值的来源
+   * @param {string} key - 配置项路径
+   * @returns {string|null} env、db、vault 或 default
+   */
+  getSource: function(key) {
+    return sources.get(key) || null;
+  },
+
+  /**
+   * 按定义解析并校验配置项的值
+   * @param {string} key - 配置项路径
+   * @param {*} value - 值
+   * @returns {*} 解析后的值
+   */
+  parse: function(key, value) {
+    const definition = definitions.get(key);
+    if (!definition) {
+      throw new Error(`未知的配置项: ${key}`);
+    }
+    return parseSetting(definition, value);
+  },
+
+  /**
+   * 设置已校验的配置项取值和来源，值变化时通知订阅者
+   * @param {string} key - 配置项路径
+   * @param {*} value - 已解析的值
+   * @param {string} source - env、db、vault 或 default
+   */
+  apply: function(key, value, source) {
+    if (definitions.get(key)?.secret) {
+      registerSecret(value);
+    }
+    const previous = this.get(key);
+    this.set(key, value);
+    sources.set(key, source);
+    if (previous === value) {
+      return;
+    }
+    for (const listener of listeners) {
+      try {
+        listener(key, value, previous);
+      } catch (error) {
+        logger.error(`配置变更处理失败 (${key}): ${error.message}`);
+      }
+    }
+  },
+
+  /**
+   * 订阅配置项变更，用于在不重启的情况下应用新配置
+   * @param {Function} listener - (key, value, previous) => void
+   * @returns {Function} 取消订阅
+   */
+  onChange: function(listener) {
+    listeners.push(listener);
+    return () => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    };
   }
 };
 
+resolveSettings(config, '');
+[config.secrets.masterKey, config.auth.adminPassword].forEach(registerSecret);
+
 module.exports = config;
@@ -0,0 +1,181 @@
+/**
+ * Cron 表达式解析和下次执行时间计算
+ * 支持五段格式（分 时 日 月 星期）：*、数字、范围 a-b、列表 a,b、步长 *\/n 和 a-b/n，月份和星期可用英文缩写；
+ * 日和星期同时限定时满足其一即可（与 crontab 一致）。按指定时区计算
+ * 轮询计划（scheduler-service）和报告计划（report-service）共用，保证同一表达式的执行时间一致
+ */
+
+const FIELDS = [
+  { name: '分钟', min: 0, max: 59 },
+  { name: '小时', min: 0, max: 23 },
+  { name: '日', min: 1, max: 31 },
+  { name: '月', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 0 和 7 都表示周日
+  { name: '星期', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// 查找下次执行时间的上限，超过时视为没有匹配的时间（如 2 月 30 日）
+const MAX_SEARCH_DAYS = 366 * 5;
+const MINUTE = 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * 解析字段中的单个值（数字或名称）
+ * @private
+ */
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index !== -1 ? index + (field.min === 1 ? 1 : 0) : Number(text);
+  if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`无效的${field.name}: ${text}`);
+  }
+  return value;
+}
+
+/**
+ * 解析一个字段
+ * @private
+ * @returns {Set<number>} 允许的值
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`无效的${field.name}步长: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`无效的${field.name}范围: ${range}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // a/n 表示从 a 开始到最大值
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * 解析 Cron 表达式
+ * @param {string} expression - 表达式，如 '*\/15 * * * *'
+ * @returns {Object} { minutes, hours, days, months, weekdays, dayRestricted, weekdayRestricted }
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron 表达式必须包含 5 个字段（分 时 日 月 星期）: ${expression}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * 获取时间在指定时区中的年月日时分和星期
+ * @private
+ */
+function getLocalParts(date, timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: FIELDS[4].names.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * 判断日期是否匹配日、月和星期字段
+ * @private
+ */
+function matchesDate(cron, local) {
+  if (!cron.months.has(local.month)) {
+    return false;
+  }
+  const dayMatches = cron.days.has(local.day);
+  const weekdayMatches = cron.weekdays.has(local.weekday);
+  if (cron.dayRestricted && cron.weekdayRestricted) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+/**
+ * 计算指定时间之后的下一次执行时间
+ * @param {string|Object} expression - Cron 表达式或 parseCron 的结果
+ * @param {Date} [after] - 起始时间（不含），默认当前时间
+ * @param {string} [timezone=UTC] - IANA 时区
+ * @returns {Date} 下次执行时间
+ */
+function nextCronRun(expression, after = new Date(), timezone = 'UTC') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  let time = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+  const limit = time + MAX_SEARCH_DAYS * 24 * 60 * MINUTE;
+
+  // 日期不匹配时跳到下一天，小时不匹配时跳到下一小时，否则逐分钟检查
+  while (time < limit) {
+    const local = getLocalParts(new Date(time), timezone);
+    if (!matchesDate(cron, local)) {
+      time += (24 * 60 - local.hour * 60 - local.minute) * MINUTE;
+    } else if (!cron.hours.has(local.hour)) {
+      time += (60 - local.minute) * MINUTE;
+    } else if (!cron.minutes.has(local.minute)) {
+      time += MINUTE;
+    } else {
+      return new Date(time);
+    }
+  }
+  throw new Error(`Cron 表达式没有匹配的时间: ${typeof expression === 'string' ? expression : ''}`.trim());
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun
+};
@@ -6,6 +6,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { SECRET_PLACEHOLDER, isSecretKey, redactSecrets, maskSecrets } = require('./redact');
 
 // 确保日志目录存在
 const logDir = path.join(process.cwd(), 'logs');
@@ -13,6 +14,20 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir, { recursive: true });
 }
 
+// 隐藏日志中的密钥：已知的密钥值替换为占位符，键名为密钥的附加字段同样隐藏
+const redactFormat = winston.format(info => {
+  for (const [key, value] of Object.entries(info)) {
+    if (isSecretKey(key) && value) {
+      info[key] = SECRET_PLACEHOLDER;
+    } else if (typeof value === 'string') {
+      info[key] = maskSecrets(value);
+    } else if (value && typeof value === 'object') {
+      info[key] = redactSecrets(value);
+    }
+  }
+  return info;
+});
+
 // 创建Winston日志实例
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -22,6 +37,7 @@ const logger = winston.createLogger({
     }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
+    redactFormat(),
     winston.format.json()
   ),
   defaultMeta: { service: 'twitter-monitor' },
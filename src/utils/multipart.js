@@ -0,0 +1,76 @@
+/**
+ * multipart/form-data 请求体解析
+ * 用于导入接口接收浏览器表单或 curl -F 上传的文件；请求体已由 bodyParser.raw 完整读入内存
+ */
+
+/**
+ * 判断请求是否为 multipart/form-data
+ * @param {string} contentType - Content-Type 请求头
+ * @returns {boolean}
+ */
+function isMultipart(contentType) {
+  return /^multipart\/form-data/i.test(contentType || '');
+}
+
+/**
+ * 解析 multipart/form-data 请求体
+ * @param {Buffer} body - 请求体
+ * @param {string} contentType - Content-Type 请求头，包含 boundary
+ * @returns {Object} { fields, files }，fields 为普通字段，files 为 [{ field, filename, contentType, data }]
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) {
+    throw new Error('multipart 请求缺少 boundary');
+  }
+  const delimiter = Buffer.from(`--${match[1] || match[2].trim()}`);
+
+  const fields = {};
+  const files = [];
+  let start = body.indexOf(delimiter);
+  if (start === -1) {
+    throw new Error('无效的 multipart 请求体');
+  }
+
+  while (true) {
+    start += delimiter.length;
+    // 结束分隔符为 --boundary--
+    if (body.slice(start, start + 2).toString() === '--') {
+      break;
+    }
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) {
+      throw new Error('无效的 multipart 请求体');
+    }
+
+    // 每个部分为 \r\n头部\r\n\r\n内容\r\n
+    const part = body.slice(start + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const data = part.slice(headerEnd + 4);
+      const name = /;\s*name="([^"]*)"/i.exec(headers);
+      const filename = /;\s*filename="([^"]*)"/i.exec(headers);
+      const type = /^content-type:\s*(.+)$/im.exec(headers);
+
+      if (filename) {
+        files.push({
+          field: name ? name[1] : null,
+          filename: filename[1],
+          contentType: type ? type[1].trim() : null,
+          data
+        });
+      } else if (name) {
+        fields[name[1]] = data.toString('utf8');
+      }
+    }
+    start = end;
+  }
+
+  return { fields, files };
+}
+
+module.exports = {
+  isMultipart,
+  parseMultipart
+};
@@ -0,0 +1,109 @@
+/**
+ * 敏感信息脱敏工具
+ * 读取配置的接口不返回密钥、令牌和密码，只返回占位符；保存时收到占位符表示保留原值
+ * 已知的密钥值（环境变量和密钥存储中的密钥）出现在日志中时同样替换为占位符
+ */
+
+const SECRET_PLACEHOLDER = '********';
+
+// 键名匹配时视为敏感信息，如 apiKey、apiSecret、accessToken、botToken、password、pass
+const SECRET_KEY_PATTERN = /(api[-_]?key|secret|token|password|^pass$|authorization|cookie)/i;
+
+// 短于此长度的值不做替换，避免误伤普通文本
+const MIN_SECRET_LENGTH = 6;
+const knownSecrets = new Set();
+
+/**
+ * 判断键名是否为敏感信息
+ * @param {string} key - 键名
+ * @returns {boolean}
+ */
+function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * 递归替换对象中的敏感信息，已设置的值替换为占位符，未设置的保持为空
+ * @param {*} value - 要脱敏的值
+ * @param {Array<string>} [secretKeys] - 额外视为敏感信息的键名
+ * @returns {*} 脱敏后的副本
+ */
+function redactSecrets(value, secretKeys = []) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item, secretKeys));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item === 'function') {
+      continue;
+    }
+    if (isSecretKey(key) || secretKeys.includes(key)) {
+      result[key] = item === undefined || item === null || item === '' ? item : SECRET_PLACEHOLDER;
+    } else {
+      result[key] = redactSecrets(item, secretKeys);
+    }
+  }
+  return result;
+}
+
+/**
+ * 合并更新的配置：值为占位符的字段保留原值
+ * @param {Object} updated - 新配置
+ * @param {Object} existing - 原配置
+ * @returns {Object} 合并后的配置
+ */
+function restoreSecrets(updated, existing = {}) {
+  if (!updated || typeof updated !== 'object' || Array.isArray(updated)) {
+    return updated;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(updated)) {
+    if (item === SECRET_PLACEHOLDER) {
+      result[key] = existing[key];
+    } else if (item && typeof item === 'object' && !Array.isArray(item)) {
+      result[key] = restoreSecrets(item, existing[key] || {});
+    } else {
+      result[key] = item;
+    }
+  }
+  return result;
+}
+
+/**
+ * 记录密钥值，之后出现在日志中时会被替换
+ * @param {string} value - 密钥
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    knownSecrets.add(value);
+  }
+}
+
+/**
+ * 将文本中已记录的密钥值替换为占位符
+ * @param {string} text - 文本
+ * @returns {string} 替换后的文本
+ */
+function maskSecrets(text) {
+  let result = text;
+  for (const secret of knownSecrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(SECRET_PLACEHOLDER);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  SECRET_PLACEHOLDER,
+  isSecretKey,
+  redactSecrets,
+  restoreSecrets,
+  registerSecret,
+  maskSecrets
+};
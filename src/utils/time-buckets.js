@@ -0,0 +1,125 @@
+/**
+ * 时间段工具
+ * 趋势和情感时间序列按小时、天或周（UTC，周一开始）划分时间段，时间段以开始时间的 ISO 8601 表示
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const BUCKETS = {
+  hour: HOUR,
+  day: DAY,
+  week: 7 * DAY
+};
+
+// 一次查询最多返回的时间段数量
+const MAX_BUCKETS = 1000;
+
+/**
+ * 校验时间段类型
+ * @param {string} [bucket=day] - hour、day 或 week
+ * @returns {string} 时间段类型
+ */
+function validateBucket(bucket = 'day') {
+  if (!BUCKETS[bucket]) {
+    throw new Error(`无效的时间段: ${bucket}`);
+  }
+  return bucket;
+}
+
+/**
+ * 时间所在时间段的开始时间
+ * @param {Date} date - 时间
+ * @param {string} bucket - 时间段类型
+ * @returns {Date} 开始时间
+ */
+function bucketStart(date, bucket) {
+  const start = new Date(date.getTime());
+  if (bucket === 'hour') {
+    start.setUTCMinutes(0, 0, 0);
+  } else {
+    start.setUTCHours(0, 0, 0, 0);
+    if (bucket === 'week') {
+      start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    }
+  }
+  return start;
+}
+
+/**
+ * 列出时间范围内的所有时间段
+ * @param {Date} since - 开始时间
+ * @param {Date} until - 结束时间
+ * @param {string} bucket - 时间段类型
+ * @returns {Array<string>} 各时间段开始时间
+ */
+function listBuckets(since, until, bucket) {
+  const buckets = [];
+  for (let time = bucketStart(since, bucket).getTime(); time < until.getTime(); time += BUCKETS[bucket]) {
+    buckets.push(new Date(time).toISOString());
+    if (buckets.length > MAX_BUCKETS) {
+      throw new Error(`时间范围过大，最多 ${MAX_BUCKETS} 个时间段`);
+    }
+  }
+  return buckets;
+}
+
+/**
+ * 生成计算推文所在时间段的 SQL 表达式，结果与 listBuckets 的格式一致
+ * @param {string} column - 时间列，如 t.created_at
+ * @param {string} bucket - 时间段类型
+ * @returns {string} SQL 表达式
+ */
+function bucketSql(column, bucket) {
+  if (bucket === 'hour') {
+    return `strftime('%Y-%m-%dT%H:00:00.000Z', ${column})`;
+  }
+  if (bucket === 'week') {
+    return `strftime('%Y-%m-%dT00:00:00.000Z', ${column}, '-6 days', 'weekday 1')`;
+  }
+  return `strftime('%Y-%m-%dT00:00:00.000Z', ${column})`;
+}
+
+/**
+ * 解析时间范围，未指定开始时间时取结束时间前若干天
+ * @param {Object} params - { since, until }
+ * @param {number} [defaultDays=7] - 默认天数
+ * @returns {{since: Date, until: Date}} 时间范围
+ */
+function parseRange(params = {}, defaultDays = 7) {
+  const until = parseDate(params.until, 'until') || new Date();
+  const since = parseDate(params.since, 'since') || new Date(until.getTime() - defaultDays * DAY);
+  if (since >= until) {
+    throw new Error('开始时间必须早于结束时间');
+  }
+  return { since, until };
+}
+
+/**
+ * 校验日期参数
+ * @param {*} value - 日期
+ * @param {string} field - 参数名，用于错误信息
+ * @returns {Date|null} 日期，未指定时为 null
+ */
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`无效的日期 ${field}: ${value}`);
+  }
+  return date;
+}
+
+module.exports = {
+  HOUR,
+  DAY,
+  BUCKETS,
+  validateBucket,
+  bucketStart,
+  listBuckets,
+  bucketSql,
+  parseRange,
+  parseDate
+};